@@ -0,0 +1,78 @@
+// Append-only record of every change: who made it (admin, player or a background job), when,
+// from which IP, and the fields that changed. Entries are never edited or removed.
+const AUDIT_ACTIONS = {
+  "room.setup": "Room set up",
+  "room.update": "Room settings",
+  "player.login": "Player PIN set",
+  "player.pin": "Player PIN changed",
+  "player.join-link": "Join link / PIN reset",
+  "match.create": "Match added",
+  "match.toss": "Toss",
+  "match.lock": "Innings locked",
+  "match.score": "Innings scored",
+  "match.reopen": "Match reopened",
+  "match.undo": "Action undone",
+  "match.state": "Match state",
+  "match.overs": "Reduced overs",
+  "match.super-over": "Super over",
+  "match.pool": "Coin pool",
+  "market.settle": "Markets settled",
+  "outright.settle": "Tournament picks settled",
+  "bracket.results": "Bracket results",
+  "standings.recalculate": "Standings recalculated",
+  "schedule.import": "Schedule import",
+  "toss.sync": "Toss sync",
+  "job.auto-lock": "Auto-lock",
+  "job.toss-sync": "Toss auto-sync",
+  "job.score-sync": "Score auto-sync",
+  "job.schedule-import": "Scheduled schedule import",
+  "prediction": "Prediction",
+  "market-prediction": "Market pick",
+  "powerup": "Power-up",
+  "outright-prediction": "Tournament pick",
+  "bracket-picks": "Bracket picks"
+};
+
+// Player picks stay hidden in the audit log until they would be shown to everyone.
+const PICK_ACTIONS = ["prediction", "market-prediction", "powerup", "outright-prediction", "bracket-picks"];
+
+// `ignore` fields are never logged (picks have their own entries, sync times change every minute);
+// `secret` fields only record that they changed.
+const AUDIT_FIELDS = {
+  settings: {
+    ignore: ["version", "sessionSecret", "lastScheduleSync", "lastTossSync", "lastScoreSync"],
+    secret: ["adminPinHash"]
+  },
+  player: { ignore: ["version", "outrights", "bracket"], secret: ["pinHash", "joinToken"] },
+  match: {
+    ignore: ["version", "predictions", "predictionHistory", "marketPredictions", "powerups", "undo"],
+    secret: []
+  }
+};
+
+const HIDDEN = "[hidden]";
+
+// Returns { before, after } with only the top-level fields that differ, or null when nothing did.
+function diffFields(before, after, { ignore = [], secret = [] } = {}) {
+  const old = {};
+  const next = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (ignore.includes(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    old[key] = secret.includes(key) && from !== null ? HIDDEN : from;
+    next[key] = secret.includes(key) && to !== null ? HIDDEN : to;
+  }
+  if (!Object.keys(next).length) return null;
+  return { before: before ? old : null, after: next };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  PICK_ACTIONS,
+  AUDIT_FIELDS,
+  HIDDEN,
+  diffFields
+};
@@ -0,0 +1,152 @@
+// Knockout fixtures arrive as placeholders until the teams are known. Feeds name the slots
+// "A1" / "1A" (group A winner), "B2" (group B runner-up), "W49" / "Winner Match 49" or "L50".
+const GROUP_SLOT = [/^([a-z])\s*-?\s*([1-9])$/i, /^([1-9])\s*-?\s*([a-z])$/i];
+const MATCH_SLOT = [/^([wl])\s*(\d+)$/i, /^(winner|loser)\s+(?:of\s+)?(?:match\s*)?#?\s*(\d+)$/i];
+const GROUP_POSITION = /^(?:([1-9])(?:st|nd|rd|th)?|winner|runner-?up)\s+(?:in\s+|of\s+)?group\s+(\w+)$/i;
+
+function defaultBracketSettings() {
+  return {
+    enabled: false,
+    deadline: null,
+    advancePerGroup: 2,
+    groupPoints: 1,
+    knockoutPoints: 2
+  };
+}
+
+function getBracketSettings(settings) {
+  return { ...defaultBracketSettings(), ...(settings.bracket || {}) };
+}
+
+function parseBracketSettings(input, current) {
+  const bracket = { ...defaultBracketSettings(), ...current };
+  const body = input || {};
+  if (body.enabled !== undefined) bracket.enabled = Boolean(body.enabled);
+  if (body.deadline !== undefined) {
+    const deadline = body.deadline ? new Date(body.deadline) : null;
+    if (deadline && Number.isNaN(deadline.getTime())) return { error: "Bracket deadline is not a valid date." };
+    bracket.deadline = deadline ? deadline.toISOString() : null;
+  }
+  for (const key of ["advancePerGroup", "groupPoints", "knockoutPoints"]) {
+    if (body[key] !== undefined) bracket[key] = Number(body[key]);
+  }
+  if (!Number.isInteger(bracket.advancePerGroup) || bracket.advancePerGroup < 1) {
+    return { error: "Teams advancing per group must be a whole number of at least 1." };
+  }
+  if (![bracket.groupPoints, bracket.knockoutPoints].every((points) => Number.isFinite(points) && points >= 0)) {
+    return { error: "Bracket points must be zero or more." };
+  }
+  return { bracket };
+}
+
+function groupKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/^group\s*/, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function parseSlot(label) {
+  const text = String(label || "").trim();
+  for (const pattern of MATCH_SLOT) {
+    const found = text.match(pattern);
+    if (found) {
+      return { type: /^w/i.test(found[1]) ? "winner" : "loser", matchNumber: Number(found[2]) };
+    }
+  }
+  const [letterFirst, positionFirst] = GROUP_SLOT.map((pattern) => text.match(pattern));
+  if (letterFirst) return { type: "group", group: groupKey(letterFirst[1]), position: Number(letterFirst[2]) };
+  if (positionFirst) return { type: "group", group: groupKey(positionFirst[2]), position: Number(positionFirst[1]) };
+  const named = text.match(GROUP_POSITION);
+  if (named) {
+    const position = named[1] ? Number(named[1]) : /^winner/i.test(text) ? 1 : 2;
+    return { type: "group", group: groupKey(named[2]), position };
+  }
+  return null;
+}
+
+// Points table for each group: 2 for a win, 1 each for a tie or no result.
+// `qualifiers` is only filled in once every match is decided and the cut-off is not level on points.
+function computeGroupTables(matches, outcomeOf, advance, teams) {
+  const groups = new Map();
+  for (const match of matches) {
+    if (!match.group) continue;
+    const key = groupKey(match.group);
+    if (!groups.has(key)) groups.set(key, { name: match.group, key, rows: new Map(), complete: true });
+    const group = groups.get(key);
+    for (const team of [match.teamA, match.teamB]) {
+      if (teams.isPlaceholder(team) || group.rows.has(team)) continue;
+      group.rows.set(team, { team, played: 0, won: 0, points: 0 });
+    }
+    const outcome = outcomeOf(match);
+    if (!outcome) {
+      group.complete = false;
+      continue;
+    }
+    for (const team of [match.teamA, match.teamB]) {
+      const row = group.rows.get(team);
+      if (!row) continue;
+      row.played += 1;
+      if (outcome.winner === team) {
+        row.won += 1;
+        row.points += 2;
+      } else if (!outcome.winner) {
+        row.points += 1;
+      }
+    }
+  }
+
+  return Array.from(groups.values()).map((group) => {
+    const table = Array.from(group.rows.values()).sort(
+      (a, b) => b.points - a.points || b.won - a.won || a.team.localeCompare(b.team)
+    );
+    const cutOff = table[advance - 1];
+    const decided = group.complete && cutOff && (!table[advance] || table[advance].points < cutOff.points);
+    return {
+      name: group.name,
+      key: group.key,
+      teams: table.map((row) => row.team).sort(),
+      table,
+      complete: group.complete,
+      qualifiers: decided ? table.slice(0, advance).map((row) => row.team) : null
+    };
+  });
+}
+
+function resolveSlot(label, { qualifiersByGroup, outcomesByNumber }) {
+  const slot = parseSlot(label);
+  if (!slot) return null;
+  if (slot.type === "group") {
+    return qualifiersByGroup.get(slot.group)?.[slot.position - 1] || null;
+  }
+  const outcome = outcomesByNumber.get(slot.matchNumber);
+  if (!outcome?.winner) return null;
+  return slot.type === "winner" ? outcome.winner : outcome.loser;
+}
+
+function scoreBracket(picks, results, bracketSettings, weightFor) {
+  let points = 0;
+  for (const group of results.groups) {
+    if (!group.qualifiers) continue;
+    const picked = picks?.groups?.[group.key] || [];
+    points += picked.filter((team) => group.qualifiers.includes(team)).length * bracketSettings.groupPoints;
+  }
+  for (const knockout of results.knockouts) {
+    if (!knockout.winner) continue;
+    if (picks?.winners?.[knockout.id] === knockout.winner) {
+      points += bracketSettings.knockoutPoints * weightFor(knockout.stage);
+    }
+  }
+  return Math.round(points * 100) / 100;
+}
+
+module.exports = {
+  defaultBracketSettings,
+  getBracketSettings,
+  parseBracketSettings,
+  groupKey,
+  parseSlot,
+  computeGroupTables,
+  resolveSlot,
+  scoreBracket
+};
@@ -0,0 +1,88 @@
+// Virtual coins: every balance is the starting balance plus the player's ledger entries.
+// Entry types: "stake" (negative when staking, positive when a stake is lowered),
+// "payout" (pool winnings), "refund" (void pools) and "reversal" (undoing a payout or refund).
+const LEDGER_TYPES = ["stake", "payout", "refund", "reversal"];
+const SETTLEMENT_TYPES = ["payout", "refund", "reversal"];
+
+function defaultCoinSettings() {
+  return { enabled: false, startingBalance: 1000 };
+}
+
+function getCoinSettings(settings) {
+  return { ...defaultCoinSettings(), ...(settings.coins || {}) };
+}
+
+function parseCoinSettings(input, current) {
+  const coins = { ...defaultCoinSettings(), ...current };
+  const body = input || {};
+  if (body.enabled !== undefined) coins.enabled = Boolean(body.enabled);
+  if (body.startingBalance !== undefined) coins.startingBalance = Number(body.startingBalance);
+  if (!Number.isInteger(coins.startingBalance) || coins.startingBalance < 0) {
+    return { error: "Starting coin balance must be a whole number of zero or more." };
+  }
+  return { coins };
+}
+
+function getBalances(ledger, players, coinSettings) {
+  const balances = {};
+  for (const player of players) balances[player.id] = coinSettings.startingBalance;
+  for (const entry of ledger) {
+    if (balances[entry.playerId] !== undefined) balances[entry.playerId] += entry.amount;
+  }
+  return balances;
+}
+
+function sumByPlayer(ledger, matchId, inningsKey, types) {
+  const totals = {};
+  for (const entry of ledger) {
+    if (entry.matchId !== matchId || entry.innings !== inningsKey || !types.includes(entry.type)) continue;
+    totals[entry.playerId] = (totals[entry.playerId] || 0) + entry.amount;
+  }
+  return totals;
+}
+
+// Coins each player currently has riding on an innings pool.
+function getStakes(ledger, matchId, inningsKey) {
+  const stakes = {};
+  for (const [playerId, amount] of Object.entries(sumByPlayer(ledger, matchId, inningsKey, ["stake"]))) {
+    if (amount < 0) stakes[playerId] = -amount;
+  }
+  return stakes;
+}
+
+function getSettled(ledger, matchId, inningsKey) {
+  return sumByPlayer(ledger, matchId, inningsKey, SETTLEMENT_TYPES);
+}
+
+// Pari-mutuel split: winners who staked share the whole pot in proportion to their stakes.
+// Coins left over from rounding go to the biggest winning stakes first. With no staked winner
+// every stake is returned.
+function splitPot(stakes, winners) {
+  const pot = Object.values(stakes).reduce((sum, amount) => sum + amount, 0);
+  const staked = winners.filter((playerId) => stakes[playerId] > 0);
+  if (!staked.length) return { ...stakes };
+  const winningTotal = staked.reduce((sum, playerId) => sum + stakes[playerId], 0);
+  const payouts = {};
+  let paid = 0;
+  for (const playerId of staked) {
+    payouts[playerId] = Math.floor((pot * stakes[playerId]) / winningTotal);
+    paid += payouts[playerId];
+  }
+  const order = [...staked].sort((a, b) => stakes[b] - stakes[a] || a.localeCompare(b));
+  for (let index = 0; paid < pot; index += 1) {
+    payouts[order[index % order.length]] += 1;
+    paid += 1;
+  }
+  return payouts;
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  defaultCoinSettings,
+  getCoinSettings,
+  parseCoinSettings,
+  getBalances,
+  getStakes,
+  getSettled,
+  splitPot
+};
@@ -0,0 +1,204 @@
+// Parsing for the Goalserve cricket feed (XML or JSON): fixtures with toss text, team totals and
+// per-innings scores, plus the rules for when a feed innings counts as finished.
+const { XMLParser } = require("fast-xml-parser");
+
+const T20_OVERS = 20;
+
+function parseGoalserveDateTime(dateStr, timeStr) {
+  if (!dateStr) return null;
+  const [day, month, year] = dateStr.split(".").map(Number);
+  if (!day || !month || !year) return null;
+  let hour = 0;
+  let minute = 0;
+  if (timeStr) {
+    const [h, m] = timeStr.split(":").map(Number);
+    hour = Number.isFinite(h) ? h : 0;
+    minute = Number.isFinite(m) ? m : 0;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+function parseTossText(text, teamA, teamB, teams) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const winner = teams.findInText(text, [teamA, teamB]);
+  if (!winner) return null;
+  const decision =
+    /elected to field|opted to field|chose to field|decided to field|elected to bowl|opted to bowl|chose to bowl|decided to bowl/.test(
+      lower
+    )
+      ? "field"
+      : /elected to bat|opted to bat|chose to bat|decided to bat/.test(lower)
+        ? "bat"
+        : null;
+  if (!decision) return null;
+  return { winner, decision };
+}
+
+function goalserveField(node, key) {
+  if (!node || typeof node !== "object") return null;
+  return node[`@_${key}`] ?? node[key] ?? null;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+function parseGoalserveTotal(text) {
+  const found = String(text ?? "").match(/(\d+)(?:\s*[/-]\s*(\d+))?(?:\s*\(\s*([\d.]+))?/);
+  if (!found) return null;
+  return {
+    runs: Number(found[1]),
+    wickets: found[2] !== undefined ? Number(found[2]) : null,
+    overs: found[3] !== undefined ? Number(found[3]) : null
+  };
+}
+
+function extractGoalserveInnings(match, localTeam, visitorTeam) {
+  return toList(match?.inning)
+    .map((inning, index) => {
+      const totalNode = inning?.total && typeof inning.total === "object" ? inning.total : null;
+      const runs = Number(
+        goalserveField(totalNode, "tot") ?? goalserveField(totalNode, "total") ?? goalserveField(inning, "total")
+      );
+      if (!Number.isFinite(runs)) return null;
+      const wickets = Number(goalserveField(totalNode, "wickets") ?? goalserveField(inning, "wickets"));
+      const overs = Number(goalserveField(totalNode, "overs") ?? goalserveField(inning, "overs"));
+      const side = String(goalserveField(inning, "team") || "").toLowerCase();
+      const name = String(goalserveField(inning, "name") || "").replace(/\s+\d+\s*INN.*$/i, "").trim();
+      return {
+        number: Number(goalserveField(inning, "inningnum")) || index + 1,
+        team: side === "localteam" ? localTeam : side === "visitorteam" ? visitorTeam : name || null,
+        runs,
+        wickets: Number.isFinite(wickets) ? wickets : null,
+        overs: Number.isFinite(overs) ? overs : null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.number - b.number);
+}
+
+function extractGoalserveMatches(payload) {
+  const container =
+    payload?.scores ||
+    payload?.fixtures ||
+    payload?.category ||
+    payload?.data ||
+    payload;
+  const categories = Array.isArray(container?.category)
+    ? container.category
+    : container?.category
+      ? [container.category]
+      : Array.isArray(container)
+        ? container
+        : [];
+
+  const matches = [];
+  for (const category of categories) {
+    const matchList = Array.isArray(category.match)
+      ? category.match
+      : category.match
+        ? [category.match]
+        : [];
+    for (const match of matchList) {
+      const infoList = toList(match?.matchinfo?.info);
+      const tossInfo = infoList.find(
+        (info) => String(goalserveField(info, "name") || "").toLowerCase() === "toss"
+      );
+      const tossText =
+        goalserveField(tossInfo, "value") ||
+        match?.comment?.["@_post"] ||
+        match?.comment?.post ||
+        null;
+
+      const localTeam =
+        match?.localteam?.["@_name"] ||
+        match?.localteam?.name ||
+        match?.home?.name ||
+        match?.home?.["@_name"] ||
+        match?.hometeam ||
+        null;
+      const visitorTeam =
+        match?.visitorteam?.["@_name"] ||
+        match?.visitorteam?.name ||
+        match?.away?.name ||
+        match?.away?.["@_name"] ||
+        match?.awayteam ||
+        null;
+
+      matches.push({
+        id: match?.["@_id"] || match?.id || match?.match_id || match?.mid || null,
+        date: match?.date || match?.["@_date"] || null,
+        time: match?.time || match?.["@_time"] || null,
+        status: goalserveField(match, "status"),
+        localTeam,
+        visitorTeam,
+        localTotal: parseGoalserveTotal(goalserveField(match?.localteam, "totalscore")),
+        visitorTotal: parseGoalserveTotal(goalserveField(match?.visitorteam, "totalscore")),
+        innings: extractGoalserveInnings(match, localTeam, visitorTeam),
+        tossText
+      });
+    }
+  }
+  return matches;
+}
+
+function parseGoalserveFeed(raw) {
+  const parsed = raw.trim().startsWith("{")
+    ? JSON.parse(raw)
+    : new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" }).parse(raw);
+  return extractGoalserveMatches(parsed);
+}
+
+// `batting` is { innings1, innings2 } from the toss, or null before it is known.
+function getFeedInnings(feedMatch, batting, teams) {
+  if (feedMatch.innings.length) {
+    return feedMatch.innings.slice(0, 2);
+  }
+  // Fall back to team totals, ordered by who batted first according to the toss.
+  if (!batting) return [];
+  const totalFor = (team) => {
+    const key = teams.key(team);
+    if (teams.key(feedMatch.localTeam) === key) return feedMatch.localTotal;
+    if (teams.key(feedMatch.visitorTeam) === key) return feedMatch.visitorTotal;
+    return null;
+  };
+  return [batting.innings1, batting.innings2]
+    .map((team, index) => {
+      const total = totalFor(team);
+      return total ? { number: index + 1, team, ...total } : null;
+    })
+    .filter((innings) => innings && (innings.runs > 0 || innings.overs));
+}
+
+// "No result" and abandoned matches end without finishing the innings still in play.
+function getFeedMatchState(feedMatch) {
+  const status = feedMatch.status || "";
+  if (/no[\s-]*result/i.test(status)) return "no-result";
+  if (/abandon|cancel/i.test(status)) return "abandoned";
+  return null;
+}
+
+function isFeedInningsComplete(innings, feedInnings, feedMatch) {
+  const ended = !getFeedMatchState(feedMatch) && /finish|complete|ended|result|won/i.test(feedMatch.status || "");
+  if (ended) return true;
+  if (innings.wickets !== null && innings.wickets >= 10) return true;
+  if (innings.overs !== null && innings.overs >= T20_OVERS) return true;
+  if (innings.number === 1) return feedInnings.some((item) => item.number === 2);
+  const target = feedInnings.find((item) => item.number === 1);
+  return Boolean(target) && innings.runs > target.runs;
+}
+
+module.exports = {
+  T20_OVERS,
+  parseGoalserveDateTime,
+  parseTossText,
+  parseGoalserveFeed,
+  extractGoalserveMatches,
+  getFeedInnings,
+  getFeedMatchState,
+  isFeedInningsComplete
+};
@@ -0,0 +1,59 @@
+// Pushes "something changed" events to open browsers over Server-Sent Events. Events only name the
+// matches that changed; each client then re-reads /api/state, which hides picks per viewer as usual.
+// Recent events are kept so a reconnecting client (Last-Event-ID) or a polling client (`since`)
+// can catch up; anything older than that gets a "resync" and reloads everything.
+function createLiveFeed({ historySize = 200, heartbeatMs = 20000 } = {}) {
+  const clients = new Set();
+  const history = [];
+  let seq = 0;
+
+  function send(res, name, payload, id) {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ""}event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  function since(lastSeq) {
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq) return { seq, resync: true, events: [] };
+    if (lastSeq < seq - history.length) return { seq, resync: true, events: [] };
+    return { seq, resync: false, events: history.filter((event) => event.seq > lastSeq) };
+  }
+
+  function publish(fields) {
+    seq += 1;
+    const event = { seq, at: new Date().toISOString(), ...fields };
+    history.push(event);
+    if (history.length > historySize) history.shift();
+    for (const res of clients) send(res, "change", event, event.seq);
+    return event;
+  }
+
+  function subscribe(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Tells nginx-style proxies not to buffer the stream.
+      "X-Accel-Buffering": "no"
+    });
+    // Some proxies hold back the first couple of kilobytes; the padding pushes "hello" through.
+    res.write(`:${" ".repeat(2048)}\nretry: 5000\n\n`);
+    const lastId = req.headers["last-event-id"];
+    if (lastId !== undefined) {
+      const missed = since(Number(lastId));
+      if (missed.resync) send(res, "resync", { seq });
+      for (const event of missed.events) send(res, "change", event, event.seq);
+    }
+    send(res, "hello", { seq }, seq);
+    clients.add(res);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    heartbeat.unref();
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  }
+
+  return { publish, subscribe, since };
+}
+
+module.exports = { createLiveFeed };
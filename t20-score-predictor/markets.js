@@ -0,0 +1,186 @@
+// Each market is described once here; rooms switch them on and tune points and locking under "Edit room".
+// Markets on the "superOver" lock only open when a match is tied and stay on that lock.
+// `input` decides how picks are validated, `scoring` how they are settled:
+//   exact   - everyone with the right answer gets the points
+//   closest - the closest numeric pick(s) get the points, ties follow the room's tie mode
+const MARKET_DEFINITIONS = {
+  matchWinner: {
+    label: "Match winner",
+    input: "team",
+    scoring: "exact",
+    points: 2,
+    lock: "match"
+  },
+  winningMargin: {
+    label: "Winning margin (runs or wickets)",
+    input: "number",
+    min: 0,
+    max: 300,
+    scoring: "closest",
+    points: 2,
+    lock: "match"
+  },
+  powerplayScore: {
+    label: "First innings powerplay score",
+    input: "number",
+    min: 0,
+    max: 150,
+    scoring: "closest",
+    points: 1,
+    lock: "match"
+  },
+  wicketsLost: {
+    label: "Wickets lost in the first innings",
+    input: "number",
+    min: 0,
+    max: 10,
+    scoring: "exact",
+    points: 1,
+    lock: "match"
+  },
+  totalSixes: {
+    label: "Total sixes in the match",
+    input: "number",
+    min: 0,
+    max: 60,
+    scoring: "closest",
+    points: 1,
+    lock: "match"
+  },
+  playerOfTheMatch: {
+    label: "Player of the match",
+    input: "text",
+    scoring: "exact",
+    points: 3,
+    lock: "innings2"
+  },
+  superOverScore: {
+    label: "Super over score (side batting first)",
+    input: "number",
+    min: 0,
+    max: 60,
+    scoring: "closest",
+    points: 2,
+    lock: "superOver"
+  }
+};
+
+const MARKET_LOCKS = {
+  match: "Locks with innings 1",
+  innings2: "Locks with innings 2",
+  superOver: "Opens on a tie, locks with the super over"
+};
+
+function normalizeAnswer(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// Settles an exact or closest question; tournament outrights use it too. `key` decides when two
+// exact answers match, and only closest ties are split.
+function scoreAnswers(question, answer, picks, options = {}) {
+  const { tieMode = "share", weight = 1, key = normalizeAnswer } = options;
+  const entries = Object.entries(picks || {});
+  let winners = [];
+
+  if (question.scoring === "closest") {
+    const diffs = entries.map(([playerId, pick]) => ({ playerId, diff: Math.abs(Number(pick) - Number(answer)) }));
+    const closest = diffs.length ? Math.min(...diffs.map((entry) => entry.diff)) : null;
+    winners = diffs.filter((entry) => entry.diff === closest).map((entry) => entry.playerId);
+  } else {
+    winners = entries.filter(([, pick]) => key(pick) === key(answer)).map(([playerId]) => playerId);
+  }
+
+  const share = tieMode === "split" && question.scoring === "closest" && winners.length ? winners.length : 1;
+  const points = {};
+  for (const [playerId] of entries) {
+    points[playerId] = winners.includes(playerId)
+      ? Math.round(((question.points * weight) / share) * 100) / 100
+      : 0;
+  }
+  return { winners, points };
+}
+
+function listMarkets() {
+  return Object.entries(MARKET_DEFINITIONS).map(([id, definition]) => ({ id, ...definition }));
+}
+
+function getMarketSettings(settings) {
+  const stored = settings.markets || {};
+  const markets = {};
+  for (const [id, definition] of Object.entries(MARKET_DEFINITIONS)) {
+    markets[id] = {
+      enabled: false,
+      points: definition.points,
+      lock: definition.lock,
+      ...(stored[id] || {})
+    };
+  }
+  return markets;
+}
+
+function getEnabledMarkets(settings) {
+  const markets = getMarketSettings(settings);
+  return Object.keys(markets)
+    .filter((id) => markets[id].enabled)
+    .map((id) => ({ id, ...MARKET_DEFINITIONS[id], ...markets[id] }));
+}
+
+function parseMarketSettings(input, current) {
+  const markets = { ...current };
+  for (const [id, entry] of Object.entries(input || {})) {
+    if (!MARKET_DEFINITIONS[id]) return { error: `Unknown market: ${id}.` };
+    const next = { ...markets[id] };
+    if (entry.enabled !== undefined) next.enabled = Boolean(entry.enabled);
+    if (entry.points !== undefined) next.points = Number(entry.points);
+    if (entry.lock !== undefined) next.lock = String(entry.lock);
+    if (!Number.isFinite(next.points) || next.points < 0) {
+      return { error: `Points for ${MARKET_DEFINITIONS[id].label} must be zero or more.` };
+    }
+    if (!MARKET_LOCKS[next.lock]) return { error: "Unknown market lock." };
+    if ((next.lock === "superOver") !== (MARKET_DEFINITIONS[id].lock === "superOver")) {
+      return { error: `${MARKET_DEFINITIONS[id].label} cannot use that lock.` };
+    }
+    markets[id] = next;
+  }
+  return { markets };
+}
+
+// Returns the cleaned value, or { error } when the pick does not fit the market.
+function parseMarketValue(market, value, match, teams) {
+  if (market.input === "number") {
+    const number = Number(value);
+    if (value === "" || value == null || !Number.isFinite(number) || number < market.min || number > market.max) {
+      return { error: `${market.label} must be between ${market.min} and ${market.max}.` };
+    }
+    return { value: Math.round(number) };
+  }
+  if (market.input === "team") {
+    const team = [match.teamA, match.teamB].find((name) => teams.key(name) === teams.key(value));
+    if (!team) return { error: `Pick ${match.teamA} or ${match.teamB}.` };
+    return { value: team };
+  }
+  const text = String(value ?? "").trim();
+  if (!text || text.length > 60) return { error: `${market.label} must be 1-60 characters.` };
+  return { value: text };
+}
+
+function computeMarketResult(market, answer, picks, options = {}) {
+  const { tieMode = "share", weight = 1, teams } = options;
+  const key = (value) => (market.input === "team" && teams ? teams.key(value) : normalizeAnswer(value));
+  return { answer, ...scoreAnswers(market, answer, picks, { tieMode, weight, key }), weight };
+}
+
+module.exports = {
+  MARKET_DEFINITIONS,
+  MARKET_LOCKS,
+  listMarkets,
+  getMarketSettings,
+  getEnabledMarkets,
+  parseMarketSettings,
+  parseMarketValue,
+  normalizeAnswer,
+  scoreAnswers,
+  computeMarketResult
+};
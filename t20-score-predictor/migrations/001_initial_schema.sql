@@ -0,0 +1,64 @@
+-- Baseline schema. Safe to run on databases created before migrations existed.
+CREATE TABLE IF NOT EXISTS settings (
+  id INTEGER PRIMARY KEY,
+  room_name TEXT NOT NULL,
+  use_pin BOOLEAN NOT NULL DEFAULT FALSE,
+  admin_pin_hash TEXT,
+  bonus_exact INTEGER NOT NULL DEFAULT 0,
+  min_score INTEGER NOT NULL DEFAULT 60,
+  max_score INTEGER NOT NULL DEFAULT 300,
+  lock_minutes_before_start INTEGER NOT NULL DEFAULT 15,
+  schedule_source TEXT,
+  last_schedule_sync TIMESTAMPTZ,
+  toss_auto_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  toss_auto_source TEXT,
+  last_toss_sync TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS players (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS matches (
+  id TEXT PRIMARY KEY,
+  external_id TEXT UNIQUE,
+  match_number INTEGER,
+  round_number INTEGER,
+  team_a TEXT,
+  team_b TEXT,
+  venue TEXT,
+  group_name TEXT,
+  stage TEXT,
+  match_date TIMESTAMPTZ,
+  lock_time TIMESTAMPTZ,
+  status TEXT NOT NULL,
+  predictions JSONB NOT NULL DEFAULT '{}'::jsonb,
+  actual_score INTEGER,
+  result JSONB,
+  goalserve_match_id TEXT,
+  innings1_status TEXT,
+  innings2_status TEXT,
+  innings1_lock_time TIMESTAMPTZ,
+  innings2_lock_time TIMESTAMPTZ,
+  innings1_score INTEGER,
+  innings2_score INTEGER,
+  toss_winner TEXT,
+  toss_decision TEXT
+);
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS goalserve_match_id TEXT,
+  ADD COLUMN IF NOT EXISTS innings1_status TEXT,
+  ADD COLUMN IF NOT EXISTS innings2_status TEXT,
+  ADD COLUMN IF NOT EXISTS innings1_lock_time TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS innings2_lock_time TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS innings1_score INTEGER,
+  ADD COLUMN IF NOT EXISTS innings2_score INTEGER,
+  ADD COLUMN IF NOT EXISTS toss_winner TEXT,
+  ADD COLUMN IF NOT EXISTS toss_decision TEXT;
+
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS toss_auto_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS toss_auto_source TEXT,
+  ADD COLUMN IF NOT EXISTS last_toss_sync TIMESTAMPTZ;
@@ -0,0 +1,11 @@
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS retired BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS pin_hash TEXT,
+  ADD COLUMN IF NOT EXISTS join_token TEXT,
+  ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS session_secret TEXT;
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS innings2_start_time TIMESTAMPTZ;
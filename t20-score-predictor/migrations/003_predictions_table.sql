@@ -0,0 +1,30 @@
+CREATE TABLE IF NOT EXISTS predictions (
+  match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  innings TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (match_id, innings, player_id)
+);
+
+-- Move picks out of the old matches.predictions JSONB blob, including the
+-- flat { playerId: score } shape used before innings 2 existed.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'matches' AND column_name = 'predictions'
+  ) THEN
+    INSERT INTO predictions (match_id, innings, player_id, score)
+    SELECT m.id, i.key, p.key, ROUND((p.value #>> '{}')::numeric)::int
+    FROM matches m, jsonb_each(m.predictions) i, jsonb_each(i.value) p
+    WHERE jsonb_typeof(i.value) = 'object' AND jsonb_typeof(p.value) = 'number'
+    UNION ALL
+    SELECT m.id, 'innings1', i.key, ROUND((i.value #>> '{}')::numeric)::int
+    FROM matches m, jsonb_each(m.predictions) i
+    WHERE jsonb_typeof(i.value) = 'number'
+    ON CONFLICT DO NOTHING;
+
+    ALTER TABLE matches DROP COLUMN predictions;
+  END IF;
+END $$;
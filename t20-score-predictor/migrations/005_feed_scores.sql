@@ -0,0 +1,7 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS score_auto_enabled BOOLEAN DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS last_score_sync TIMESTAMPTZ;
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS innings1_source TEXT,
+  ADD COLUMN IF NOT EXISTS innings2_source TEXT;
@@ -0,0 +1,3 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS schedule_provider TEXT DEFAULT 'fixturedownload',
+  ADD COLUMN IF NOT EXISTS schedule_feed_url TEXT;
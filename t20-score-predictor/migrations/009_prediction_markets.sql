@@ -0,0 +1,14 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS markets JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS market_results JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS market_predictions (
+  match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  market TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (match_id, market, player_id)
+);
@@ -0,0 +1,6 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS outrights JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS outright_results JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS outrights JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,9 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS bracket JSONB,
+  ADD COLUMN IF NOT EXISTS bracket_results JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE players
+  ADD COLUMN IF NOT EXISTS bracket JSONB;
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS slots JSONB;
@@ -0,0 +1,22 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS coins JSONB;
+
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS innings1_pool_voided BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS innings2_pool_voided BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Append-only: rows are never updated, corrections are written as new entries.
+CREATE TABLE IF NOT EXISTS coin_ledger (
+  id TEXT PRIMARY KEY,
+  seq BIGSERIAL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  player_id TEXT NOT NULL,
+  match_id TEXT,
+  innings TEXT,
+  type TEXT NOT NULL,
+  amount INTEGER NOT NULL,
+  note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS coin_ledger_player_idx ON coin_ledger (player_id);
+CREATE INDEX IF NOT EXISTS coin_ledger_match_idx ON coin_ledger (match_id);
@@ -0,0 +1,5 @@
+-- Rain-shortened innings: { overs, mode } where mode is "void" or "scale".
+-- Abandoned and no-result innings reuse the existing innings status columns.
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS innings1_reduced_overs JSONB,
+  ADD COLUMN IF NOT EXISTS innings2_reduced_overs JSONB;
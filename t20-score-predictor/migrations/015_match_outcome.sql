@@ -0,0 +1,5 @@
+-- The result of the whole match ({ result, winner, loser, margin }) and, after a tie,
+-- the super over ({ status, score, winner }).
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS super_over JSONB,
+  ADD COLUMN IF NOT EXISTS outcome JSONB;
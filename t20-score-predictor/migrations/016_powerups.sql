@@ -0,0 +1,11 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS powerups JSONB;
+
+CREATE TABLE IF NOT EXISTS powerups (
+  match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  innings TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  played_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (match_id, innings, player_id, kind)
+);
@@ -0,0 +1,35 @@
+-- Append-only: the app only ever inserts, and the trigger refuses updates and deletes.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id TEXT PRIMARY KEY,
+  seq BIGSERIAL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  action TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  actor_player_id TEXT,
+  match_id TEXT,
+  player_id TEXT,
+  subject TEXT,
+  old_value JSONB,
+  new_value JSONB,
+  ip TEXT
+);
+
+CREATE INDEX IF NOT EXISTS audit_log_match_idx ON audit_log (match_id);
+CREATE INDEX IF NOT EXISTS audit_log_player_idx ON audit_log (player_id);
+CREATE INDEX IF NOT EXISTS audit_log_actor_player_idx ON audit_log (actor_player_id);
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_changes ON audit_log;
+CREATE TRIGGER audit_log_no_changes
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
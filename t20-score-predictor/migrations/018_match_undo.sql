@@ -0,0 +1,3 @@
+-- The match as it was before the last undoable admin action (toss, lock, score, state, reopen).
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS undo JSONB;
@@ -0,0 +1,15 @@
+ALTER TABLE settings
+  ADD COLUMN IF NOT EXISTS prediction_edits JSONB;
+
+-- Every saved innings prediction, oldest first per player. The penalty is fixed when the change is made.
+CREATE TABLE IF NOT EXISTS prediction_revisions (
+  seq BIGSERIAL PRIMARY KEY,
+  match_id TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  innings TEXT NOT NULL,
+  player_id TEXT NOT NULL,
+  score INTEGER NOT NULL,
+  penalty REAL NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS prediction_revisions_match_idx ON prediction_revisions (match_id);
@@ -0,0 +1,3 @@
+-- Set when the admin typed in the first innings lock time, so lock-time recalculations leave it alone.
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS innings1_lock_override BOOLEAN NOT NULL DEFAULT FALSE;
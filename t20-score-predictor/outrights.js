@@ -0,0 +1,151 @@
+const { normalizeAnswer, scoreAnswers } = require("./markets");
+
+// Tournament-long picks, made before the first fixture starts and settled by the admin.
+// `settleStage` names the fixture stage (as set by the schedule providers) that decides the outright:
+// team lists are settled once that stage's line-up is known, everything else once it has been played.
+//   exact   - everyone with the right answer gets the points
+//   each    - the points are paid for every correct team in the list
+//   closest - the closest numeric pick(s) get the points, ties follow the room's tie mode
+const OUTRIGHT_DEFINITIONS = {
+  winner: {
+    label: "Tournament winner",
+    input: "team",
+    scoring: "exact",
+    points: 10,
+    settleStage: "Final"
+  },
+  runnerUp: {
+    label: "Runner-up",
+    input: "team",
+    scoring: "exact",
+    points: 5,
+    settleStage: "Final"
+  },
+  semiFinalists: {
+    label: "Semi-finalists",
+    input: "teams",
+    count: 4,
+    scoring: "each",
+    points: 2,
+    settleStage: "Semi Final"
+  },
+  topRunScorer: {
+    label: "Top run-scorer",
+    input: "text",
+    scoring: "exact",
+    points: 5,
+    settleStage: "Final"
+  },
+  highestTotal: {
+    label: "Highest team total",
+    input: "number",
+    min: 0,
+    max: 400,
+    scoring: "closest",
+    points: 5,
+    settleStage: "Final"
+  }
+};
+
+function listOutrights() {
+  return Object.entries(OUTRIGHT_DEFINITIONS).map(([id, definition]) => ({ id, ...definition }));
+}
+
+function getOutrightSettings(settings) {
+  const stored = settings.outrights || {};
+  const outrights = {};
+  for (const [id, definition] of Object.entries(OUTRIGHT_DEFINITIONS)) {
+    outrights[id] = {
+      enabled: false,
+      points: definition.points,
+      settleStage: definition.settleStage,
+      ...(stored[id] || {})
+    };
+  }
+  return outrights;
+}
+
+function getOutright(settings, id) {
+  if (!OUTRIGHT_DEFINITIONS[id]) return null;
+  return { id, ...OUTRIGHT_DEFINITIONS[id], ...getOutrightSettings(settings)[id] };
+}
+
+function parseOutrightSettings(input, current) {
+  const outrights = { ...current };
+  for (const [id, entry] of Object.entries(input || {})) {
+    if (!OUTRIGHT_DEFINITIONS[id]) return { error: `Unknown outright: ${id}.` };
+    const next = { ...outrights[id] };
+    if (entry.enabled !== undefined) next.enabled = Boolean(entry.enabled);
+    if (entry.points !== undefined) next.points = Number(entry.points);
+    if (entry.settleStage !== undefined) next.settleStage = String(entry.settleStage || "").trim();
+    if (!Number.isFinite(next.points) || next.points < 0) {
+      return { error: `Points for ${OUTRIGHT_DEFINITIONS[id].label} must be zero or more.` };
+    }
+    if (!next.settleStage) {
+      return { error: `${OUTRIGHT_DEFINITIONS[id].label} needs a stage to settle on.` };
+    }
+    outrights[id] = next;
+  }
+  return { outrights };
+}
+
+// `tournamentTeams` are the real teams on the schedule; team picks must be one of them.
+function parseOutrightValue(outright, value, tournamentTeams, teams) {
+  const findTeam = (name) => tournamentTeams.find((team) => teams.key(team) === teams.key(name));
+  if (outright.input === "number") {
+    const number = Number(value);
+    if (value === "" || value == null || !Number.isFinite(number) || number < outright.min || number > outright.max) {
+      return { error: `${outright.label} must be between ${outright.min} and ${outright.max}.` };
+    }
+    return { value: Math.round(number) };
+  }
+  if (outright.input === "team") {
+    const team = findTeam(value);
+    if (!team) return { error: `${outright.label} must be a team on the schedule.` };
+    return { value: team };
+  }
+  if (outright.input === "teams") {
+    const names = (Array.isArray(value) ? value : String(value ?? "").split(","))
+      .map((name) => String(name).trim())
+      .filter(Boolean);
+    const picked = names.map(findTeam);
+    if (picked.includes(undefined)) {
+      return { error: `${outright.label} must be teams on the schedule.` };
+    }
+    if (new Set(picked).size !== outright.count || picked.length !== outright.count) {
+      return { error: `Pick ${outright.count} different teams for ${outright.label}.` };
+    }
+    return { value: picked };
+  }
+  const text = String(value ?? "").trim();
+  if (!text || text.length > 60) return { error: `${outright.label} must be 1-60 characters.` };
+  return { value: text };
+}
+
+function computeOutrightResult(outright, answer, picks, options = {}) {
+  const { tieMode = "share", teams } = options;
+  const key = (value) => (outright.input.startsWith("team") && teams ? teams.key(value) : normalizeAnswer(value));
+  if (outright.scoring !== "each") {
+    return { answer, ...scoreAnswers(outright, answer, picks, { tieMode, key }) };
+  }
+
+  const correct = new Set((answer || []).map(key));
+  const winners = [];
+  const points = {};
+  for (const [playerId, pick] of Object.entries(picks || {})) {
+    const hits = (pick || []).filter((team) => correct.has(key(team))).length;
+    points[playerId] = hits * outright.points;
+    if (hits) winners.push(playerId);
+  }
+  return { answer, winners, points };
+}
+
+module.exports = {
+  OUTRIGHT_DEFINITIONS,
+  listOutrights,
+  getOutrightSettings,
+  getOutright,
+  parseOutrightSettings,
+  parseOutrightValue,
+  computeOutrightResult
+};
@@ -0,0 +1,57 @@
+// Power-ups are played on one innings before it locks and stay hidden until then:
+//   joker  - doubles the player's points for that innings
+//   shield - hands back the player's coin stake if they lose that innings' pool
+// Each player has a fixed allowance per tournament; power-ups on void innings are not used up.
+const POWERUP_KINDS = {
+  joker: "Joker",
+  shield: "Shield"
+};
+
+function defaultPowerupSettings() {
+  return { enabled: false, jokers: 2, shields: 1 };
+}
+
+function getPowerupSettings(settings) {
+  return { ...defaultPowerupSettings(), ...(settings.powerups || {}) };
+}
+
+function parsePowerupSettings(input, current) {
+  const powerups = { ...defaultPowerupSettings(), ...current };
+  const body = input || {};
+  if (body.enabled !== undefined) powerups.enabled = Boolean(body.enabled);
+  if (body.jokers !== undefined) powerups.jokers = Number(body.jokers);
+  if (body.shields !== undefined) powerups.shields = Number(body.shields);
+  if (![powerups.jokers, powerups.shields].every((count) => Number.isInteger(count) && count >= 0 && count <= 50)) {
+    return { error: "Jokers and shields must be whole numbers from 0 to 50." };
+  }
+  return { powerups };
+}
+
+function hasPowerup(match, inningsKey, playerId, kind) {
+  return Boolean(match.powerups?.[inningsKey]?.[playerId]?.includes(kind));
+}
+
+// `counts(match, inningsKey)` decides whether a played power-up is used up.
+function countPlayed(matches, playerId, kind, counts = () => true) {
+  let played = 0;
+  for (const match of matches) {
+    for (const inningsKey of ["innings1", "innings2"]) {
+      if (hasPowerup(match, inningsKey, playerId, kind) && counts(match, inningsKey)) played += 1;
+    }
+  }
+  return played;
+}
+
+function getAllowance(powerupSettings, kind) {
+  return kind === "joker" ? powerupSettings.jokers : powerupSettings.shields;
+}
+
+module.exports = {
+  POWERUP_KINDS,
+  defaultPowerupSettings,
+  getPowerupSettings,
+  parsePowerupSettings,
+  hasPowerup,
+  countPlayed,
+  getAllowance
+};
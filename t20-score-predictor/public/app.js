@@ -1,22 +1,79 @@
 const state = {
   data: null,
-  playerId: localStorage.getItem("t20_playerId") || "",
-  adminPin: localStorage.getItem("t20_adminPin") || "",
+  playerId: "",
+  loginPlayerId: localStorage.getItem("t20_playerId") || "",
   showSetup: false,
+  showRoom: false,
+  setupPlayers: ["", "", "", ""],
   scheduleNotice: null,
+  recalcPreview: null,
+  toastTimer: null,
+  live: {
+    seq: null,
+    helloTimer: null,
+    pollTimer: null,
+    timer: null,
+    queue: Promise.resolve(),
+    pending: { room: false, matchIds: new Set() }
+  },
   view: localStorage.getItem("t20_view") || "focus"
 };
 
+const VOID_STATUSES = ["abandoned", "no-result"];
+const UNDO_TOAST_MS = 15000;
+// Live updates: how long to wait for the stream's first event before assuming a buffering proxy,
+// the polling interval used instead, and how long to gather a burst of changes into one refresh.
+const LIVE_HELLO_TIMEOUT_MS = 10000;
+const LIVE_POLL_MS = 15000;
+const LIVE_DEBOUNCE_MS = 300;
+// Settled from the match result instead of by hand.
+const AUTO_MARKETS = ["matchWinner", "superOverScore"];
+
 const elements = {
   roomName: document.getElementById("room-name"),
-  playerSelect: document.getElementById("player-select"),
-  adminPin: document.getElementById("admin-pin"),
+  playerSession: document.getElementById("player-session"),
+  adminSession: document.getElementById("admin-session"),
   setupSection: document.getElementById("setup"),
   setupForm: document.getElementById("setup-form"),
+  setupPlayers: document.getElementById("setup-players"),
+  addPlayerRow: document.getElementById("add-player-row"),
+  roomSection: document.getElementById("room"),
+  roomForm: document.getElementById("room-form"),
+  roomRoster: document.getElementById("room-roster"),
+  roomMarkets: document.getElementById("room-markets"),
+  roomOutrights: document.getElementById("room-outrights"),
+  outrightsCard: document.getElementById("outrights-card"),
+  outrightsHint: document.getElementById("outrights-hint"),
+  outrights: document.getElementById("outrights"),
+  bracketCard: document.getElementById("bracket-card"),
+  bracketHint: document.getElementById("bracket-hint"),
+  bracket: document.getElementById("bracket"),
+  settlement: document.getElementById("settlement"),
+  showSettlement: document.getElementById("show-settlement"),
+  downloadSettlement: document.getElementById("download-settlement"),
+  printSettlement: document.getElementById("print-settlement"),
+  ledgerCard: document.getElementById("ledger-card"),
+  ledgerPlayer: document.getElementById("ledger-player"),
+  showLedger: document.getElementById("show-ledger"),
+  ledger: document.getElementById("ledger"),
+  auditCard: document.getElementById("audit-card"),
+  auditMatch: document.getElementById("audit-match"),
+  auditPlayer: document.getElementById("audit-player"),
+  showAudit: document.getElementById("show-audit"),
+  audit: document.getElementById("audit"),
+  toast: document.getElementById("toast"),
+  toastMessage: document.getElementById("toast-message"),
+  toastUndo: document.getElementById("toast-undo"),
+  teamReport: document.getElementById("team-report"),
+  recalcStandings: document.getElementById("recalc-standings"),
+  recalcPreview: document.getElementById("recalc-preview"),
+  showReset: document.getElementById("show-reset"),
   scoreboard: document.getElementById("scoreboard"),
   matches: document.getElementById("matches"),
   scheduleMeta: document.getElementById("schedule-meta"),
   scheduleSync: document.getElementById("sync-schedule"),
+  scheduleImport: document.getElementById("import-schedule"),
+  scheduleFile: document.getElementById("schedule-file"),
   tossSync: document.getElementById("sync-toss"),
   toggleSetup: document.getElementById("toggle-setup"),
   statTotal: document.getElementById("stat-total"),
@@ -26,21 +83,47 @@ const elements = {
   tabs: Array.from(document.querySelectorAll(".view-tabs .tab"))
 };
 
-elements.adminPin.value = state.adminPin;
-
 async function api(path, options = {}) {
+  const { retryOnConflict = false, ...fetchOptions } = options;
   const res = await fetch(path, {
     headers: { "Content-Type": "application/json" },
-    ...options,
+    ...fetchOptions,
     body: options.body ? JSON.stringify(options.body) : undefined
   });
+  if (res.status === 409 && retryOnConflict) {
+    return api(path, { ...options, retryOnConflict: false });
+  }
   if (!res.ok) {
     const error = await res.json().catch(() => ({ error: "Request failed" }));
+    if (res.status === 409 && state.data) {
+      refresh().catch(() => {});
+    }
     throw new Error(error.error || "Request failed");
   }
   return res.json();
 }
 
+function hideToast() {
+  clearTimeout(state.toastTimer);
+  elements.toast.classList.add("hidden");
+}
+
+// Offers to undo an admin action for a few seconds; the match card keeps an undo button for longer.
+function showUndoToast(matchId, undo) {
+  if (!undo) return;
+  clearTimeout(state.toastTimer);
+  elements.toastMessage.textContent = `${undo.label}.`;
+  elements.toast.dataset.id = matchId;
+  elements.toast.classList.remove("hidden");
+  state.toastTimer = setTimeout(hideToast, Math.min(UNDO_TOAST_MS, new Date(undo.expiresAt).getTime() - Date.now()));
+}
+
+function toLocalInput(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
 function formatDate(value) {
   if (!value) return "TBD";
   const date = new Date(value);
@@ -62,6 +145,72 @@ function getBattingTeams(match) {
   return null;
 }
 
+function renderSession() {
+  const players = activePlayers();
+  const current = players.find((p) => p.id === state.playerId);
+  if (current) {
+    elements.playerSession.innerHTML = `
+      <div class="control">
+        <span>Playing as</span>
+        <strong>${escapeHtml(current.name)}</strong>
+      </div>
+      ${state.data.coins.settings.enabled ? `<div class="control"><span>Coins</span><strong>${state.data.coins.balance}</strong></div>` : ""}
+      ${
+        state.data.powerups.settings.enabled
+          ? `<div class="control"><span>Power-ups left</span><strong>${state.data.powerups.left.joker} jokers${state.data.coins.settings.enabled ? `, ${state.data.powerups.left.shield} shields` : ""}</strong></div>`
+          : ""
+      }
+      <button class="ghost" data-action="change-pin">${current.hasPin ? "Change PIN" : "Set PIN"}</button>
+      <button class="ghost" data-action="logout">Log out</button>
+    `;
+  } else {
+    const selected = players.find((p) => p.id === state.loginPlayerId);
+    // Only the join link (or the admin) can set a player's first PIN.
+    const needsLink = selected && !selected.hasPin && !state.data.session?.admin;
+    elements.playerSession.innerHTML = `
+      <form class="controls">
+        <label class="control">
+          <span>Your name</span>
+          <select name="loginPlayer">
+            ${players
+              .map(
+                (player) =>
+                  `<option value="${player.id}" ${player.id === state.loginPlayerId ? "selected" : ""}>${escapeHtml(player.name)}</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+        ${
+          needsLink
+            ? `<span class="notice">Open the join link from the admin to set your PIN.</span>`
+            : `
+        <label class="control">
+          <span>${selected && !selected.hasPin ? "Choose a PIN" : "Your PIN"}</span>
+          <input name="pin" type="password" inputmode="numeric" autocomplete="off" />
+        </label>
+        <button type="submit" class="primary">Log in</button>`
+        }
+      </form>
+    `;
+  }
+
+  if (!state.data.settings.usePin) {
+    elements.adminSession.innerHTML = "";
+    return;
+  }
+  elements.adminSession.innerHTML = state.data.session?.admin
+    ? `<span class="pill">Admin</span> <button class="ghost" data-action="admin-logout">Admin log out</button>`
+    : `
+      <form class="controls">
+        <label class="control">
+          <span>Admin PIN</span>
+          <input name="pin" type="password" autocomplete="off" />
+        </label>
+        <button type="submit" class="ghost">Admin login</button>
+      </form>
+    `;
+}
+
 function renderScheduleMeta() {
   const settings = state.data.settings;
   const source = settings.scheduleSource || "Manual";
@@ -69,13 +218,29 @@ function renderScheduleMeta() {
   const tossSource = settings.tossAutoSource || "Goalserve";
   const lastTossSync = settings.lastTossSync ? formatDate(settings.lastTossSync) : "Never";
   const tossAuto = settings.tossAutoEnabled ? "Enabled" : "Disabled";
+  const lastScoreSync = settings.lastScoreSync ? formatDate(settings.lastScoreSync) : "Never";
   const notice = state.scheduleNotice;
+  const jobs = (state.data.jobs || [])
+    .map((job) => {
+      const last = job.lastFinishedAt ? formatDate(job.lastFinishedAt) : "Never";
+      const next = job.nextRunAt ? formatDate(job.nextRunAt) : "Not scheduled";
+      const status = job.running ? "Running" : job.lastError ? `Failed: ${escapeHtml(job.lastError)}` : "OK";
+      return `
+        <div class="job" title="${job.description}">
+          <strong>${job.name}:</strong> ${status} · last ${last} · next ${next}
+          <button class="ghost" data-action="run-job" data-job="${job.name}" ${job.running ? "disabled" : ""}>Run now</button>
+        </div>
+      `;
+    })
+    .join("");
   elements.scheduleMeta.innerHTML = `
-    <div><strong>Schedule source:</strong> ${source}</div>
+    <div><strong>Schedule source:</strong> ${escapeHtml(source)}</div>
     <div><strong>Last sync:</strong> ${lastSync}</div>
     <div><strong>Toss auto:</strong> ${tossAuto} (${tossSource})</div>
     <div><strong>Last toss sync:</strong> ${lastTossSync}</div>
-    ${notice ? `<div class="${notice.type === "error" ? "error" : "notice"}">${notice.text}</div>` : ""}
+    <div><strong>Last score sync:</strong> ${lastScoreSync}</div>
+    ${jobs}
+    ${notice ? `<div class="${notice.type === "error" ? "error" : "notice"}">${escapeHtml(notice.text)}</div>` : ""}
   `;
 }
 
@@ -86,7 +251,7 @@ function renderStats() {
   const locked = matches.filter(
     (match) => match.innings1?.status === "locked" || match.innings2?.status === "locked"
   ).length;
-  const scored = matches.filter((match) => match.innings2?.status === "scored").length;
+  const scored = matches.filter((match) => match.innings2?.status === "scored" || getMatchState(match)).length;
 
   elements.statTotal.textContent = total;
   elements.statUpcoming.textContent = upcoming;
@@ -96,6 +261,9 @@ function renderStats() {
 
 function renderScoreboard() {
   const rows = state.data.scoreboard || [];
+  const coins = state.data.coins.settings.enabled;
+  const jokers = state.data.powerups.settings.enabled;
+  const penalties = rows.some((row) => row.penaltyPoints);
   if (!rows.length) {
     elements.scoreboard.innerHTML = "<p class=\"notice\">No scored innings yet.</p>";
     return;
@@ -107,6 +275,12 @@ function renderScoreboard() {
           <th>Player</th>
           <th>Points</th>
           <th>Wins</th>
+          <th>Markets</th>
+          <th>Outrights</th>
+          <th>Bracket</th>
+          ${jokers ? "<th>Joker bonus</th>" : ""}
+          ${penalties ? "<th>Change penalty</th>" : ""}
+          ${coins ? "<th>Coins</th>" : ""}
           <th>Exact</th>
           <th>Avg Diff</th>
         </tr>
@@ -116,9 +290,15 @@ function renderScoreboard() {
           .map(
             (row) => `
           <tr>
-            <td>${row.name}</td>
+            <td>${escapeHtml(row.name)}${row.retired ? " <span class=\"notice\">(retired)</span>" : ""}</td>
             <td>${row.points}</td>
             <td>${row.wins}</td>
+            <td>${row.marketPoints}</td>
+            <td>${row.outrightPoints}</td>
+            <td>${row.bracketPoints}</td>
+            ${jokers ? `<td>${row.jokerPoints}</td>` : ""}
+            ${penalties ? `<td>${row.penaltyPoints ? `-${row.penaltyPoints}` : 0}</td>` : ""}
+            ${coins ? `<td>${row.balance}</td>` : ""}
             <td>${row.exactHits}</td>
             <td>${row.avgDiff === null ? "-" : row.avgDiff}</td>
           </tr>`
@@ -133,28 +313,823 @@ function renderPredictionList(match, inningsKey, showAll) {
   return state.data.players
     .map((player) => {
       const prediction = match.predictions?.[inningsKey]?.[player.id];
+      if (player.retired && prediction == null) return "";
       if (!showAll && player.id !== state.playerId) {
-        return `<li><strong>${player.name}:</strong> <span class="notice">hidden</span></li>`;
+        const submitted = match.submitted?.[inningsKey]?.includes(player.id);
+        return `<li><strong>${escapeHtml(player.name)}:</strong> <span class="notice">${submitted ? "submitted" : "waiting"}</span></li>`;
       }
-      return `<li><strong>${player.name}:</strong> ${prediction == null ? "-" : prediction}</li>`;
+      const stake = match.pools?.[inningsKey]?.stakes[player.id];
+      const payout = match.pools?.[inningsKey]?.payouts[player.id];
+      const coins = stake ? ` <span class="notice">(${stake} coins${payout ? `, won ${payout}` : ""})</span>` : "";
+      const played = match.powerups?.[inningsKey]?.[player.id] || [];
+      const powerups = played.length
+        ? ` <span class="notice">[${played.map((kind) => state.data.powerups.kinds[kind]).join(", ")}]</span>`
+        : "";
+      const scaled = scalePrediction(match[inningsKey], prediction);
+      const scaledText = scaled !== prediction ? ` <span class="notice">(scaled ${scaled})</span>` : "";
+      const history = showAll ? renderRevisionNote(match, inningsKey, player.id) : "";
+      return `<li><strong>${escapeHtml(player.name)}:</strong> ${prediction == null ? "-" : prediction}${scaledText}${coins}${powerups}${history}</li>`;
     })
     .join("");
 }
 
+function renderRevisionNote(match, inningsKey, playerId) {
+  const revisions = match.predictionHistory?.[inningsKey]?.[playerId] || [];
+  if (!revisions.length) return "";
+  const last = revisions[revisions.length - 1];
+  const changes = revisions.length - 1;
+  const penalty = revisions.reduce((sum, revision) => sum + (revision.penalty || 0), 0);
+  const parts = [`submitted ${formatDate(last.at)}`];
+  if (changes) {
+    const earlier = revisions.slice(0, -1).map((revision) => revision.score).join(" → ");
+    parts.push(`changed ${changes}× (${earlier})`);
+  }
+  if (penalty) parts.push(`-${penalty} pts`);
+  return ` <span class="notice">(${parts.join(", ")})</span>`;
+}
+
+function editRuleHint(match, inningsKey, disabled) {
+  if (disabled) return "";
+  const edits = state.data.predictionEdits.settings;
+  if (edits.mode === "cutoff") {
+    const lockTime = match[inningsKey].lockTime;
+    const cutoff = lockTime ? ` (${formatDate(new Date(lockTime).getTime() - edits.cutoffMinutes * 60000)})` : "";
+    return `<span class="section-hint">Changes close ${edits.cutoffMinutes} minutes before the lock${cutoff}.</span>`;
+  }
+  if (edits.mode === "penalty" && edits.penaltyPoints) {
+    return `<span class="section-hint">Each change after your first pick costs ${edits.penaltyPoints} pts.</span>`;
+  }
+  return "";
+}
+
 function renderResultLine(match, inningsKey) {
   const result = match.result?.[inningsKey];
   if (!result) return "";
   const winners = result.winners || [];
   const names = winners
-    .map((id) => state.data.players.find((p) => p.id === id)?.name)
+    .map((id) => {
+      const name = state.data.players.find((p) => p.id === id)?.name;
+      return name && result.points ? `${escapeHtml(name)} (${result.points[id]} pts)` : escapeHtml(name);
+    })
     .filter(Boolean);
   const label = `Winner${names.length === 1 ? "" : "s"}: ${names.length ? names.join(", ") : "None"}`;
-  return label;
+  const own = result.points && !winners.includes(state.playerId) ? result.points[state.playerId] : null;
+  const weight = result.weight && result.weight !== 1 ? ` | x${result.weight} stage` : "";
+  return `${label}${own ? ` | You: ${own} pts` : ""}${weight}`;
+}
+
+function isMarketLocked(match, market) {
+  if (match.marketResults?.[market.id]) return true;
+  if (market.lock === "superOver") return match.superOver?.status !== "open";
+  const innings = market.lock === "innings2" ? match.innings2 : match.innings1;
+  return Boolean(innings) && ["locked", "scored", ...VOID_STATUSES].includes(innings.status);
+}
+
+function getMatchState(match) {
+  if (match.innings1?.status === "abandoned") return "abandoned";
+  if (VOID_STATUSES.includes(match.innings1?.status) || VOID_STATUSES.includes(match.innings2?.status)) {
+    return "no-result";
+  }
+  return null;
+}
+
+function oversToBalls(overs) {
+  const [whole, balls] = String(overs).split(".");
+  return Number(whole) * 6 + Number(balls || 0);
+}
+
+function scalePrediction(innings, prediction) {
+  if (innings?.reducedOvers?.mode !== "scale" || prediction == null) return prediction;
+  return Math.round((prediction * oversToBalls(innings.reducedOvers.overs)) / 120);
+}
+
+function describeOutcome(match) {
+  const outcome = match.outcome;
+  if (!outcome || VOID_STATUSES.includes(outcome.result)) return "";
+  if (outcome.result === "win") {
+    return `${outcome.winner} won${outcome.margin ? ` by ${outcome.margin.runs} run${outcome.margin.runs === 1 ? "" : "s"}` : " chasing"}`;
+  }
+  if (outcome.result === "super-over") return `Tied, ${outcome.winner} won the super over`;
+  return outcome.decided ? "Tied, no super over" : "Tied, super over to come";
+}
+
+function renderSuperOver(match) {
+  const superOver = match.superOver;
+  if (!superOver) return "";
+  const winner = superOver.winner || match.teamA;
+  return `
+    <div class="innings-block">
+      <div class="innings-head">
+        <div class="innings-title">Super Over</div>
+        <div class="status-pill ${superOver.status === "open" ? "open" : superOver.status === "scored" ? "scored" : "locked"}">${superOver.status}</div>
+      </div>
+      ${superOver.status === "scored" ? `<div><strong>Winner:</strong> ${escapeHtml(superOver.winner)}${superOver.score != null ? ` | First side scored ${superOver.score}` : ""}</div>` : ""}
+      ${superOver.status === "open" ? "<div class=\"notice\">Super over predictions are open until it is locked.</div>" : ""}
+      <form data-action="super-over" data-id="${match.id}">
+        <select name="superOverStatus">
+          ${["open", "locked", "scored", "not-played"]
+            .map((status) => `<option value="${status}" ${superOver.status === status ? "selected" : ""}>${status}</option>`)
+            .join("")}
+        </select>
+        <select name="superOverWinner">
+          ${[match.teamA, match.teamB]
+            .map((team) => `<option value="${escapeHtml(team)}" ${winner === team ? "selected" : ""}>${escapeHtml(team)}</option>`)
+            .join("")}
+        </select>
+        <input name="superOverScore" type="number" min="0" max="60" placeholder="First side's score" value="${superOver.score ?? ""}" />
+        <button type="submit" class="ghost">Save Super Over</button>
+      </form>
+    </div>`;
+}
+
+function renderConditionLine(innings) {
+  if (VOID_STATUSES.includes(innings.status)) {
+    return `<div class="notice"><strong>${innings.status === "abandoned" ? "Abandoned" : "No result"}:</strong> predictions and stakes are void.</div>`;
+  }
+  const reduced = innings.reducedOvers;
+  if (!reduced) return "";
+  const effect =
+    reduced.mode === "scale"
+      ? `predictions scaled to ${Math.round((oversToBalls(reduced.overs) / 120) * 100)}%`
+      : "predictions and stakes are void";
+  return `<div class="notice"><strong>Reduced to ${reduced.overs} overs:</strong> ${effect}.</div>`;
+}
+
+function renderConditionForm(match, inningsKey) {
+  const reduced = match[inningsKey]?.reducedOvers;
+  return `
+    <form data-action="overs" data-id="${match.id}" data-innings="${inningsKey === "innings2" ? 2 : 1}">
+      <input name="overs" type="text" placeholder="Overs bowled (e.g. 12.3)" value="${reduced?.overs ?? ""}" />
+      <select name="mode">
+        <option value="void" ${reduced?.mode === "scale" ? "" : "selected"}>Void the innings</option>
+        <option value="scale" ${reduced?.mode === "scale" ? "selected" : ""}>Scale predictions</option>
+      </select>
+      <button type="submit" class="ghost">${reduced ? "Update" : "Set"} reduced overs</button>
+    </form>`;
+}
+
+function marketInput(match, market, name, value, disabled) {
+  if (market.input === "team") {
+    return `
+      <select name="${name}" ${disabled ? "disabled" : ""}>
+        <option value="">-</option>
+        ${[match.teamA, match.teamB]
+          .map((team) => `<option value="${escapeHtml(team)}" ${value === team ? "selected" : ""}>${escapeHtml(team)}</option>`)
+          .join("")}
+      </select>`;
+  }
+  if (market.input === "number") {
+    return `<input name="${name}" type="number" min="${market.min}" max="${market.max}" value="${escapeHtml(value ?? "")}" ${disabled ? "disabled" : ""} />`;
+  }
+  return `<input name="${name}" maxlength="60" value="${escapeHtml(value ?? "")}" ${disabled ? "disabled" : ""} />`;
+}
+
+function renderMarkets(match, player) {
+  const settings = state.data.markets?.settings || {};
+  const markets = (state.data.markets?.definitions || [])
+    .map((definition) => ({ ...definition, ...settings[definition.id] }))
+    .filter((market) => market.enabled || match.marketResults?.[market.id])
+    .filter((market) => market.lock !== "superOver" || match.superOver);
+  if (!markets.length) return "";
+  const manual = markets.filter((market) => !AUTO_MARKETS.includes(market.id));
+
+  const rows = markets
+    .map((market) => {
+      const locked = isMarketLocked(match, market);
+      const picks = match.marketPredictions?.[market.id] || {};
+      const result = match.marketResults?.[market.id];
+      const list = state.data.players
+        .map((entry) => {
+          const pick = picks[entry.id];
+          if (entry.retired && pick == null) return "";
+          if (!locked && entry.id !== state.playerId) {
+            const submitted = match.submittedMarkets?.[market.id]?.includes(entry.id);
+            return `<li><strong>${escapeHtml(entry.name)}:</strong> <span class="notice">${submitted ? "submitted" : "waiting"}</span></li>`;
+          }
+          const points = result?.points?.[entry.id];
+          return `<li><strong>${escapeHtml(entry.name)}:</strong> ${escapeHtml(pick ?? "-")}${points ? ` (${points} pts)` : ""}</li>`;
+        })
+        .join("");
+      const disabled = !player || locked;
+      return `
+        <div>
+          <strong>${market.label}</strong>
+          <span class="notice">${market.points} pts | ${state.data.markets.locks[market.lock]}${locked ? " | locked" : ""}</span>
+          ${result ? `<div><strong>Result:</strong> ${escapeHtml(result.answer)}</div>` : ""}
+          <ul>${list}</ul>
+          <form data-action="market-predict" data-id="${match.id}" data-market="${market.id}">
+            ${marketInput(match, market, "pick", picks[state.playerId], disabled)}
+            <button type="submit" class="primary" ${disabled ? "disabled" : ""}>Save Pick</button>
+          </form>
+        </div>`;
+    })
+    .join("");
+
+  return `
+    <div class="innings-block">
+      <div class="innings-head">
+        <div class="innings-title">Markets</div>
+      </div>
+      ${rows}
+      ${
+        manual.length
+          ? `<form data-action="settle-markets" data-id="${match.id}">
+        ${manual
+          .map(
+            (market) => `
+          <label>
+            ${market.label} result
+            ${marketInput(match, market, market.id, match.marketResults?.[market.id]?.answer, false)}
+          </label>`
+          )
+          .join("")}
+        <button type="submit" class="primary">Settle Markets</button>
+      </form>`
+          : ""
+      }
+    </div>`;
+}
+
+function outrightInput(outright, teams, name, value, disabled) {
+  const teamSelect = (selected, fieldName) => `
+    <select name="${fieldName}" ${disabled ? "disabled" : ""}>
+      <option value="">-</option>
+      ${teams.map((team) => `<option value="${escapeHtml(team)}" ${selected === team ? "selected" : ""}>${escapeHtml(team)}</option>`).join("")}
+    </select>`;
+  if (outright.input === "team") return teamSelect(value, name);
+  if (outright.input === "teams") {
+    return Array.from({ length: outright.count }, (_, index) => teamSelect(value?.[index], name)).join("");
+  }
+  if (outright.input === "number") {
+    return `<input name="${name}" type="number" min="${outright.min}" max="${outright.max}" value="${escapeHtml(value ?? "")}" ${disabled ? "disabled" : ""} />`;
+  }
+  return `<input name="${name}" maxlength="60" value="${escapeHtml(value ?? "")}" ${disabled ? "disabled" : ""} />`;
+}
+
+function readOutrightInput(form, name) {
+  const values = Array.from(form.querySelectorAll(`[name="${name}"]`)).map((field) => field.value);
+  return values.length > 1 ? values.filter(Boolean) : values[0];
+}
+
+function formatOutrightValue(value) {
+  return Array.isArray(value) ? value.join(", ") : value ?? "-";
+}
+
+function renderOutrights() {
+  const data = state.data.outrights;
+  const outrights = (data?.definitions || [])
+    .map((definition) => ({ ...definition, ...data.settings[definition.id] }))
+    .filter((outright) => outright.enabled || data.results[outright.id]);
+  elements.outrightsCard.classList.toggle("hidden", !outrights.length);
+  if (!outrights.length) return;
+
+  const player = activePlayers().find((p) => p.id === state.playerId);
+  elements.outrightsHint.textContent = data.locked
+    ? "Locked. Settled as the knockouts are decided."
+    : `Locks ${data.lockTime ? formatDate(data.lockTime) : "when the first match starts"}.`;
+
+  const rows = outrights
+    .map((outright) => {
+      const picks = data.picks[outright.id] || {};
+      const result = data.results[outright.id];
+      const list = state.data.players
+        .map((entry) => {
+          const pick = picks[entry.id];
+          if (!data.locked && entry.id !== state.playerId) {
+            const submitted = data.submitted[outright.id]?.includes(entry.id);
+            return `<li><strong>${escapeHtml(entry.name)}:</strong> <span class="notice">${submitted ? "submitted" : "waiting"}</span></li>`;
+          }
+          if (entry.retired && pick == null) return "";
+          const points = result?.points?.[entry.id];
+          return `<li><strong>${escapeHtml(entry.name)}:</strong> ${escapeHtml(formatOutrightValue(pick))}${points ? ` (${points} pts)` : ""}</li>`;
+        })
+        .join("");
+      const disabled = !player || data.locked;
+      return `
+        <div class="innings-block">
+          <div class="innings-head">
+            <div class="innings-title">${escapeHtml(outright.label)}</div>
+            <span class="notice">${outright.points} pts${outright.input === "teams" ? " each" : ""} | settles on ${escapeHtml(outright.settleStage)}</span>
+          </div>
+          ${result ? `<div><strong>Result:</strong> ${escapeHtml(formatOutrightValue(result.answer))}</div>` : ""}
+          <ul>${list}</ul>
+          <form data-action="outright-predict" data-outright="${outright.id}">
+            ${outrightInput(outright, data.teams, "pick", picks[state.playerId], disabled)}
+            <button type="submit" class="primary" ${disabled ? "disabled" : ""}>Save Pick</button>
+          </form>
+        </div>`;
+    })
+    .join("");
+
+  elements.outrights.innerHTML = `
+    ${rows}
+    <form data-action="settle-outrights">
+      ${outrights
+        .map(
+          (outright) => `
+        <label>
+          ${outright.label} result${data.ready[outright.id] ? "" : ` <span class="notice">(waiting for ${escapeHtml(outright.settleStage)})</span>`}
+          ${outrightInput(outright, data.teams, outright.id, data.results[outright.id]?.answer, !data.ready[outright.id])}
+        </label>`
+        )
+        .join("")}
+      <button type="submit" class="primary">Settle Tournament Picks</button>
+    </form>`;
+}
+
+function teamOptions(teams, selected) {
+  return `<option value="">-</option>${teams
+    .map((team) => `<option value="${escapeHtml(team)}" ${selected === team ? "selected" : ""}>${escapeHtml(team)}</option>`)
+    .join("")}`;
+}
+
+function bracketPicksLine(bracket, pickOf) {
+  if (!bracket.locked) return "";
+  const names = state.data.players
+    .map((player) => {
+      const pick = pickOf(bracket.picks[player.id]);
+      return pick && pick.length ? `${escapeHtml(player.name)}: ${escapeHtml([].concat(pick).join(", "))}` : "";
+    })
+    .filter(Boolean);
+  return names.length ? `<div class="notice">${names.join(" | ")}</div>` : "";
+}
+
+function renderBracket() {
+  const bracket = state.data.bracket;
+  const visible = bracket?.settings.enabled && (bracket.groups.length || bracket.knockouts.length);
+  elements.bracketCard.classList.toggle("hidden", !visible);
+  if (!visible) return;
+
+  const player = activePlayers().find((p) => p.id === state.playerId);
+  const own = bracket.picks[state.playerId] || { groups: {}, winners: {} };
+  const disabled = !player || bracket.locked ? "disabled" : "";
+  const advance = bracket.settings.advancePerGroup;
+  elements.bracketHint.textContent = bracket.locked
+    ? "Locked. Scored as results come in."
+    : `${bracket.submitted.length}/${activePlayers().length} submitted. Locks ${formatDate(bracket.deadline)}.`;
+
+  const groups = bracket.groups
+    .map(
+      (group) => `
+      <div class="innings-block">
+        <div class="innings-head">
+          <div class="innings-title">${escapeHtml(group.name)}</div>
+          <span class="notice">${group.qualifiers ? `Through: ${escapeHtml(group.qualifiers.join(", "))}` : group.complete ? "Level on points" : "In progress"}</span>
+        </div>
+        <div class="notice">${group.table.map((row) => `${escapeHtml(row.team)} ${row.points}`).join(" | ")}</div>
+        <div class="inline-inputs">
+          ${Array.from({ length: advance }, (_, index) => `<select name="group:${group.key}" ${disabled}>${teamOptions(group.teams, own.groups?.[group.key]?.[index])}</select>`).join("")}
+        </div>
+        ${bracketPicksLine(bracket, (picks) => picks?.groups?.[group.key])}
+      </div>`
+    )
+    .join("");
+
+  const knockouts = bracket.knockouts
+    .map((knockout) => {
+      const label = (side) =>
+        escapeHtml(knockout[side]) + (knockout.slots?.[side] && knockout.slots[side] !== knockout[side] ? ` (${escapeHtml(knockout.slots[side])})` : "");
+      const known = [knockout.teamA, knockout.teamB].every((team) => bracket.teams.includes(team));
+      return `
+      <div class="innings-block">
+        <div class="innings-head">
+          <div class="innings-title">${knockout.matchNumber ? `#${knockout.matchNumber} ` : ""}${escapeHtml(knockout.stage)}: ${label("teamA")} vs ${label("teamB")}</div>
+          <span class="notice">${knockout.winner ? `Won by ${escapeHtml(knockout.winner)}` : formatDate(knockout.matchDate)}</span>
+        </div>
+        <select name="winner:${knockout.id}" ${disabled}>${teamOptions(known ? [knockout.teamA, knockout.teamB] : bracket.teams, own.winners?.[knockout.id])}</select>
+        ${bracketPicksLine(bracket, (picks) => picks?.winners?.[knockout.id])}
+      </div>`;
+    })
+    .join("");
+
+  const admin = `
+    <form data-action="bracket-results">
+      <strong>Results and slots</strong>
+      ${bracket.groups
+        .map(
+          (group) => `
+        <label>
+          ${escapeHtml(group.name)} qualifiers (in finishing order)
+          <input name="qualifiers:${group.key}" value="${escapeHtml((bracket.overrides.groups?.[group.key] || []).join(", "))}" placeholder="${group.qualifiers ? escapeHtml(group.qualifiers.join(", ")) : "Worked out from the table"}" />
+        </label>`
+        )
+        .join("")}
+      ${bracket.knockouts
+        .map(
+          (knockout) => `
+        <div class="roster-row">
+          <span>${knockout.matchNumber ? `#${knockout.matchNumber}` : escapeHtml(knockout.stage)}</span>
+          <input name="slotA:${knockout.id}" value="${escapeHtml(knockout.slots?.teamA)}" placeholder="Slot e.g. A1" />
+          <input name="slotB:${knockout.id}" value="${escapeHtml(knockout.slots?.teamB)}" placeholder="Slot e.g. W49" />
+          <select name="override:${knockout.id}">${teamOptions([knockout.teamA, knockout.teamB].filter((team) => bracket.teams.includes(team)), bracket.overrides.winners?.[knockout.id])}</select>
+        </div>`
+        )
+        .join("")}
+      <button type="submit" class="primary">Save Bracket Results</button>
+    </form>`;
+
+  elements.bracket.innerHTML = `
+    <form data-action="bracket-picks" class="stack">
+      ${groups}
+      ${knockouts}
+      <button type="submit" class="primary" ${disabled}>Save Bracket</button>
+    </form>
+    ${admin}`;
+}
+
+function renderPoolLine(match, inningsKey) {
+  if (!state.data.coins.settings.enabled) return "";
+  const pool = match.pools?.[inningsKey];
+  if (!pool) return "";
+  const innings = inningsKey === "innings2" ? 2 : 1;
+  return `
+    <div class="notice">
+      Pool: ${pool.total} coins from ${pool.stakers} stake${pool.stakers === 1 ? "" : "s"}${pool.voided ? " | void, stakes refunded" : ""}
+      ${state.data.session?.admin ? `<button class="ghost" data-action="${pool.voided ? "restore-pool" : "void-pool"}" data-id="${match.id}" data-innings="${innings}">${pool.voided ? "Restore pool" : "Void pool"}</button>` : ""}
+    </div>`;
+}
+
+function renderPowerupButtons(match, inningsKey, disabled) {
+  const { settings, kinds, left } = state.data.powerups;
+  if (!settings.enabled || !state.playerId) return "";
+  const played = match.powerups?.[inningsKey]?.[state.playerId] || [];
+  const available = Object.keys(kinds).filter((kind) => kind !== "shield" || state.data.coins.settings.enabled);
+  return `
+    <div class="match-actions">
+      ${available
+        .map((kind) => {
+          const active = played.includes(kind);
+          const label = active ? `Withdraw ${kinds[kind]}` : `Play ${kinds[kind]} (${left[kind]} left)`;
+          const blocked = disabled || (!active && left[kind] < 1);
+          return `<button class="${active ? "primary" : "ghost"}" data-action="powerup" data-id="${match.id}" data-innings="${inningsKey === "innings2" ? 2 : 1}" data-kind="${kind}" data-played="${active ? "" : "1"}" ${blocked ? "disabled" : ""}>${label}</button>`;
+        })
+        .join("")}
+    </div>`;
+}
+
+function stakeInput(match, inningsKey, disabled) {
+  if (!state.data.coins.settings.enabled) return "";
+  const stake = match.pools?.[inningsKey]?.stakes[state.playerId] || "";
+  return `
+    <label>
+      Stake (coins)
+      <input name="stake" type="number" min="0" step="1" value="${stake}" ${disabled ? "disabled" : ""} />
+    </label>`;
+}
+
+async function loadLedger() {
+  const playerId = elements.ledgerPlayer.value;
+  const { entries } = await api(`/api/ledger${playerId ? `?playerId=${encodeURIComponent(playerId)}` : ""}`);
+  const names = new Map(state.data.players.map((player) => [player.id, player.name]));
+  const matches = new Map(state.data.matches.map((match) => [match.id, `${match.teamA} vs ${match.teamB}`]));
+  elements.ledger.innerHTML = entries.length
+    ? `
+    <table class="table">
+      <thead>
+        <tr><th>When</th><th>Player</th><th>Match</th><th>Type</th><th>Coins</th><th>Balance</th></tr>
+      </thead>
+      <tbody>
+        ${entries
+          .map(
+            (entry) => `
+          <tr>
+            <td>${formatDate(entry.at)}</td>
+            <td>${escapeHtml(names.get(entry.playerId) || entry.playerId)}</td>
+            <td>${escapeHtml(matches.get(entry.matchId) || "-")}${entry.innings ? ` (${entry.innings === "innings2" ? "2nd" : "1st"})` : ""}</td>
+            <td title="${escapeHtml(entry.note)}">${entry.type}</td>
+            <td>${entry.amount > 0 ? "+" : ""}${entry.amount}</td>
+            <td>${entry.balance}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>`
+    : "<p class=\"notice\">No coin movements yet.</p>";
+}
+
+function formatAuditValue(value) {
+  if (value == null) return "-";
+  return escapeHtml(typeof value === "string" ? value : JSON.stringify(value));
+}
+
+function describeAuditChange(entry) {
+  if (entry.hidden) return "Hidden until lock";
+  return Object.entries(entry.after || {})
+    .map(([key, value]) => {
+      const previous = entry.before ? `${formatAuditValue(entry.before[key])} &rarr; ` : "";
+      return `<div><strong>${escapeHtml(key)}</strong>: ${previous}${formatAuditValue(value)}</div>`;
+    })
+    .join("");
+}
+
+async function loadAudit() {
+  const params = new URLSearchParams();
+  if (elements.auditMatch.value) params.set("matchId", elements.auditMatch.value);
+  if (elements.auditPlayer.value) params.set("playerId", elements.auditPlayer.value);
+  const { actions, entries } = await api(`/api/audit?${params}`);
+  const names = new Map(state.data.players.map((player) => [player.id, player.name]));
+  const matches = new Map(state.data.matches.map((match) => [match.id, `${match.teamA} vs ${match.teamB}`]));
+  const who = (entry) => {
+    const name = names.get(entry.actorPlayerId);
+    if (entry.actor === "system") return "System";
+    if (entry.actor === "admin") return name ? `Admin (${name})` : "Admin";
+    return name || entry.actorPlayerId || "Player";
+  };
+  elements.audit.innerHTML = entries.length
+    ? `
+    <table class="table">
+      <thead>
+        <tr><th>When</th><th>Who</th><th>Action</th><th>About</th><th>Change</th><th>IP</th></tr>
+      </thead>
+      <tbody>
+        ${entries
+          .map(
+            (entry) => `
+          <tr>
+            <td>${formatDate(entry.at)}</td>
+            <td>${escapeHtml(who(entry))}</td>
+            <td>${actions[entry.action] || entry.action}</td>
+            <td>${escapeHtml([matches.get(entry.matchId), names.get(entry.playerId), entry.subject].filter(Boolean).join(" / ") || "-")}</td>
+            <td class="audit-change">${describeAuditChange(entry)}</td>
+            <td>${escapeHtml(entry.ip || "-")}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>`
+    : "<p class=\"notice\">Nothing logged yet.</p>";
+}
+
+function renderAuditCard() {
+  const admin = Boolean(state.data.session?.admin);
+  elements.auditCard.classList.toggle("hidden", !admin);
+  if (admin && !elements.auditPlayer.options.length) {
+    elements.auditMatch.innerHTML = `<option value="">All matches</option>${state.data.matches
+      .map((match) => `<option value="${match.id}">${escapeHtml(match.teamA)} vs ${escapeHtml(match.teamB)}</option>`)
+      .join("")}`;
+    elements.auditPlayer.innerHTML = `<option value="">All players</option>${state.data.players
+      .map((player) => `<option value="${player.id}">${escapeHtml(player.name)}</option>`)
+      .join("")}`;
+  }
+}
+
+function formatMoney(cents, currency) {
+  return `${cents < 0 ? "-" : ""}${currency}${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+async function loadSettlement() {
+  const report = await api("/api/settlement");
+  const names = new Map(state.data.players.map((player) => [player.id, player.name]));
+  const money = (cents) => formatMoney(cents, report.currency);
+  if (!report.entry) {
+    elements.settlement.innerHTML = "<p class=\"notice\">Set a settle-up entry per innings under Edit room.</p>";
+    return;
+  }
+  elements.settlement.innerHTML = `
+    ${
+      report.transfers.length
+        ? `<ul>${report.transfers
+            .map(
+              (transfer) =>
+                `<li><strong>${escapeHtml(names.get(transfer.from))}</strong> pays <strong>${escapeHtml(names.get(transfer.to))}</strong> ${money(transfer.amount)}</li>`
+            )
+            .join("")}</ul>`
+        : "<p class=\"notice\">Everyone is square.</p>"
+    }
+    <table class="table">
+      <thead>
+        <tr><th>Player</th><th>Entries</th><th>Wins</th><th>Paid</th><th>Won</th><th>Net</th></tr>
+      </thead>
+      <tbody>
+        ${report.balances
+          .map(
+            (row) => `
+          <tr>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${row.entries}</td>
+            <td>${row.wins}</td>
+            <td>${money(row.paid)}</td>
+            <td>${money(row.won)}</td>
+            <td>${money(row.net)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <p class="notice">Entry ${money(report.entry)} per innings across ${report.innings.filter((item) => item.pot).length} scored innings.</p>`;
+}
+
+function renderLedgerCard() {
+  const visible = state.data.coins.settings.enabled && (state.playerId || state.data.session?.admin);
+  elements.ledgerCard.classList.toggle("hidden", !visible);
+  const admin = Boolean(state.data.session?.admin);
+  elements.ledgerPlayer.classList.toggle("hidden", !admin);
+  if (admin && !elements.ledgerPlayer.options.length) {
+    elements.ledgerPlayer.innerHTML = `<option value="">All players</option>${state.data.players
+      .map((player) => `<option value="${player.id}">${escapeHtml(player.name)}</option>`)
+      .join("")}`;
+  }
+}
+
+function playerLimits() {
+  return state.data?.limits || { minPlayers: 2, maxPlayers: 50 };
+}
+
+function readSetupPlayers() {
+  return Array.from(elements.setupPlayers.querySelectorAll("[name=playerName]")).map(
+    (input) => input.value
+  );
+}
+
+function renderSetupPlayers() {
+  const { minPlayers, maxPlayers } = playerLimits();
+  const canRemove = state.setupPlayers.length > minPlayers;
+  elements.setupPlayers.innerHTML = state.setupPlayers
+    .map(
+      (name, index) => `
+      <label>
+        Player ${index + 1}
+        <input name="playerName" value="${escapeHtml(name)}" placeholder="Friend name" ${index < minPlayers ? "required" : ""} />
+        ${canRemove ? `<button type="button" class="ghost" data-remove-player="${index}">Remove</button>` : ""}
+      </label>`
+    )
+    .join("");
+  elements.addPlayerRow.disabled = state.setupPlayers.length >= maxPlayers;
+}
+
+function activePlayers() {
+  return state.data.players.filter((player) => !player.retired);
+}
+
+function fillRoomForm() {
+  const form = elements.roomForm;
+  const settings = state.data.settings;
+  form.roomName.value = settings.roomName || "";
+  form.bonusExact.value = settings.bonusExact;
+  form.minScore.value = settings.minScore;
+  form.maxScore.value = settings.maxScore;
+  form.lockMinutesBeforeStart.value = settings.lockMinutesBeforeStart;
+  const scoring = state.data.scoring;
+  const options = (labels) =>
+    Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join("");
+  form.scoringScheme.innerHTML = options(scoring.schemes);
+  form.scoringScheme.value = scoring.rules.scheme;
+  form.tieMode.innerHTML = options(scoring.tieModes);
+  form.tieMode.value = scoring.rules.tieMode;
+  form.closestPoints.value = scoring.rules.closestPoints;
+  form.scoringBands.value = scoring.rules.bands.map((band) => `${band.within}:${band.points}`).join(", ");
+  form.rankPoints.value = scoring.rules.rankPoints.join(", ");
+  form.proportionalMax.value = scoring.rules.proportionalMax;
+  form.proportionalRange.value = scoring.rules.proportionalRange;
+  form.stageWeights.value = Object.entries(scoring.rules.stageWeights)
+    .map(([stage, weight]) => `${stage}: ${weight}`)
+    .join(", ");
+  form.scheduleProvider.innerHTML = (state.data.scheduleProviders || [])
+    .map((provider) => `<option value="${provider.id}">${provider.label}</option>`)
+    .join("");
+  form.scheduleProvider.value = settings.scheduleProvider || "fixturedownload";
+  form.scheduleFeedUrl.value = settings.scheduleFeedUrl || "";
+  form.teamAliases.value = Object.entries(settings.teamAliases || {})
+    .map(([team, aliases]) => `${team}: ${aliases.join(", ")}`)
+    .join("\n");
+  const outrights = state.data.outrights;
+  elements.roomOutrights.innerHTML = outrights.definitions
+    .map((definition) => {
+      const outright = outrights.settings[definition.id];
+      return `
+      <div class="roster-row" data-outright-id="${definition.id}">
+        <label class="checkbox">
+          <input name="outrightEnabled" type="checkbox" ${outright.enabled ? "checked" : ""} />
+          ${definition.label}
+        </label>
+        <input name="outrightPoints" type="number" min="0" step="0.5" value="${outright.points}" />
+        <input name="outrightStage" value="${escapeHtml(outright.settleStage)}" placeholder="Final" />
+      </div>`;
+    })
+    .join("");
+  form.coinsEnabled.checked = Boolean(state.data.coins.settings.enabled);
+  form.coinsStart.value = state.data.coins.settings.startingBalance;
+  form.entryAmount.value = state.data.settlement.entryAmount;
+  form.powerupsEnabled.checked = Boolean(state.data.powerups.settings.enabled);
+  form.jokersPerPlayer.value = state.data.powerups.settings.jokers;
+  form.shieldsPerPlayer.value = state.data.powerups.settings.shields;
+  form.currency.value = state.data.settlement.currency;
+  const edits = state.data.predictionEdits;
+  form.editMode.innerHTML = options(edits.modes);
+  form.editMode.value = edits.settings.mode;
+  form.editCutoffMinutes.value = edits.settings.cutoffMinutes;
+  form.editPenaltyPoints.value = edits.settings.penaltyPoints;
+  const bracket = state.data.bracket.settings;
+  form.bracketEnabled.checked = Boolean(bracket.enabled);
+  form.bracketDeadline.value = toLocalInput(bracket.deadline);
+  form.bracketAdvance.value = bracket.advancePerGroup;
+  form.bracketGroupPoints.value = bracket.groupPoints;
+  form.bracketKnockoutPoints.value = bracket.knockoutPoints;
+  const markets = state.data.markets;
+  elements.roomMarkets.innerHTML = markets.definitions
+    .map((definition) => {
+      const market = markets.settings[definition.id];
+      return `
+      <div class="roster-row" data-market-id="${definition.id}">
+        <label class="checkbox">
+          <input name="marketEnabled" type="checkbox" ${market.enabled ? "checked" : ""} />
+          ${definition.label}
+        </label>
+        <input name="marketPoints" type="number" min="0" step="0.5" value="${market.points}" />
+        <select name="marketLock">
+          ${Object.entries(markets.locks)
+            .filter(([value]) => (value === "superOver") === (definition.lock === "superOver"))
+            .map(([value, label]) => `<option value="${value}" ${market.lock === value ? "selected" : ""}>${label}</option>`)
+            .join("")}
+        </select>
+      </div>`;
+    })
+    .join("");
+  renderTeamReport();
+  form.usePin.checked = Boolean(settings.usePin);
+  form.newAdminPin.value = "";
+  form.newPlayer.value = "";
+  elements.roomRoster.innerHTML = state.data.players
+    .map(
+      (player) => `
+      <div class="roster-row" data-player-id="${player.id}">
+        <input name="playerName" value="${escapeHtml(player.name)}" />
+        <label class="checkbox">
+          <input name="playerRetired" type="checkbox" ${player.retired ? "checked" : ""} />
+          Retired
+        </label>
+        ${settings.usePin || !player.hasPin ? `<button type="button" class="ghost" data-join-link="${player.id}">Join link</button>` : ""}
+        ${settings.usePin ? `<button type="button" class="ghost" data-reset-pin="${player.id}">Reset PIN</button>` : ""}
+      </div>`
+    )
+    .join("");
+}
+
+function renderTeamReport() {
+  const report = state.data.teamReport;
+  if (!report) {
+    elements.teamReport.innerHTML = "";
+    return;
+  }
+  const rows = report.unmatchedFeedRows.map(
+    (row) => `<div>${escapeHtml(row.localTeam)} v ${escapeHtml(row.visitorTeam)}${row.date ? ` (${formatDate(row.date)})` : ""}</div>`
+  );
+  elements.teamReport.innerHTML = `
+    ${rows.length ? `<div><strong>Feed matches with no room match:</strong></div>${rows.join("")}` : ""}
+    ${
+      report.unknownScheduleTeams.length
+        ? `<div><strong>Teams without an alias entry:</strong> ${escapeHtml(report.unknownScheduleTeams.join(", "))}</div>`
+        : ""
+    }
+  `;
+}
+
+function renderRecalcPreview() {
+  const preview = state.recalcPreview;
+  if (!preview) {
+    elements.recalcPreview.innerHTML = "";
+    return;
+  }
+  if (!preview.resultsChanged) {
+    elements.recalcPreview.innerHTML = "<p class=\"notice\">All results already match the current rules.</p>";
+    return;
+  }
+  const arrow = (before, after) => (before === after ? `${after}` : `${before ?? "-"} → ${after}`);
+  elements.recalcPreview.innerHTML = `
+    <p class="notice">${preview.resultsChanged} innings results would change.</p>
+    <table class="table">
+      <thead>
+        <tr>
+          <th>Player</th>
+          <th>Rank</th>
+          <th>Points</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${preview.standings
+          .map(
+            (row) => `
+          <tr>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${arrow(row.rankBefore, row.rankAfter)}</td>
+            <td>${arrow(row.pointsBefore, row.pointsAfter)}</td>
+          </tr>`
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <div class="match-actions">
+      <button type="button" class="primary" data-action="apply-recalc">Apply new standings</button>
+      <button type="button" class="ghost" data-action="cancel-recalc">Cancel</button>
+    </div>
+  `;
 }
 
 function buildMatchCard(match, options = {}) {
   const { collapsed = false, showToggle = true, variant = "default" } = options;
-  const player = state.data.players.find((p) => p.id === state.playerId);
+  const player = activePlayers().find((p) => p.id === state.playerId);
   const innings1 = match.innings1 || { status: "open", lockTime: match.lockTime || null, score: null };
   const innings2 = match.innings2 || { status: "pending", lockTime: null, score: null };
   const battingTeams = getBattingTeams(match);
@@ -168,49 +1143,56 @@ function buildMatchCard(match, options = {}) {
     .filter(Boolean)
     .join(" | ");
   const cardClass = variant === "compact" ? "match-card match-compact" : "match-card";
+  const matchState = getMatchState(match);
 
   const innings1Disabled = !player || innings1.status !== "open" || !battingTeams;
   const innings2Disabled =
     !player || innings2.status !== "open" || !battingTeams || innings2.status === "pending";
 
   return `
-    <div class="${cardClass}">
+    <div class="${cardClass}" data-match-card="${match.id}">
       <div class="match-summary">
         <div>
-          <div class="match-title">${match.teamA} vs ${match.teamB}</div>
-          <div class="match-sub">${detailLine}</div>
+          <div class="match-title">${escapeHtml(match.teamA)} vs ${escapeHtml(match.teamB)}</div>
+          <div class="match-sub">${escapeHtml(detailLine)}</div>
         </div>
-        <div class="status-pill ${innings1.status}">${innings1.status}</div>
+        <div class="status-pill ${matchState || innings1.status}">${matchState || innings1.status}</div>
         ${showToggle ? `<button class="ghost" data-action="toggle-details" data-id="${match.id}">${collapsed ? "Open" : "Close"}</button>` : ""}
       </div>
       <div class="match-details ${collapsed ? "hidden" : ""}" data-details="${match.id}">
         <div class="match-meta">
           <span>${matchId}</span>
-          <span>Venue: ${match.venue || "TBD"}</span>
+          <span>Venue: ${escapeHtml(match.venue || "TBD")}</span>
           <span>Starts: ${formatDate(match.matchDate)}</span>
-          <span>Toss: ${tossText}</span>
+          <span>Toss: ${escapeHtml(tossText)}</span>
+          ${describeOutcome(match) ? `<span><strong>Result:</strong> ${escapeHtml(describeOutcome(match))}</span>` : ""}
         </div>
 
         <div class="innings-block">
           <div class="innings-head">
-            <div class="innings-title">Innings 1 - ${battingTeams ? battingTeams.innings1 : "TBD"}</div>
+            <div class="innings-title">Innings 1 - ${escapeHtml(battingTeams ? battingTeams.innings1 : "TBD")}</div>
             <div class="status-pill ${innings1.status}">${innings1.status}</div>
           </div>
           <div class="notice">Lock: ${formatDate(innings1.lockTime)}</div>
+          ${renderConditionLine(innings1)}
           <div>
             <strong>Predictions</strong>
             <ul>
               ${renderPredictionList(match, "innings1", innings1.status !== "open")}
             </ul>
           </div>
-          ${innings1.status === "scored" ? `<div><strong>Actual:</strong> ${innings1.score} | ${renderResultLine(match, "innings1")}</div>` : ""}
+          ${innings1.status === "scored" ? `<div><strong>Actual:</strong> ${innings1.score}${innings1.source === "feed" ? " (live feed)" : ""} | ${renderResultLine(match, "innings1")}</div>` : ""}
+          ${renderPoolLine(match, "innings1")}
           <form data-action="predict" data-id="${match.id}" data-innings="1">
             <label>
-              ${player ? `Your pick (${player.name})` : "Select your name"}
+              ${player ? `Your pick (${escapeHtml(player.name)})` : "Log in to predict"}
               <input name="score" type="number" min="${state.data.settings.minScore}" max="${state.data.settings.maxScore}" ${innings1Disabled ? "disabled" : ""} />
             </label>
+            ${stakeInput(match, "innings1", innings1Disabled)}
+            ${editRuleHint(match, "innings1", innings1Disabled)}
             <button type="submit" class="primary" ${innings1Disabled ? "disabled" : ""}>Save Prediction</button>
           </form>
+          ${renderPowerupButtons(match, "innings1", innings1Disabled)}
           <div class="match-actions">
             <button data-action="lock" data-id="${match.id}" data-innings="1" class="ghost">Lock Innings 1</button>
           </div>
@@ -219,28 +1201,34 @@ function buildMatchCard(match, options = {}) {
             <input name="innings2StartTime" type="datetime-local" placeholder="Second innings start" />
             <button type="submit" class="primary" ${innings1.status === "scored" ? "disabled" : ""}>Finalize Innings 1</button>
           </form>
+          ${renderConditionForm(match, "innings1")}
         </div>
 
         <div class="innings-block">
           <div class="innings-head">
-            <div class="innings-title">Innings 2 - ${battingTeams ? battingTeams.innings2 : "TBD"}</div>
+            <div class="innings-title">Innings 2 - ${escapeHtml(battingTeams ? battingTeams.innings2 : "TBD")}</div>
             <div class="status-pill ${innings2.status}">${innings2.status}</div>
           </div>
           <div class="notice">Lock: ${formatDate(innings2.lockTime)}</div>
+          ${renderConditionLine(innings2)}
           <div>
             <strong>Predictions</strong>
             <ul>
               ${renderPredictionList(match, "innings2", innings2.status !== "open")}
             </ul>
           </div>
-          ${innings2.status === "scored" ? `<div><strong>Actual:</strong> ${innings2.score} | ${renderResultLine(match, "innings2")}</div>` : ""}
+          ${innings2.status === "scored" ? `<div><strong>Actual:</strong> ${innings2.score}${innings2.source === "feed" ? " (live feed)" : ""} | ${renderResultLine(match, "innings2")}</div>` : ""}
+          ${renderPoolLine(match, "innings2")}
           <form data-action="predict" data-id="${match.id}" data-innings="2">
             <label>
-              ${player ? `Your pick (${player.name})` : "Select your name"}
+              ${player ? `Your pick (${escapeHtml(player.name)})` : "Log in to predict"}
               <input name="score" type="number" min="${state.data.settings.minScore}" max="${state.data.settings.maxScore}" ${innings2Disabled ? "disabled" : ""} />
             </label>
+            ${stakeInput(match, "innings2", innings2Disabled)}
+            ${editRuleHint(match, "innings2", innings2Disabled)}
             <button type="submit" class="primary" ${innings2Disabled ? "disabled" : ""}>Save Prediction</button>
           </form>
+          ${renderPowerupButtons(match, "innings2", innings2Disabled)}
           <div class="match-actions">
             <button data-action="lock" data-id="${match.id}" data-innings="2" class="ghost">Lock Innings 2</button>
           </div>
@@ -248,14 +1236,19 @@ function buildMatchCard(match, options = {}) {
             <input name="actualScore" type="number" placeholder="Innings 2 score" min="${state.data.settings.minScore}" max="${state.data.settings.maxScore}" ${innings2.status === "scored" ? "disabled" : ""} />
             <button type="submit" class="primary" ${innings2.status === "scored" ? "disabled" : ""}>Finalize Innings 2</button>
           </form>
+          ${renderConditionForm(match, "innings2")}
         </div>
 
+        ${renderSuperOver(match)}
+
+        ${renderMarkets(match, player)}
+
         <form data-action="toss" data-id="${match.id}">
           <label>
             Toss winner
             <select name="winner">
-              <option value="${match.teamA}" ${tossWinner === match.teamA ? "selected" : ""}>${match.teamA}</option>
-              <option value="${match.teamB}" ${tossWinner === match.teamB ? "selected" : ""}>${match.teamB}</option>
+              <option value="${escapeHtml(match.teamA)}" ${tossWinner === match.teamA ? "selected" : ""}>${escapeHtml(match.teamA)}</option>
+              <option value="${escapeHtml(match.teamB)}" ${tossWinner === match.teamB ? "selected" : ""}>${escapeHtml(match.teamB)}</option>
             </select>
           </label>
           <label>
@@ -268,8 +1261,21 @@ function buildMatchCard(match, options = {}) {
           <button type="submit" class="primary">Set Toss</button>
         </form>
 
+        <form data-action="match-state" data-id="${match.id}">
+          <label>
+            Match state
+            <select name="matchState">
+              <option value="" ${matchState ? "" : "selected"}>Played</option>
+              <option value="abandoned" ${matchState === "abandoned" ? "selected" : ""}>Abandoned</option>
+              <option value="no-result" ${matchState === "no-result" ? "selected" : ""}>No result</option>
+            </select>
+          </label>
+          <button type="submit" class="ghost">Set Match State</button>
+        </form>
+
         <div class="match-actions">
           <button data-action="reopen" data-id="${match.id}" class="ghost">Reopen Match</button>
+          ${match.undo ? `<button data-action="undo" data-id="${match.id}" class="ghost">Undo: ${escapeHtml(match.undo.label)}</button>` : ""}
         </div>
       </div>
     </div>
@@ -287,6 +1293,10 @@ function pickNextMatch(matches) {
   return sorted[0] || matches[0] || null;
 }
 
+function isMatchDone(match) {
+  return match.innings2?.status === "scored" || Boolean(getMatchState(match));
+}
+
 function renderMatches() {
   const allMatches = state.data.matches.slice();
   allMatches.sort((a, b) => {
@@ -295,8 +1305,8 @@ function renderMatches() {
     return aTime - bTime;
   });
 
-  const completed = allMatches.filter((match) => match.innings2?.status === "scored");
-  const upcoming = allMatches.filter((match) => match.innings2?.status !== "scored");
+  const completed = allMatches.filter(isMatchDone);
+  const upcoming = allMatches.filter((match) => !isMatchDone(match));
 
   elements.tabs.forEach((tab) => {
     tab.classList.toggle("active", tab.dataset.view === state.view);
@@ -355,22 +1365,25 @@ function render() {
   if (!state.data.players.length) {
     state.showSetup = true;
   }
+  const players = activePlayers();
   elements.setupSection.classList.toggle("hidden", !state.showSetup);
-  elements.toggleSetup.textContent = state.showSetup ? "Hide setup" : "Edit room";
-
-  elements.playerSelect.innerHTML = state.data.players
-    .map((player) => `<option value="${player.id}">${player.name}</option>`)
-    .join("");
+  if (state.showSetup && !elements.setupPlayers.children.length) renderSetupPlayers();
+  elements.roomSection.classList.toggle("hidden", !state.showRoom || !state.data.players.length);
+  elements.toggleSetup.textContent = state.showRoom ? "Hide room" : "Edit room";
 
-  if (!state.data.players.find((p) => p.id === state.playerId)) {
-    state.playerId = state.data.players[0]?.id || "";
-    localStorage.setItem("t20_playerId", state.playerId);
+  state.playerId = state.data.session?.playerId || "";
+  if (!players.find((p) => p.id === state.loginPlayerId)) {
+    state.loginPlayerId = players[0]?.id || "";
   }
-  elements.playerSelect.value = state.playerId;
 
+  renderSession();
   renderScheduleMeta();
   renderStats();
   renderScoreboard();
+  renderOutrights();
+  renderBracket();
+  renderLedgerCard();
+  renderAuditCard();
   renderMatches();
 }
 
@@ -379,32 +1392,319 @@ async function refresh() {
   render();
 }
 
-elements.playerSelect.addEventListener("change", (event) => {
-  state.playerId = event.target.value;
-  localStorage.setItem("t20_playerId", state.playerId);
-  render();
-});
-
-elements.adminPin.addEventListener("input", (event) => {
-  state.adminPin = event.target.value;
-  localStorage.setItem("t20_adminPin", state.adminPin);
-});
+function isEditing(container) {
+  const active = document.activeElement;
+  return Boolean(active && container.contains(active) && ["INPUT", "SELECT", "TEXTAREA"].includes(active.tagName));
+}
 
-elements.toggleSetup.addEventListener("click", () => {
-  state.showSetup = !state.showSetup;
-  render();
-});
+function queueLiveUpdate(change) {
+  const { pending } = state.live;
+  if (change.room) pending.room = true;
+  (change.matchIds || []).forEach((id) => pending.matchIds.add(id));
+  clearTimeout(state.live.timer);
+  // One update at a time, so a slow response never overwrites a newer one.
+  state.live.timer = setTimeout(() => {
+    state.live.queue = state.live.queue.then(applyLiveUpdate).catch(() => {});
+  }, LIVE_DEBOUNCE_MS);
+}
 
-elements.scheduleSync.addEventListener("click", async () => {
-  elements.scheduleSync.disabled = true;
-  elements.scheduleSync.textContent = "Syncing...";
+// Room-wide changes re-render everything, so they wait until nobody is typing. Match changes swap
+// just those cards, skipping any card with a half-typed pick; skipped work runs again on blur.
+async function applyLiveUpdate() {
+  const { room, matchIds } = state.live.pending;
+  if (!state.data || (!room && !matchIds.size)) return;
+  if (room && isEditing(document.body)) return;
+  state.live.pending = { room: false, matchIds: new Set() };
+  const previous = state.data;
   try {
-    const result = await api("/api/schedule/import", {
-      method: "POST",
-      body: { adminPin: state.adminPin }
-    });
-    state.scheduleNotice = {
-      type: "success",
+    state.data = await api("/api/state");
+  } catch (err) {
+    // Keep the work for the next change or reconnect rather than retrying in a loop.
+    state.live.pending.room = state.live.pending.room || room;
+    matchIds.forEach((id) => state.live.pending.matchIds.add(id));
+    return;
+  }
+  if (room) {
+    render();
+    return;
+  }
+  renderSession();
+  renderStats();
+  renderScoreboard();
+  updateMatchCards(previous, matchIds);
+}
+
+function updateMatchCards(previous, matchIds) {
+  let relayout = false;
+  for (const id of matchIds) {
+    const before = previous.matches.find((match) => match.id === id);
+    const match = state.data.matches.find((m) => m.id === id);
+    if (!before || !match || isMatchDone(before) !== isMatchDone(match) || before.matchDate !== match.matchDate) {
+      relayout = true;
+      continue;
+    }
+    elements.matches.querySelectorAll(`[data-match-card="${id}"]`).forEach((card) => {
+      if (isEditing(card)) {
+        state.live.pending.matchIds.add(id);
+        return;
+      }
+      card.outerHTML = buildMatchCard(match, {
+        collapsed: card.querySelector(`[data-details="${id}"]`).classList.contains("hidden"),
+        showToggle: Boolean(card.querySelector("[data-action=\"toggle-details\"]")),
+        variant: card.classList.contains("match-compact") ? "compact" : "default"
+      });
+    });
+  }
+  if (!relayout) return;
+  if (isEditing(elements.matches)) {
+    matchIds.forEach((id) => state.live.pending.matchIds.add(id));
+    return;
+  }
+  renderMatches();
+}
+
+function startLivePolling() {
+  if (state.live.pollTimer) return;
+  const poll = async () => {
+    try {
+      const result = await api(`/api/events/poll?since=${state.live.seq ?? ""}`);
+      if (result.resync) queueLiveUpdate({ room: true });
+      result.events.forEach(queueLiveUpdate);
+      state.live.seq = result.seq;
+    } catch (err) {
+      // The server is unreachable; try again on the next tick.
+    }
+  };
+  poll();
+  state.live.pollTimer = setInterval(poll, LIVE_POLL_MS);
+}
+
+// EventSource reconnects by itself and resends the last event id, so the server replays what was
+// missed. If the stream never delivers its "hello" (a proxy is buffering it), fall back to polling.
+function connectLive() {
+  if (!window.EventSource) {
+    startLivePolling();
+    return;
+  }
+  const source = new EventSource("/api/events");
+  const waitForHello = () => {
+    clearTimeout(state.live.helloTimer);
+    state.live.helloTimer = setTimeout(() => {
+      source.close();
+      startLivePolling();
+    }, LIVE_HELLO_TIMEOUT_MS);
+  };
+  waitForHello();
+  source.addEventListener("hello", (event) => {
+    clearTimeout(state.live.helloTimer);
+    const { seq } = JSON.parse(event.data);
+    if (state.live.seq !== null && seq !== state.live.seq) queueLiveUpdate({ room: true });
+    state.live.seq = seq;
+  });
+  source.addEventListener("change", (event) => {
+    const change = JSON.parse(event.data);
+    state.live.seq = change.seq;
+    queueLiveUpdate(change);
+  });
+  source.addEventListener("resync", () => queueLiveUpdate({ room: true }));
+  source.addEventListener("error", () => {
+    if (source.readyState === EventSource.CLOSED) {
+      clearTimeout(state.live.helloTimer);
+      setTimeout(connectLive, LIVE_HELLO_TIMEOUT_MS);
+      return;
+    }
+    waitForHello();
+  });
+}
+
+elements.playerSession.addEventListener("change", (event) => {
+  if (event.target.name !== "loginPlayer") return;
+  state.loginPlayerId = event.target.value;
+  localStorage.setItem("t20_playerId", state.loginPlayerId);
+  renderSession();
+});
+
+elements.playerSession.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  try {
+    await api("/api/session", {
+      method: "POST",
+      body: { playerId: state.loginPlayerId, pin: form.pin.value }
+    });
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.playerSession.addEventListener("click", async (event) => {
+  const target = event.target.closest("button");
+  if (!target || !target.dataset.action) return;
+  try {
+    if (target.dataset.action === "logout") {
+      await api("/api/session/logout", { method: "POST" });
+    }
+    if (target.dataset.action === "change-pin") {
+      const pin = prompt("New PIN (at least 4 digits)");
+      if (!pin) return;
+      await api("/api/session/pin", { method: "POST", body: { pin } });
+    }
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.adminSession.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  try {
+    await api("/api/admin/session", { method: "POST", body: { pin: event.target.pin.value } });
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.adminSession.addEventListener("click", async (event) => {
+  const target = event.target.closest("button");
+  if (!target || target.dataset.action !== "admin-logout") return;
+  try {
+    await api("/api/admin/logout", { method: "POST" });
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.toggleSetup.addEventListener("click", () => {
+  state.showRoom = !state.showRoom;
+  if (state.showRoom) fillRoomForm();
+  render();
+});
+
+elements.showReset.addEventListener("click", () => {
+  state.showSetup = !state.showSetup;
+  render();
+});
+
+elements.roomRoster.addEventListener("click", async (event) => {
+  const linkTarget = event.target.closest("[data-join-link]");
+  const resetTarget = event.target.closest("[data-reset-pin]");
+  if (!linkTarget && !resetTarget) return;
+  const playerId = linkTarget ? linkTarget.dataset.joinLink : resetTarget.dataset.resetPin;
+  const body = resetTarget ? { resetPin: true } : {};
+  if (resetTarget && !confirm("Clear this player's PIN and log them out?")) return;
+  try {
+    const response = await api(`/api/players/${playerId}/join-link`, { method: "POST", body });
+    const url = `${window.location.origin}${response.joinPath}`;
+    if (linkTarget) {
+      prompt("Share this join link with the player:", url);
+    } else {
+      alert("PIN cleared. The player can choose a new one at their next login.");
+      await refresh();
+    }
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.roomForm.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const players = Array.from(elements.roomRoster.querySelectorAll("[data-player-id]")).map((row) => ({
+    id: row.dataset.playerId,
+    name: row.querySelector("[name=playerName]").value,
+    retired: row.querySelector("[name=playerRetired]").checked
+  }));
+  if (form.newPlayer.value.trim()) {
+    players.push({ name: form.newPlayer.value });
+  }
+  const markets = {};
+  elements.roomMarkets.querySelectorAll("[data-market-id]").forEach((row) => {
+    markets[row.dataset.marketId] = {
+      enabled: row.querySelector("[name=marketEnabled]").checked,
+      points: row.querySelector("[name=marketPoints]").value,
+      lock: row.querySelector("[name=marketLock]").value
+    };
+  });
+  const outrights = {};
+  elements.roomOutrights.querySelectorAll("[data-outright-id]").forEach((row) => {
+    outrights[row.dataset.outrightId] = {
+      enabled: row.querySelector("[name=outrightEnabled]").checked,
+      points: row.querySelector("[name=outrightPoints]").value,
+      settleStage: row.querySelector("[name=outrightStage]").value
+    };
+  });
+  const body = {
+    roomName: form.roomName.value,
+    bonusExact: form.bonusExact.value,
+    minScore: form.minScore.value,
+    maxScore: form.maxScore.value,
+    lockMinutesBeforeStart: form.lockMinutesBeforeStart.value,
+    scheduleProvider: form.scheduleProvider.value,
+    scheduleFeedUrl: form.scheduleFeedUrl.value,
+    teamAliases: form.teamAliases.value,
+    scoring: {
+      scheme: form.scoringScheme.value,
+      tieMode: form.tieMode.value,
+      closestPoints: form.closestPoints.value,
+      bands: form.scoringBands.value,
+      rankPoints: form.rankPoints.value,
+      proportionalMax: form.proportionalMax.value,
+      proportionalRange: form.proportionalRange.value,
+      stageWeights: form.stageWeights.value
+    },
+    markets,
+    outrights,
+    coins: { enabled: form.coinsEnabled.checked, startingBalance: form.coinsStart.value },
+    settlement: { entryAmount: form.entryAmount.value, currency: form.currency.value },
+    predictionEdits: {
+      mode: form.editMode.value,
+      cutoffMinutes: form.editCutoffMinutes.value,
+      penaltyPoints: form.editPenaltyPoints.value
+    },
+    powerups: {
+      enabled: form.powerupsEnabled.checked,
+      jokers: form.jokersPerPlayer.value,
+      shields: form.shieldsPerPlayer.value
+    },
+    bracket: {
+      enabled: form.bracketEnabled.checked,
+      deadline: form.bracketDeadline.value ? new Date(form.bracketDeadline.value).toISOString() : null,
+      advancePerGroup: form.bracketAdvance.value,
+      groupPoints: form.bracketGroupPoints.value,
+      knockoutPoints: form.bracketKnockoutPoints.value
+    },
+    usePin: form.usePin.checked,
+    newAdminPin: form.newAdminPin.value,
+    players
+  };
+
+  try {
+    const response = await api("/api/room", { method: "POST", body });
+    if (response.locksUpdated) {
+      state.scheduleNotice = {
+        type: "success",
+        text: `Room saved. Updated ${response.locksUpdated} lock times.`
+      };
+    } else {
+      state.scheduleNotice = { type: "success", text: "Room saved." };
+    }
+    await refresh();
+    fillRoomForm();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.scheduleSync.addEventListener("click", async () => {
+  elements.scheduleSync.disabled = true;
+  elements.scheduleSync.textContent = "Syncing...";
+  try {
+    const result = await api("/api/schedule/import", { method: "POST" });
+    state.scheduleNotice = {
+      type: "success",
       text: `Synced ${result.result.created} new, updated ${result.result.updated} (${result.result.total} total).`
     };
     await refresh();
@@ -417,14 +1717,68 @@ elements.scheduleSync.addEventListener("click", async () => {
   }
 });
 
+elements.recalcStandings.addEventListener("click", async () => {
+  try {
+    state.recalcPreview = await api("/api/standings/recalculate", { method: "POST", body: { confirm: false } });
+  } catch (err) {
+    state.recalcPreview = null;
+    alert(err.message);
+  }
+  renderRecalcPreview();
+});
+
+elements.recalcPreview.addEventListener("click", async (event) => {
+  const action = event.target.dataset.action;
+  if (action === "cancel-recalc") {
+    state.recalcPreview = null;
+    renderRecalcPreview();
+    return;
+  }
+  if (action !== "apply-recalc") return;
+  try {
+    const result = await api("/api/standings/recalculate", { method: "POST", body: { confirm: true } });
+    state.recalcPreview = null;
+    state.scheduleNotice = {
+      type: "success",
+      text: `Standings recalculated (${result.resultsChanged} innings updated).`
+    };
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+  renderRecalcPreview();
+});
+
+elements.scheduleImport.addEventListener("click", () => {
+  elements.scheduleFile.click();
+});
+
+elements.scheduleFile.addEventListener("change", async () => {
+  const file = elements.scheduleFile.files[0];
+  if (!file) return;
+  const extension = file.name.split(".").pop().toLowerCase();
+  const provider = { csv: "csv", ics: "ical", json: "fixturedownload" }[extension];
+  try {
+    const content = await file.text();
+    const result = await api("/api/schedule/import", { method: "POST", body: { provider, content } });
+    state.scheduleNotice = {
+      type: "success",
+      text: `Imported ${file.name}: ${result.result.created} new, updated ${result.result.updated} (${result.result.total} total).`
+    };
+    await refresh();
+  } catch (err) {
+    state.scheduleNotice = { type: "error", text: err.message };
+    renderScheduleMeta();
+  } finally {
+    elements.scheduleFile.value = "";
+  }
+});
+
 elements.tossSync.addEventListener("click", async () => {
   elements.tossSync.disabled = true;
   elements.tossSync.textContent = "Syncing...";
   try {
-    const result = await api("/api/toss/sync", {
-      method: "POST",
-      body: { adminPin: state.adminPin }
-    });
+    const result = await api("/api/toss/sync", { method: "POST" });
     if (result.result?.skipped) {
       state.scheduleNotice = { type: "notice", text: result.result.reason || "No toss updates." };
     } else {
@@ -443,12 +1797,42 @@ elements.tossSync.addEventListener("click", async () => {
   }
 });
 
+elements.scheduleMeta.addEventListener("click", async (event) => {
+  const button = event.target.closest("button[data-action='run-job']");
+  if (!button) return;
+  button.disabled = true;
+  try {
+    const { result } = await api(`/api/jobs/${button.dataset.job}/run`, { method: "POST" });
+    state.scheduleNotice = result?.error
+      ? { type: "error", text: result.error }
+      : { type: "success", text: `Ran ${button.dataset.job}.` };
+    await refresh();
+  } catch (err) {
+    state.scheduleNotice = { type: "error", text: err.message };
+    renderScheduleMeta();
+  }
+});
+
+elements.addPlayerRow.addEventListener("click", () => {
+  state.setupPlayers = [...readSetupPlayers(), ""];
+  renderSetupPlayers();
+});
+
+elements.setupPlayers.addEventListener("click", (event) => {
+  const target = event.target.closest("[data-remove-player]");
+  if (!target) return;
+  const names = readSetupPlayers();
+  names.splice(Number(target.dataset.removePlayer), 1);
+  state.setupPlayers = names;
+  renderSetupPlayers();
+});
+
 elements.setupForm.addEventListener("submit", async (event) => {
   event.preventDefault();
   const form = event.target;
   const body = {
     roomName: form.roomName.value,
-    players: [form.player1.value, form.player2.value, form.player3.value, form.player4.value],
+    players: readSetupPlayers(),
     usePin: form.usePin.checked,
     adminPin: form.adminPin.value,
     bonusExact: form.bonusExact.value,
@@ -475,6 +1859,125 @@ elements.setupForm.addEventListener("submit", async (event) => {
   }
 });
 
+elements.outrights.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  try {
+    if (form.dataset.action === "outright-predict") {
+      await api(`/api/outrights/${form.dataset.outright}/predict`, {
+        method: "POST",
+        body: { value: readOutrightInput(form, "pick") }
+      });
+    }
+    if (form.dataset.action === "settle-outrights") {
+      const results = {};
+      state.data.outrights.definitions.forEach((definition) => {
+        if (state.data.outrights.ready[definition.id] && form.querySelector(`[name="${definition.id}"]`)) {
+          results[definition.id] = readOutrightInput(form, definition.id);
+        }
+      });
+      await api("/api/outrights/settle", { method: "POST", body: { results } });
+    }
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.showSettlement.addEventListener("click", async () => {
+  try {
+    await loadSettlement();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.downloadSettlement.addEventListener("click", () => {
+  window.location.href = "/api/settlement.csv";
+});
+
+elements.printSettlement.addEventListener("click", () => {
+  window.open("/settlement", "_blank", "noopener");
+});
+
+elements.showLedger.addEventListener("click", async () => {
+  try {
+    await loadLedger();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.ledgerPlayer.addEventListener("change", async () => {
+  try {
+    await loadLedger();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.showAudit.addEventListener("click", async () => {
+  try {
+    await loadAudit();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.auditMatch.addEventListener("change", async () => {
+  try {
+    await loadAudit();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.auditPlayer.addEventListener("change", async () => {
+  try {
+    await loadAudit();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+elements.bracket.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  const form = event.target;
+  const fields = (prefix) => {
+    const values = {};
+    for (const field of form.elements) {
+      if (!field.name?.startsWith(prefix)) continue;
+      const key = field.name.slice(prefix.length);
+      values[key] = values[key] === undefined ? field.value : [].concat(values[key], field.value);
+    }
+    return values;
+  };
+  try {
+    if (form.dataset.action === "bracket-picks") {
+      const groups = fields("group:");
+      Object.keys(groups).forEach((key) => {
+        groups[key] = [].concat(groups[key]).filter(Boolean);
+      });
+      await api("/api/bracket", { method: "POST", body: { groups, winners: fields("winner:") } });
+    }
+    if (form.dataset.action === "bracket-results") {
+      const slotsA = fields("slotA:");
+      const slotsB = fields("slotB:");
+      const slots = {};
+      Object.keys(slotsA).forEach((id) => {
+        slots[id] = { teamA: slotsA[id], teamB: slotsB[id] };
+      });
+      await api("/api/bracket/results", {
+        method: "POST",
+        body: { groups: fields("qualifiers:"), winners: fields("override:"), slots }
+      });
+    }
+    await refresh();
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
 elements.matches.addEventListener("submit", async (event) => {
   event.preventDefault();
   const form = event.target;
@@ -484,10 +1987,12 @@ elements.matches.addEventListener("submit", async (event) => {
   if (action === "predict") {
     const score = form.score.value;
     const innings = Number(form.dataset.innings || 1);
+    const stake = form.stake ? form.stake.value : undefined;
     try {
       await api(`/api/matches/${id}/predict`, {
         method: "POST",
-        body: { playerId: state.playerId, score, innings }
+        body: { score, innings, stake },
+        retryOnConflict: true
       });
       await refresh();
     } catch (err) {
@@ -495,30 +2000,98 @@ elements.matches.addEventListener("submit", async (event) => {
     }
   }
 
+  if (action === "market-predict") {
+    try {
+      await api(`/api/matches/${id}/markets/${form.dataset.market}/predict`, {
+        method: "POST",
+        body: { value: form.pick.value },
+        retryOnConflict: true
+      });
+      await refresh();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  if (action === "settle-markets") {
+    const results = {};
+    for (const field of form.elements) {
+      if (field.name) results[field.name] = field.value;
+    }
+    try {
+      await api(`/api/matches/${id}/markets/settle`, { method: "POST", body: { results } });
+      await refresh();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   if (action === "score") {
     const actualScore = form.actualScore.value;
     const innings = Number(form.dataset.innings || 1);
-    const body = { actualScore, adminPin: state.adminPin, innings };
+    const body = { actualScore, innings };
     if (innings === 1 && form.innings2StartTime?.value) {
       body.innings2StartTime = new Date(form.innings2StartTime.value).toISOString();
     }
     try {
-      await api(`/api/matches/${id}/score`, { method: "POST", body });
+      const result = await api(`/api/matches/${id}/score`, { method: "POST", body });
+      await refresh();
+      showUndoToast(id, result.undo);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  if (action === "overs") {
+    try {
+      await api(`/api/matches/${id}/overs`, {
+        method: "POST",
+        body: { innings: form.dataset.innings, overs: form.overs.value, mode: form.mode.value }
+      });
       await refresh();
     } catch (err) {
       alert(err.message);
     }
   }
 
+  if (action === "super-over") {
+    try {
+      await api(`/api/matches/${id}/super-over`, {
+        method: "POST",
+        body: {
+          status: form.superOverStatus.value,
+          winner: form.superOverWinner.value,
+          score: form.superOverScore.value
+        }
+      });
+      await refresh();
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  if (action === "match-state") {
+    const matchState = form.matchState.value;
+    if (matchState && !confirm("Void this match's predictions and refund its stakes?")) return;
+    try {
+      const result = await api(`/api/matches/${id}/state`, { method: "POST", body: { state: matchState } });
+      await refresh();
+      showUndoToast(id, result.undo);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
   if (action === "toss") {
     const winner = form.winner.value;
     const decision = form.decision.value;
     try {
-      await api(`/api/matches/${id}/toss`, {
+      const result = await api(`/api/matches/${id}/toss`, {
         method: "POST",
-        body: { winner, decision, adminPin: state.adminPin }
+        body: { winner, decision }
       });
       await refresh();
+      showUndoToast(id, result.undo);
     } catch (err) {
       alert(err.message);
     }
@@ -543,19 +2116,51 @@ elements.matches.addEventListener("click", async (event) => {
   if (!action || !id) return;
 
   try {
+    let result = null;
     if (action === "lock") {
-      await api(`/api/matches/${id}/lock`, {
+      result = await api(`/api/matches/${id}/lock`, {
         method: "POST",
-        body: { adminPin: state.adminPin, innings: target.dataset.innings }
+        body: { innings: target.dataset.innings }
       });
     }
     if (action === "reopen") {
-      await api(`/api/matches/${id}/reopen`, {
+      result = await api(`/api/matches/${id}/reopen`, { method: "POST" });
+    }
+    if (action === "undo") {
+      hideToast();
+      await api(`/api/matches/${id}/undo`, { method: "POST" });
+    }
+    if (action === "powerup") {
+      await api(`/api/matches/${id}/powerups`, {
+        method: "POST",
+        body: { innings: target.dataset.innings, kind: target.dataset.kind, played: Boolean(target.dataset.played) },
+        retryOnConflict: true
+      });
+    }
+    if (action === "void-pool" || action === "restore-pool") {
+      if (action === "void-pool" && !confirm("Void this pool and refund every stake?")) return;
+      await api(`/api/matches/${id}/pool`, {
         method: "POST",
-        body: { adminPin: state.adminPin }
+        body: { innings: target.dataset.innings, void: action === "void-pool" }
       });
     }
     await refresh();
+    if (result) showUndoToast(id, result.undo);
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document.addEventListener("focusout", () => {
+  setTimeout(() => queueLiveUpdate({}), 0);
+});
+
+elements.toastUndo.addEventListener("click", async () => {
+  const id = elements.toast.dataset.id;
+  hideToast();
+  try {
+    await api(`/api/matches/${id}/undo`, { method: "POST" });
+    await refresh();
   } catch (err) {
     alert(err.message);
   }
@@ -569,4 +2174,4 @@ elements.tabs.forEach((tab) => {
   });
 });
 
-refresh();
+refresh().then(connectLive);
@@ -0,0 +1,18 @@
+// Escapes text for HTML and attribute values. Loaded by the page as a plain script and required by
+// the server for the printable settle-up page, so both share one implementation.
+(function (root) {
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = { escapeHtml };
+  } else {
+    root.escapeHtml = escapeHtml;
+  }
+})(this);
@@ -0,0 +1,51 @@
+// Every saved innings prediction is kept as a revision { score, at, penalty }, oldest first.
+// Predictions only open once the toss is in, so any change to a prediction is a change after the toss.
+//   unlimited - change freely until the innings locks
+//   cutoff    - changes stop `cutoffMinutes` before the lock (a first prediction is still allowed)
+//   penalty   - every change costs `penaltyPoints`; the penalty is fixed on the revision when it is made
+const EDIT_MODES = {
+  unlimited: "Unlimited edits",
+  cutoff: "No changes close to the lock",
+  penalty: "Points penalty per change"
+};
+
+function defaultEditSettings() {
+  return { mode: "unlimited", cutoffMinutes: 30, penaltyPoints: 1 };
+}
+
+function getEditSettings(settings) {
+  return { ...defaultEditSettings(), ...(settings.predictionEdits || {}) };
+}
+
+function parseEditSettings(input, current) {
+  const edits = { ...defaultEditSettings(), ...current };
+  const body = input || {};
+  if (body.mode !== undefined) edits.mode = String(body.mode);
+  if (body.cutoffMinutes !== undefined) edits.cutoffMinutes = Number(body.cutoffMinutes);
+  if (body.penaltyPoints !== undefined) edits.penaltyPoints = Number(body.penaltyPoints);
+  if (!EDIT_MODES[edits.mode]) return { error: "Prediction edits must be unlimited, cutoff or penalty." };
+  if (!Number.isInteger(edits.cutoffMinutes) || edits.cutoffMinutes < 0 || edits.cutoffMinutes > 1440) {
+    return { error: "The edit cut-off must be a whole number of minutes from 0 to 1440." };
+  }
+  if (!Number.isFinite(edits.penaltyPoints) || edits.penaltyPoints < 0) {
+    return { error: "The change penalty must be zero or more points." };
+  }
+  return { predictionEdits: edits };
+}
+
+function getRevisions(match, inningsKey, playerId) {
+  return match.predictionHistory?.[inningsKey]?.[playerId] || [];
+}
+
+function getEditPenalty(match, inningsKey, playerId) {
+  return getRevisions(match, inningsKey, playerId).reduce((sum, revision) => sum + (revision.penalty || 0), 0);
+}
+
+module.exports = {
+  EDIT_MODES,
+  defaultEditSettings,
+  getEditSettings,
+  parseEditSettings,
+  getRevisions,
+  getEditPenalty
+};
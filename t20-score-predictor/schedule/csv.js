@@ -0,0 +1,105 @@
+// Header names are matched loosely so spreadsheets exported from different tools import as-is.
+const COLUMNS = {
+  matchNumber: ["match", "matchnumber", "matchno", "no", "number"],
+  roundNumber: ["round", "roundnumber"],
+  date: ["date", "dateutc", "datetime", "start", "starttime", "kickoff"],
+  time: ["time", "timeutc"],
+  teamA: ["teama", "home", "hometeam", "team1"],
+  teamB: ["teamb", "away", "awayteam", "team2"],
+  venue: ["venue", "location", "ground", "stadium"],
+  group: ["group", "pool"],
+  stage: ["stage", "phase"]
+};
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function parseDate(date, time) {
+  if (!date) return null;
+  const value = time ? `${date.trim()}T${time.trim()}` : date.trim().replace(" ", "T");
+  // Times without an explicit offset are treated as UTC, like the JSON feed.
+  const withZone = /[zZ]|[+-]\d\d:?\d\d$/.test(value) || !value.includes("T") ? value : `${value}Z`;
+  const parsed = new Date(withZone);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function parse(text) {
+  const [header, ...rows] = parseCsv(String(text).replace(/^\uFEFF/, ""));
+  if (!header) throw new Error("CSV file is empty.");
+  const keys = header.map((cell) => cell.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const index = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    index[field] = keys.findIndex((key) => aliases.includes(key));
+  }
+  if (index.teamA < 0 || index.teamB < 0 || index.date < 0) {
+    throw new Error("CSV needs date, home/team A and away/team B columns.");
+  }
+
+  return rows.map((cells, rowIndex) => {
+    const cell = (field) => (index[field] >= 0 ? String(cells[index[field]] || "").trim() : "");
+    const matchNumber = Number(cell("matchNumber"));
+    const roundNumber = Number(cell("roundNumber"));
+    const teamA = cell("teamA") || "TBD";
+    const teamB = cell("teamB") || "TBD";
+    const matchDate = parseDate(cell("date"), cell("time"));
+    const key = cell("matchNumber") || `${(matchDate || String(rowIndex)).slice(0, 10)}_${teamA}_${teamB}`;
+    return {
+      externalId: `csv_${key.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`,
+      matchNumber: cell("matchNumber") && Number.isFinite(matchNumber) ? matchNumber : null,
+      roundNumber: cell("roundNumber") && Number.isFinite(roundNumber) ? roundNumber : null,
+      teamA,
+      teamB,
+      venue: cell("venue") || "TBD",
+      group: cell("group") || null,
+      stage: cell("stage") || null,
+      matchDate
+    };
+  });
+}
+
+function stageFor(fixture) {
+  if (fixture.stage) return fixture.stage;
+  return fixture.group ? "Group Stage" : "League";
+}
+
+module.exports = {
+  id: "csv",
+  label: "CSV file",
+  parse,
+  stageFor
+};
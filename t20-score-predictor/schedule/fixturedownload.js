@@ -0,0 +1,60 @@
+function parseDateUtc(value) {
+  if (!value) return null;
+  const normalized = value.includes("T") ? value : value.replace(" ", "T");
+  const date = new Date(normalized);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+// Knockout names counted back from the last match, so they hold for any season of a competition.
+const KNOCKOUTS = [
+  { pattern: /t20-world-cup/i, playoffs: ["Semi Final", "Semi Final", "Final"], rest: "Super 8" },
+  { pattern: /ipl|indian-premier-league/i, playoffs: ["Qualifier 1", "Eliminator", "Qualifier 2", "Final"], rest: "League" },
+  { pattern: /big-bash|bbl/i, playoffs: ["Qualifier", "Knockout", "Challenger", "Final"], rest: "League" }
+];
+const DEFAULT_KNOCKOUTS = { playoffs: ["Final"], rest: "League" };
+
+function parse(text) {
+  let rows;
+  try {
+    rows = JSON.parse(text);
+  } catch (err) {
+    throw new Error("Expected JSON but received non-JSON response.");
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error("Schedule format is invalid.");
+  }
+  return rows.map((row) => {
+    const matchNumber = Number(row.MatchNumber);
+    const roundNumber = Number(row.RoundNumber);
+    return {
+      externalId: `fixture_${matchNumber}`,
+      matchNumber: Number.isFinite(matchNumber) ? matchNumber : null,
+      roundNumber: Number.isFinite(roundNumber) ? roundNumber : null,
+      teamA: String(row.HomeTeam || "TBD"),
+      teamB: String(row.AwayTeam || "TBD"),
+      venue: String(row.Location || "TBD"),
+      group: row.Group ? String(row.Group) : null,
+      matchDate: parseDateUtc(row.DateUtc)
+    };
+  });
+}
+
+function stageFor(fixture, fixtures, { url = "" } = {}) {
+  if (fixture.group) return "Group Stage";
+  const rules = KNOCKOUTS.find((rule) => rule.pattern.test(url)) || DEFAULT_KNOCKOUTS;
+  const ordered = fixtures
+    .filter((item) => !item.group)
+    .map((item) => item.matchNumber)
+    .sort((a, b) => a - b);
+  const fromEnd = ordered.length - 1 - ordered.indexOf(fixture.matchNumber);
+  const playoff = rules.playoffs[rules.playoffs.length - 1 - fromEnd];
+  return playoff || rules.rest;
+}
+
+module.exports = {
+  id: "fixturedownload",
+  label: "Fixture Download (JSON feed)",
+  parse,
+  stageFor
+};
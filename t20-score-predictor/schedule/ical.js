@@ -0,0 +1,93 @@
+const STAGE_PATTERNS = [
+  [/semi[\s-]?final/i, "Semi Final"],
+  [/qualifier\s*1/i, "Qualifier 1"],
+  [/qualifier\s*2/i, "Qualifier 2"],
+  [/eliminator/i, "Eliminator"],
+  [/challenger/i, "Challenger"],
+  [/quarter[\s-]?final/i, "Quarter Final"],
+  [/\bfinal\b/i, "Final"],
+  [/super\s*(8|eight)/i, "Super 8"],
+  [/super\s*(6|six)/i, "Super 6"],
+  [/\bgroup\b/i, "Group Stage"]
+];
+
+function unfold(text) {
+  return String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, " ").replace(/\\([,;\\])/g, "$1").trim();
+}
+
+function parseIcsDate(value) {
+  const found = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?Z?)?$/);
+  if (!found) return null;
+  const [, year, month, day, hour = "00", minute = "00", second = "00"] = found;
+  // Floating and TZID times are read as UTC; published fixture calendars almost always use UTC.
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second)).toISOString();
+}
+
+function splitTeams(summary) {
+  const main = summary.replace(/\s*[-–|:(].*$/, "").trim();
+  const found = main.match(/^(.+?)\s+(?:vs?\.?|versus|v\/s)\s+(.+)$/i);
+  if (!found) return null;
+  return { teamA: found[1].trim(), teamB: found[2].trim() };
+}
+
+function parse(text) {
+  const events = [];
+  let current = null;
+  for (const line of unfold(text)) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const [name, ...paramList] = line.slice(0, colon).split(";");
+    const params = Object.fromEntries(paramList.map((param) => param.split("=")));
+    current[name.toUpperCase()] = { value: line.slice(colon + 1), params };
+  }
+  if (!events.length) throw new Error("No events found in calendar.");
+
+  return events
+    .map((event) => {
+      const summary = unescapeText(event.SUMMARY?.value || "");
+      const teams = splitTeams(summary);
+      if (!teams) return null;
+      const description = unescapeText(event.DESCRIPTION?.value || "");
+      const numberMatch = `${summary} ${description}`.match(/\bmatch\s*(?:no\.?\s*)?(\d+)/i);
+      const groupMatch = `${summary} ${description}`.match(/\bgroup\s+([A-Z0-9])\b/i);
+      const uid = event.UID?.value || `${event.DTSTART?.value}-${summary}`;
+      return {
+        externalId: `ics_${uid.toLowerCase().replace(/[^a-z0-9@.]+/g, "-")}`,
+        matchNumber: numberMatch ? Number(numberMatch[1]) : null,
+        roundNumber: null,
+        ...teams,
+        venue: unescapeText(event.LOCATION?.value || "") || "TBD",
+        group: groupMatch ? `Group ${groupMatch[1].toUpperCase()}` : null,
+        summary: `${summary} ${unescapeText(event.CATEGORIES?.value || "")} ${description}`,
+        matchDate: event.DTSTART ? parseIcsDate(event.DTSTART.value) : null
+      };
+    })
+    .filter(Boolean);
+}
+
+function stageFor(fixture) {
+  const found = STAGE_PATTERNS.find(([pattern]) => pattern.test(fixture.summary));
+  if (found) return found[1];
+  return fixture.group ? "Group Stage" : "League";
+}
+
+module.exports = {
+  id: "ical",
+  label: "iCalendar (.ics)",
+  parse,
+  stageFor
+};
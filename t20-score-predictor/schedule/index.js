@@ -0,0 +1,31 @@
+const fixturedownload = require("./fixturedownload");
+const csv = require("./csv");
+const ical = require("./ical");
+
+const PROVIDERS = [fixturedownload, csv, ical];
+const DEFAULT_PROVIDER = fixturedownload.id;
+
+function getProvider(id) {
+  return PROVIDERS.find((provider) => provider.id === id) || null;
+}
+
+function listProviders() {
+  return PROVIDERS.map(({ id, label }) => ({ id, label }));
+}
+
+function parseSchedule(provider, text, context = {}) {
+  const fixtures = provider.parse(text);
+  return fixtures.map((fixture) => ({
+    externalId: fixture.externalId,
+    matchNumber: fixture.matchNumber ?? null,
+    roundNumber: fixture.roundNumber ?? null,
+    teamA: fixture.teamA,
+    teamB: fixture.teamB,
+    venue: fixture.venue,
+    group: fixture.group ?? null,
+    stage: provider.stageFor(fixture, fixtures, context),
+    matchDate: fixture.matchDate
+  }));
+}
+
+module.exports = { DEFAULT_PROVIDER, getProvider, listProviders, parseSchedule };
@@ -0,0 +1,92 @@
+function createScheduler({ log = console.log } = {}) {
+  const jobs = new Map();
+  let started = false;
+
+  function schedule(job, delayMs) {
+    clearTimeout(job.timer);
+    job.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    job.timer = setTimeout(() => {
+      runJob(job.name).finally(() => {
+        if (started) schedule(job, job.intervalMs);
+      });
+    }, delayMs);
+    job.timer.unref();
+  }
+
+  function register(name, { intervalMs, run, description = "", runOnStart = false }) {
+    jobs.set(name, {
+      name,
+      description,
+      intervalMs,
+      run,
+      runOnStart,
+      timer: null,
+      running: false,
+      runs: 0,
+      failures: 0,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastResult: null,
+      lastError: null,
+      nextRunAt: null
+    });
+  }
+
+  // Jobs run one at a time so they never race each other's writes to the store.
+  let queue = Promise.resolve();
+
+  function runJob(name) {
+    const job = jobs.get(name);
+    if (!job) return Promise.reject(new Error(`Unknown job: ${name}`));
+    if (job.running) return Promise.resolve({ skipped: true, reason: "Already running." });
+    job.running = true;
+    const run = queue.then(() => execute(job));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function execute(job) {
+    const { name } = job;
+    job.lastStartedAt = new Date().toISOString();
+    try {
+      const result = await job.run();
+      job.lastResult = result ?? null;
+      job.lastError = null;
+      return result;
+    } catch (err) {
+      job.failures += 1;
+      job.lastError = err.message || String(err);
+      log(`Job ${name} failed: ${job.lastError}`);
+      return { error: job.lastError };
+    } finally {
+      job.runs += 1;
+      job.running = false;
+      job.lastFinishedAt = new Date().toISOString();
+    }
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    for (const job of jobs.values()) {
+      schedule(job, job.runOnStart ? 0 : job.intervalMs);
+    }
+  }
+
+  function stop() {
+    started = false;
+    for (const job of jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  function status() {
+    return Array.from(jobs.values()).map(({ timer, run, ...job }) => job);
+  }
+
+  return { register, runJob, start, stop, status, has: (name) => jobs.has(name) };
+}
+
+module.exports = { createScheduler };
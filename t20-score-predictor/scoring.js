@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+
+const SCORING_SCHEMES = {
+  closest: "Closest guess wins",
+  bands: "Points by distance band",
+  ranked: "Ranked points (1st, 2nd, 3rd closest)",
+  proportional: "Proportional to accuracy"
+};
+const TIE_MODES = {
+  share: "Tied players each get full points",
+  split: "Tied players split the points"
+};
+
+function defaultScoringRules() {
+  return {
+    scheme: "closest",
+    tieMode: "share",
+    closestPoints: 1,
+    bands: [
+      { within: 5, points: 3 },
+      { within: 10, points: 1 }
+    ],
+    rankPoints: [3, 2, 1],
+    proportionalMax: 10,
+    proportionalRange: 50,
+    stageWeights: {}
+  };
+}
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Accepts "5:3, 10:1" from the room form or an array of { within, points }.
+function parseBands(value) {
+  const list = Array.isArray(value)
+    ? value
+    : String(value || "")
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+          const [within, points] = part.split(/[:=]/).map((item) => Number(item.trim()));
+          return { within, points };
+        });
+  return list
+    .map((band) => ({ within: Number(band.within), points: Number(band.points) }))
+    .sort((a, b) => a.within - b.within);
+}
+
+function parseRankPoints(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean).map(Number);
+}
+
+function parseStageWeights(value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([stage, weight]) => [stage.trim(), Number(weight)]));
+  }
+  const weights = {};
+  for (const part of String(value || "").split(/[,\n]/)) {
+    const [stage, weight] = part.split(/[:=]/);
+    if (!stage || !stage.trim()) continue;
+    weights[stage.trim()] = Number(String(weight || "").trim());
+  }
+  return weights;
+}
+
+function parseScoringRules(input, current = defaultScoringRules()) {
+  const rules = { ...defaultScoringRules(), ...current };
+  const body = input || {};
+  if (body.scheme !== undefined) rules.scheme = String(body.scheme);
+  if (body.tieMode !== undefined) rules.tieMode = String(body.tieMode);
+  if (body.closestPoints !== undefined) rules.closestPoints = Number(body.closestPoints);
+  if (body.bands !== undefined) rules.bands = parseBands(body.bands);
+  if (body.rankPoints !== undefined) rules.rankPoints = parseRankPoints(body.rankPoints);
+  if (body.proportionalMax !== undefined) rules.proportionalMax = Number(body.proportionalMax);
+  if (body.proportionalRange !== undefined) rules.proportionalRange = Number(body.proportionalRange);
+  if (body.stageWeights !== undefined) rules.stageWeights = parseStageWeights(body.stageWeights);
+
+  if (!SCORING_SCHEMES[rules.scheme]) return { error: "Unknown scoring scheme." };
+  if (!TIE_MODES[rules.tieMode]) return { error: "Unknown tie mode." };
+  if (!Number.isFinite(rules.closestPoints) || rules.closestPoints < 0) {
+    return { error: "Points for the closest guess must be zero or more." };
+  }
+  if (!rules.bands.every((band) => Number.isFinite(band.within) && band.within >= 0 && Number.isFinite(band.points))) {
+    return { error: "Distance bands must look like 5:3, 10:1." };
+  }
+  if (rules.scheme === "bands" && !rules.bands.length) {
+    return { error: "Add at least one distance band." };
+  }
+  if (!rules.rankPoints.length || !rules.rankPoints.every((points) => Number.isFinite(points) && points >= 0)) {
+    return { error: "Ranked points must be a list like 3, 2, 1." };
+  }
+  if (!(rules.proportionalMax > 0) || !(rules.proportionalRange > 0)) {
+    return { error: "Proportional scoring needs a positive maximum and range." };
+  }
+  if (!Object.values(rules.stageWeights).every((weight) => Number.isFinite(weight) && weight >= 0)) {
+    return { error: "Stage weights must look like Final: 2, Semi Final: 2." };
+  }
+  return { rules };
+}
+
+function getScoringRules(settings) {
+  return { ...defaultScoringRules(), ...(settings.scoring || {}) };
+}
+
+// Identifies the exact rules (and exact-score bonus) a result was produced with.
+function describeRuleSet(settings) {
+  const rules = getScoringRules(settings);
+  const fingerprint = JSON.stringify({ ...rules, bonusExact: settings.bonusExact || 0 });
+  return {
+    id: crypto.createHash("sha256").update(fingerprint).digest("hex").slice(0, 12),
+    scheme: rules.scheme,
+    tieMode: rules.tieMode,
+    bonusExact: settings.bonusExact || 0
+  };
+}
+
+function getStageWeight(rules, stage) {
+  const weights = rules.stageWeights || {};
+  const key = Object.keys(weights).find((name) => name.toLowerCase() === String(stage || "").toLowerCase());
+  return key ? weights[key] : 1;
+}
+
+// Groups entries by distance and hands out `pointsForPosition(index)` to each group,
+// shared in full or split across the positions the group occupies.
+function awardByRank(entries, tieMode, pointsForPosition) {
+  const points = {};
+  let position = 0;
+  const groups = [];
+  for (const entry of entries) {
+    const last = groups[groups.length - 1];
+    if (last && last.diff === entry.diff) last.players.push(entry.playerId);
+    else groups.push({ diff: entry.diff, players: [entry.playerId] });
+  }
+  for (const group of groups) {
+    const size = group.players.length;
+    let award = pointsForPosition(position);
+    if (tieMode === "split") {
+      let total = 0;
+      for (let index = 0; index < size; index += 1) total += pointsForPosition(position + index);
+      award = total / size;
+    }
+    group.players.forEach((playerId) => {
+      points[playerId] = award;
+    });
+    position += size;
+  }
+  return points;
+}
+
+function computeInningsResult(actualScore, predictions, players, settings, stage) {
+  if (actualScore == null) return null;
+  const rules = getScoringRules(settings);
+  const ruleSet = describeRuleSet(settings);
+  const weight = getStageWeight(rules, stage);
+  const entries = [];
+  for (const player of players) {
+    const prediction = predictions[player.id];
+    if (prediction == null) continue;
+    entries.push({ playerId: player.id, diff: Math.abs(prediction - actualScore) });
+  }
+  if (entries.length === 0) {
+    return { winners: [], closestDiff: null, points: {}, weight, ruleSet };
+  }
+  entries.sort((a, b) => a.diff - b.diff);
+  const closestDiff = entries[0].diff;
+  const winners = entries.filter((entry) => entry.diff === closestDiff).map((entry) => entry.playerId);
+
+  let base = {};
+  if (rules.scheme === "closest") {
+    base = awardByRank(entries, rules.tieMode, (position) => (position === 0 ? rules.closestPoints : 0));
+  } else if (rules.scheme === "ranked") {
+    base = awardByRank(entries, rules.tieMode, (position) => rules.rankPoints[position] || 0);
+  } else if (rules.scheme === "bands") {
+    for (const entry of entries) {
+      const band = rules.bands.find((item) => entry.diff <= item.within);
+      base[entry.playerId] = band ? band.points : 0;
+    }
+  } else if (rules.scheme === "proportional") {
+    for (const entry of entries) {
+      base[entry.playerId] = Math.max(0, rules.proportionalMax * (1 - entry.diff / rules.proportionalRange));
+    }
+  }
+
+  const points = {};
+  for (const entry of entries) {
+    const bonus = entry.diff === 0 ? settings.bonusExact || 0 : 0;
+    points[entry.playerId] = roundPoints(((base[entry.playerId] || 0) + bonus) * weight);
+  }
+  return { winners, closestDiff, points, weight, ruleSet };
+}
+
+module.exports = {
+  SCORING_SCHEMES,
+  TIE_MODES,
+  defaultScoringRules,
+  parseScoringRules,
+  getScoringRules,
+  describeRuleSet,
+  getStageWeight,
+  computeInningsResult
+};
@@ -0,0 +1,82 @@
+const path = require("path");
+const fs = require("fs");
+const { createPgStore } = require("../store/pg-store");
+const { createJsonStore, inningsPredictions } = require("../store/json-store");
+const { getMigrationStatus, migrationLabel } = require("../store/migrate");
+
+const USAGE = `Usage: npm run migrate -- [--status] [--import-json [file]] [--force]
+
+  (no flags)           Apply pending migrations to DATABASE_URL.
+  --status             List applied and pending migrations.
+  --import-json [file] Apply migrations, then copy a data.json file (default: ./data.json)
+                       into Postgres. Refuses to overwrite a non-empty database unless --force.`;
+
+async function importJson(store, file, force) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No JSON data at ${file}.`);
+  }
+  const existing = await store.load();
+  if ((existing.players.length || existing.matches.length) && !force) {
+    throw new Error("Database already has players or matches. Re-run with --force to replace them.");
+  }
+  const data = await createJsonStore({ dataFile: file }).load();
+  data.matches.forEach((match) => {
+    match.predictions = inningsPredictions(match.predictions);
+  });
+  await store.replaceAll(data);
+  const predictions = data.matches.reduce(
+    (total, match) =>
+      total +
+      Object.values(match.predictions).reduce((sum, entries) => sum + Object.keys(entries).length, 0),
+    0
+  );
+  console.log(
+    `Imported ${data.players.length} players, ${data.matches.length} matches and ${predictions} predictions from ${file}.`
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes("--help")) {
+    console.log(USAGE);
+    return;
+  }
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is not set.");
+  }
+
+  const store = createPgStore({
+    databaseUrl: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : undefined
+  });
+  try {
+    if (args.includes("--status")) {
+      const status = await getMigrationStatus(store.pool);
+      for (const row of status.applied) {
+        console.log(
+          `applied  ${migrationLabel(row.version, row.name)}  ${new Date(row.applied_at).toISOString()}`
+        );
+      }
+      for (const migration of status.pending) {
+        console.log(`pending  ${migrationLabel(migration.version, migration.name)}`);
+      }
+      return;
+    }
+
+    await store.init();
+    const importIndex = args.indexOf("--import-json");
+    if (importIndex !== -1) {
+      const next = args[importIndex + 1];
+      const file = next && !next.startsWith("--") ? path.resolve(next) : path.join(__dirname, "..", "data.json");
+      await importJson(store, file, args.includes("--force"));
+    }
+    console.log("Database schema is up to date.");
+  } finally {
+    await store.pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
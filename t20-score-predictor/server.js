@@ -1,19 +1,96 @@
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const { promisify } = require("util");
 const https = require("https");
 const http = require("http");
-const { Pool } = require("pg");
-const { XMLParser } = require("fast-xml-parser");
 const express = require("express");
+const { createStore, defaultData, ConflictError } = require("./store");
+const { createScheduler } = require("./scheduler");
+const { createLiveFeed } = require("./live");
+const { escapeHtml } = require("./public/html");
+const { DEFAULT_PROVIDER, getProvider, listProviders, parseSchedule } = require("./schedule");
+const { parseTeamAliases, validateTeamAliases, createTeamRegistry } = require("./teams");
+const {
+  T20_OVERS,
+  parseGoalserveDateTime,
+  parseTossText,
+  parseGoalserveFeed,
+  getFeedInnings,
+  getFeedMatchState,
+  isFeedInningsComplete
+} = require("./goalserve");
+const {
+  SCORING_SCHEMES,
+  TIE_MODES,
+  parseScoringRules,
+  getScoringRules,
+  describeRuleSet,
+  getStageWeight,
+  computeInningsResult
+} = require("./scoring");
+const {
+  MARKET_DEFINITIONS,
+  MARKET_LOCKS,
+  listMarkets,
+  getMarketSettings,
+  parseMarketSettings,
+  parseMarketValue,
+  computeMarketResult
+} = require("./markets");
+const {
+  listOutrights,
+  getOutrightSettings,
+  getOutright,
+  parseOutrightSettings,
+  parseOutrightValue,
+  computeOutrightResult
+} = require("./outrights");
+const {
+  getBracketSettings,
+  parseBracketSettings,
+  groupKey,
+  parseSlot,
+  computeGroupTables,
+  resolveSlot,
+  scoreBracket
+} = require("./bracket");
+const {
+  getCoinSettings,
+  parseCoinSettings,
+  getBalances,
+  getStakes,
+  getSettled,
+  splitPot
+} = require("./coins");
+const {
+  getSettlementSettings,
+  parseSettlementSettings,
+  formatMoney,
+  computeSettlement,
+  settlementToCsv
+} = require("./settlement");
+const {
+  POWERUP_KINDS,
+  getPowerupSettings,
+  parsePowerupSettings,
+  hasPowerup,
+  countPlayed,
+  getAllowance
+} = require("./powerups");
+const { EDIT_MODES, getEditSettings, parseEditSettings, getEditPenalty } = require("./revisions");
+const { AUDIT_ACTIONS, PICK_ACTIONS, AUDIT_FIELDS, HIDDEN, diffFields } = require("./audit");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, "data.json");
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, "data.json");
 const SCHEDULE_FEED_URL =
   process.env.SCHEDULE_FEED_URL ||
   "https://fixturedownload.com/feed/json/mens-t20-world-cup-2026";
 const GOALSERVE_TOSS_FEED_URL = process.env.GOALSERVE_TOSS_FEED_URL || "";
+const FEED_TIMEOUT_MS = 15000;
+const FEED_MAX_REDIRECTS = 5;
 const TOSS_SYNC_INTERVAL_MS = Math.max(
   15000,
   Number(process.env.TOSS_SYNC_INTERVAL_SECONDS || 60) * 1000
@@ -22,322 +99,340 @@ const TOSS_SYNC_WINDOW_MINUTES = Math.max(
   60,
   Number(process.env.TOSS_SYNC_WINDOW_MINUTES || 360)
 );
-const USE_DB = Boolean(process.env.DATABASE_URL);
-const pool = USE_DB
-  ? new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : undefined
-    })
-  : null;
-let dbInitialized = false;
-
+const INNINGS_BREAK_MINUTES = Math.max(
+  0,
+  Number(process.env.INNINGS_BREAK_MINUTES || 10)
+);
+// Innings that will never be played out: their predictions and stakes are void.
+const VOID_STATUSES = ["abandoned", "no-result"];
+const REDUCED_OVERS_MODES = ["void", "scale"];
+const SUPER_OVER_STATUSES = ["open", "locked", "scored", "not-played"];
+const UNDO_WINDOW_MS = Math.max(0, Number(process.env.UNDO_WINDOW_MINUTES || 5)) * 60 * 1000;
+const UNDO_ACTIONS = {
+  toss: "Toss set",
+  lock: "Innings locked",
+  score: "Innings scored",
+  state: "Match state changed",
+  reopen: "Match reopened"
+};
+const LOCK_CHECK_INTERVAL_MS = Math.max(
+  5000,
+  Number(process.env.LOCK_CHECK_INTERVAL_SECONDS || 30) * 1000
+);
+const SCHEDULE_SYNC_INTERVAL_MS = Math.max(
+  60 * 60 * 1000,
+  Number(process.env.SCHEDULE_SYNC_INTERVAL_HOURS || 24) * 60 * 60 * 1000
+);
+const SESSION_COOKIE = "t20_session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 50;
+const AUDIT_PAGE_SIZE = 200;
+const store = createStore({
+  databaseUrl: process.env.DATABASE_URL,
+  dataFile: DATA_FILE,
+  ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : undefined
+});
+const scheduler = createScheduler();
+const live = createLiveFeed();
+// Wrong-PIN counts per player id (and "admin"): { failures, lockedUntil }. Kept in memory, so a
+// restart clears them.
+const pinAttempts = new Map();
+const scrypt = promisify(crypto.scrypt);
+// Latest feed rows and team names that could not be paired, shown to admins so they can add aliases.
+const teamReport = { unmatchedFeedRows: [], unknownScheduleTeams: [], checkedAt: null };
+
+// Behind a proxy (Render, nginx) set TRUST_PROXY so the audit log records the client's IP
+// instead of the proxy's. Takes Express's values: "true", a hop count, or addresses.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
 app.use(express.json({ limit: "200kb" }));
 app.use(express.static(path.join(__dirname, "public")));
 
-function hashPin(pin) {
-  return crypto.createHash("sha256").update(String(pin)).digest("hex");
+// PINs set before salting were stored as a plain sha256; see verifyPin.
+function legacyPinHash(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+async function readData() {
+  return store.load();
+}
+
+async function ensureSessionSecret() {
+  const data = await readData();
+  if (!process.env.SESSION_SECRET && !data.settings.sessionSecret) {
+    data.settings.sessionSecret = crypto.randomBytes(32).toString("hex");
+    await store.saveSettings(data.settings);
+  }
 }
 
-function defaultData() {
+function snapshotData(data) {
   return {
-    settings: {
-      roomName: "T20 Score Predictions",
-      usePin: false,
-      adminPinHash: null,
-      bonusExact: 0,
-      minScore: 60,
-      maxScore: 300,
-      lockMinutesBeforeStart: 15,
-      scheduleSource: "Fixture Download (ICC schedule)",
-      lastScheduleSync: null,
-      tossAutoEnabled: true,
-      tossAutoSource: "Goalserve",
-      lastTossSync: null
-    },
-    players: [],
-    matches: []
+    settings: JSON.stringify(data.settings),
+    players: new Map(data.players.map((player) => [player.id, JSON.stringify(player)])),
+    matches: new Map(data.matches.map((match) => [match.id, JSON.stringify(match)])),
+    ledgerLength: data.ledger.length
   };
 }
 
-async function initDb() {
-  if (!USE_DB || dbInitialized) return;
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS settings (
-      id INTEGER PRIMARY KEY,
-      room_name TEXT NOT NULL,
-      use_pin BOOLEAN NOT NULL DEFAULT FALSE,
-      admin_pin_hash TEXT,
-      bonus_exact INTEGER NOT NULL DEFAULT 0,
-      min_score INTEGER NOT NULL DEFAULT 60,
-      max_score INTEGER NOT NULL DEFAULT 300,
-      lock_minutes_before_start INTEGER NOT NULL DEFAULT 15,
-      schedule_source TEXT,
-      last_schedule_sync TIMESTAMPTZ,
-      toss_auto_enabled BOOLEAN NOT NULL DEFAULT TRUE,
-      toss_auto_source TEXT,
-      last_toss_sync TIMESTAMPTZ
-    );
-  `);
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS players (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL
-    );
-  `);
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS matches (
-      id TEXT PRIMARY KEY,
-      external_id TEXT UNIQUE,
-      match_number INTEGER,
-      round_number INTEGER,
-      team_a TEXT,
-      team_b TEXT,
-      venue TEXT,
-      group_name TEXT,
-      stage TEXT,
-      match_date TIMESTAMPTZ,
-      lock_time TIMESTAMPTZ,
-      status TEXT NOT NULL,
-      predictions JSONB NOT NULL DEFAULT '{}'::jsonb,
-      actual_score INTEGER,
-      result JSONB,
-      goalserve_match_id TEXT,
-      innings1_status TEXT,
-      innings2_status TEXT,
-      innings1_lock_time TIMESTAMPTZ,
-      innings2_lock_time TIMESTAMPTZ,
-      innings1_score INTEGER,
-      innings2_score INTEGER,
-      toss_winner TEXT,
-      toss_decision TEXT
-    );
-  `);
-  await pool.query(`
-    ALTER TABLE matches
-      ADD COLUMN IF NOT EXISTS goalserve_match_id TEXT,
-      ADD COLUMN IF NOT EXISTS innings1_status TEXT,
-      ADD COLUMN IF NOT EXISTS innings2_status TEXT,
-      ADD COLUMN IF NOT EXISTS innings1_lock_time TIMESTAMPTZ,
-      ADD COLUMN IF NOT EXISTS innings2_lock_time TIMESTAMPTZ,
-      ADD COLUMN IF NOT EXISTS innings1_score INTEGER,
-      ADD COLUMN IF NOT EXISTS innings2_score INTEGER,
-      ADD COLUMN IF NOT EXISTS toss_winner TEXT,
-      ADD COLUMN IF NOT EXISTS toss_decision TEXT;
-  `);
-  await pool.query(`
-    ALTER TABLE settings
-      ADD COLUMN IF NOT EXISTS toss_auto_enabled BOOLEAN NOT NULL DEFAULT TRUE,
-      ADD COLUMN IF NOT EXISTS toss_auto_source TEXT,
-      ADD COLUMN IF NOT EXISTS last_toss_sync TIMESTAMPTZ;
-  `);
-  dbInitialized = true;
-}
-
-function rowToMatch(row) {
-  const innings1Lock =
-    row.innings1_lock_time || row.lock_time ? new Date(row.innings1_lock_time || row.lock_time) : null;
+async function saveChanges(data, before) {
+  await store.saveChanges({
+    settings: JSON.stringify(data.settings) !== before.settings ? data.settings : null,
+    players: data.players.filter((player) => before.players.get(player.id) !== JSON.stringify(player)),
+    matches: data.matches.filter((match) => before.matches.get(match.id) !== JSON.stringify(match)),
+    ledger: data.ledger.slice(before.ledgerLength)
+  });
+}
+
+async function withData(work, action) {
+  const data = await readData();
+  const before = snapshotData(data);
+  const result = await work(data);
+  await saveChanges(data, before);
+  if (action) await recordAudit(null, data, "system", collectChanges(data, before, action));
+  return result;
+}
+
+// `req` is null for background jobs.
+function makeAuditEntry(req, data, actor, fields) {
   return {
-    id: row.id,
-    externalId: row.external_id,
-    matchNumber: row.match_number,
-    roundNumber: row.round_number,
-    teamA: row.team_a,
-    teamB: row.team_b,
-    venue: row.venue,
-    group: row.group_name,
-    stage: row.stage,
-    matchDate: row.match_date ? new Date(row.match_date).toISOString() : null,
-    lockTime: row.lock_time ? new Date(row.lock_time).toISOString() : null,
-    status: row.status,
-    goalserveMatchId: row.goalserve_match_id || null,
-    innings1: {
-      status: row.innings1_status || row.status || "open",
-      lockTime: innings1Lock ? innings1Lock.toISOString() : null,
-      score: row.innings1_score ?? row.actual_score ?? null
-    },
-    innings2: {
-      status: row.innings2_status || "pending",
-      lockTime: row.innings2_lock_time ? new Date(row.innings2_lock_time).toISOString() : null,
-      score: row.innings2_score ?? null
-    },
-    predictions: row.predictions || {},
-    actualScore: row.actual_score,
-    result: row.result || null,
-    toss: row.toss_winner && row.toss_decision ? { winner: row.toss_winner, decision: row.toss_decision } : null
+    id: makeId("audit"),
+    at: new Date().toISOString(),
+    actor: req ? actor : "system",
+    actorPlayerId: req ? getSession(req, data).playerId : null,
+    matchId: null,
+    playerId: null,
+    subject: null,
+    before: null,
+    after: null,
+    ip: req ? req.ip || req.socket?.remoteAddress || null : null,
+    ...fields
   };
 }
 
-async function readData() {
-  if (!USE_DB) {
-    if (!fs.existsSync(DATA_FILE)) {
-      const initial = defaultData();
-      await saveData(initial);
-      return initial;
-    }
-    try {
-      const raw = fs.readFileSync(DATA_FILE, "utf-8");
-      const parsed = JSON.parse(raw);
-      const defaults = defaultData();
-      return {
-        ...defaults,
-        ...parsed,
-        settings: { ...defaults.settings, ...parsed.settings }
-      };
-    } catch (err) {
-      const fallback = defaultData();
-      await saveData(fallback);
-      return fallback;
-    }
+async function recordAudit(req, data, actor, entries) {
+  if (!entries.length) return;
+  await store.appendAudit(entries.map((fields) => makeAuditEntry(req, data, actor, fields)));
+  publishChanges(entries);
+}
+
+// Every saved change passes through the audit log, so that is where open browsers get told about it.
+// `room` covers anything outside a single match (settings, players, tournament picks).
+function publishChanges(entries) {
+  live.publish({
+    matchIds: [...new Set(entries.map((entry) => entry.matchId).filter(Boolean))],
+    room: entries.some((entry) => !entry.matchId),
+    actions: [...new Set(entries.map((entry) => entry.action))]
+  });
+}
+
+// One entry per changed setting block, player and match since `before`, plus the coin ledger
+// entries written for each match.
+function collectChanges(data, before, action) {
+  const entries = [];
+  const settings = diffFields(JSON.parse(before.settings), data.settings, AUDIT_FIELDS.settings);
+  if (settings) entries.push({ action, ...settings });
+  for (const player of data.players) {
+    const previous = before.players.get(player.id);
+    const diff = diffFields(previous ? JSON.parse(previous) : null, player, AUDIT_FIELDS.player);
+    if (diff) entries.push({ action, playerId: player.id, ...diff });
+  }
+  for (const match of data.matches) {
+    const previous = before.matches.get(match.id);
+    const diff = diffFields(previous ? JSON.parse(previous) : null, match, AUDIT_FIELDS.match);
+    if (diff) entries.push({ action, matchId: match.id, ...diff });
+  }
+  const ledgerByMatch = new Map();
+  for (const entry of data.ledger.slice(before.ledgerLength)) {
+    const rows = ledgerByMatch.get(entry.matchId) || [];
+    rows.push({ playerId: entry.playerId, innings: entry.innings, type: entry.type, amount: entry.amount });
+    ledgerByMatch.set(entry.matchId, rows);
   }
+  for (const [matchId, ledger] of ledgerByMatch) {
+    entries.push({ action, matchId, subject: "coins", after: { ledger } });
+  }
+  return entries;
+}
 
-  await initDb();
-  const defaults = defaultData();
-  const settingsResult = await pool.query("SELECT * FROM settings WHERE id = 1");
-  const settingsRow = settingsResult.rows[0];
-  const settings = settingsRow
-    ? {
-        roomName: settingsRow.room_name,
-        usePin: settingsRow.use_pin,
-        adminPinHash: settingsRow.admin_pin_hash,
-        bonusExact: settingsRow.bonus_exact,
-        minScore: settingsRow.min_score,
-        maxScore: settingsRow.max_score,
-        lockMinutesBeforeStart: settingsRow.lock_minutes_before_start,
-        scheduleSource: settingsRow.schedule_source,
-        lastScheduleSync: settingsRow.last_schedule_sync
-          ? new Date(settingsRow.last_schedule_sync).toISOString()
-          : null,
-        tossAutoEnabled: settingsRow.toss_auto_enabled ?? true,
-        tossAutoSource: settingsRow.toss_auto_source || "Goalserve",
-        lastTossSync: settingsRow.last_toss_sync
-          ? new Date(settingsRow.last_toss_sync).toISOString()
-          : null
-      }
-    : defaults.settings;
+async function auditChanges(req, data, before, action, actor = "admin") {
+  await recordAudit(req, data, actor, collectChanges(data, before, action));
+}
 
-  const players = (await pool.query("SELECT id, name FROM players ORDER BY name ASC")).rows;
-  const matches = (await pool.query("SELECT * FROM matches ORDER BY match_date NULLS LAST")).rows.map(
-    rowToMatch
-  );
+function route(handler) {
+  return (req, res, next) => {
+    handler(req, res).catch(next);
+  };
+}
+
+function makeId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function makeLedgerEntry(fields) {
+  return { id: makeId("ledger"), at: new Date().toISOString(), matchId: null, innings: null, note: null, ...fields };
+}
 
+function makePlayer(name) {
   return {
-    settings: { ...defaults.settings, ...settings },
-    players,
-    matches
+    id: makeId("player"),
+    name,
+    retired: false,
+    pinHash: null,
+    joinToken: crypto.randomBytes(16).toString("hex"),
+    sessionVersion: 0
   };
 }
 
-async function saveData(data) {
-  if (!USE_DB) {
-    const tmp = `${DATA_FILE}.tmp`;
-    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
-    fs.renameSync(tmp, DATA_FILE);
-    return;
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(String(pin), salt, 32);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+function isLegacyPinHash(pinHash) {
+  return Boolean(pinHash) && !pinHash.startsWith("scrypt$");
+}
+
+// Legacy hashes are a sha256 of `legacyText` ("id:pin" for players, the bare PIN for the admin).
+// They still verify, and the caller rehashes them on a successful login.
+async function verifyPin(pinHash, pin, legacyText) {
+  if (!pinHash) return false;
+  const [scheme, salt, hash] = pinHash.split("$");
+  const expected = Buffer.from(scheme === "scrypt" ? hash : pinHash, "hex");
+  const actual =
+    scheme === "scrypt" ? await scrypt(String(pin), salt, 32) : Buffer.from(legacyPinHash(legacyText), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function getPinLockout(key) {
+  const attempts = pinAttempts.get(key);
+  return attempts && attempts.lockedUntil > Date.now() ? attempts.lockedUntil : null;
+}
+
+function recordPinFailure(key) {
+  const attempts = pinAttempts.get(key) || { failures: 0, lockedUntil: 0 };
+  attempts.failures += 1;
+  if (attempts.failures >= PIN_MAX_ATTEMPTS) {
+    attempts.failures = 0;
+    attempts.lockedUntil = Date.now() + PIN_LOCKOUT_MS;
   }
+  pinAttempts.set(key, attempts);
+}
 
-  await initDb();
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
-    await client.query("DELETE FROM matches");
-    await client.query("DELETE FROM players");
-    await client.query("DELETE FROM settings");
-    await client.query(
-      `
-      INSERT INTO settings (
-        id, room_name, use_pin, admin_pin_hash, bonus_exact,
-        min_score, max_score, lock_minutes_before_start, schedule_source, last_schedule_sync,
-        toss_auto_enabled, toss_auto_source, last_toss_sync
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
-    `,
-      [
-        1,
-        data.settings.roomName,
-        data.settings.usePin,
-        data.settings.adminPinHash,
-        data.settings.bonusExact,
-        data.settings.minScore,
-        data.settings.maxScore,
-        data.settings.lockMinutesBeforeStart,
-        data.settings.scheduleSource,
-        data.settings.lastScheduleSync,
-        data.settings.tossAutoEnabled,
-        data.settings.tossAutoSource,
-        data.settings.lastTossSync
-      ]
-    );
+function lockoutError(lockedUntil) {
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+  return `Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+}
 
-    for (const player of data.players) {
-      await client.query("INSERT INTO players (id, name) VALUES ($1,$2)", [
-        player.id,
-        player.name
-      ]);
-    }
+function publicPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    retired: Boolean(player.retired),
+    hasPin: Boolean(player.pinHash)
+  };
+}
 
-    for (const match of data.matches) {
-      await client.query(
-        `
-        INSERT INTO matches (
-          id, external_id, match_number, round_number, team_a, team_b, venue,
-          group_name, stage, match_date, lock_time, status, predictions, actual_score, result,
-          goalserve_match_id, innings1_status, innings2_status, innings1_lock_time, innings2_lock_time,
-          innings1_score, innings2_score, toss_winner, toss_decision
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)
-      `,
-        [
-          match.id,
-          match.externalId,
-          match.matchNumber,
-          match.roundNumber,
-          match.teamA,
-          match.teamB,
-          match.venue,
-          match.group,
-          match.stage,
-          match.matchDate,
-          match.innings1?.lockTime || match.lockTime,
-          match.innings1?.status || match.status || "open",
-          match.predictions || {},
-          match.innings1?.score ?? match.actualScore,
-          match.result,
-          match.goalserveMatchId || null,
-          match.innings1?.status || null,
-          match.innings2?.status || null,
-          match.innings1?.lockTime || null,
-          match.innings2?.lockTime || null,
-          match.innings1?.score ?? null,
-          match.innings2?.score ?? null,
-          match.toss?.winner || null,
-          match.toss?.decision || null
-        ]
-      );
-    }
+function getSessionSecret(data) {
+  return process.env.SESSION_SECRET || data.settings.sessionSecret;
+}
+
+function adminStamp(data) {
+  if (!data.settings.adminPinHash) return null;
+  return crypto
+    .createHash("sha256")
+    .update(`${getSessionSecret(data)}:${data.settings.adminPinHash}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function signSession(data, payload) {
+  const body = Buffer.from(
+    JSON.stringify({ ...payload, exp: Date.now() + SESSION_TTL_MS })
+  ).toString("base64url");
+  const signature = crypto
+    .createHmac("sha256", getSessionSecret(data))
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
 
-    await client.query("COMMIT");
+function getSession(req, data) {
+  const empty = { playerId: null, admin: false };
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!token || !getSessionSecret(data)) return empty;
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return empty;
+  const expected = crypto
+    .createHmac("sha256", getSessionSecret(data))
+    .update(body)
+    .digest("base64url");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return empty;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
   } catch (err) {
-    await client.query("ROLLBACK");
-    throw err;
-  } finally {
-    client.release();
+    return empty;
   }
+  if (!payload || !payload.exp || payload.exp < Date.now()) return empty;
+  const player = payload.playerId ? data.players.find((p) => p.id === payload.playerId) : null;
+  const playerValid = Boolean(
+    player && !player.retired && (player.sessionVersion || 0) === payload.v
+  );
+  return {
+    playerId: playerValid ? player.id : null,
+    admin: Boolean(payload.admin) && payload.stamp === adminStamp(data)
+  };
 }
 
-function makeId(prefix) {
-  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+function setSession(res, data, session) {
+  const player = session.playerId ? data.players.find((p) => p.id === session.playerId) : null;
+  const token = signSession(data, {
+    playerId: player ? player.id : null,
+    v: player ? player.sessionVersion || 0 : null,
+    admin: Boolean(session.admin),
+    stamp: session.admin ? adminStamp(data) : null
+  });
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  res.setHeader(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(
+      SESSION_TTL_MS / 1000
+    )}${secure}`
+  );
+}
+
+function clearSession(res) {
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
 }
 
-function ensureAdmin(data, pin) {
+function ensureAdmin(req, data) {
   if (!data.settings.usePin) return true;
-  if (!pin) return false;
-  return hashPin(pin) === data.settings.adminPinHash;
+  return getSession(req, data).admin;
 }
 
-function parseDateUtc(value) {
-  if (!value) return null;
-  const normalized = value.includes("T") ? value : value.replace(" ", "T");
-  const date = new Date(normalized);
-  if (Number.isNaN(date.getTime())) return null;
-  return date.toISOString();
+// Rooms without an admin PIN let everyone act as admin; this is only true for a real admin login.
+function hasAdminSession(req, data) {
+  return Boolean(data.settings.usePin) && getSession(req, data).admin;
 }
 
 function computeLockTime(matchDateIso, lockMinutes) {
@@ -349,12 +444,31 @@ function computeLockTime(matchDateIso, lockMinutes) {
   return lock.toISOString();
 }
 
-function fetchText(url) {
+// `allowFile` lets a `file:` Goalserve URL from the environment read recorded fixtures offline; only
+// files under fixtures/ qualify. Room feed URLs and redirects must be http(s).
+function fetchText(url, { allowFile = false, redirects = 0 } = {}) {
+  if (allowFile && url.startsWith("file:")) {
+    const file = path.resolve(__dirname, url.replace(/^file:(\/\/)?/, ""));
+    if (!file.startsWith(`${FIXTURES_DIR}${path.sep}`)) {
+      return Promise.reject(new Error("file: feeds must point inside fixtures/."));
+    }
+    return fs.promises.readFile(file, "utf8");
+  }
+  if (!/^https?:\/\//.test(url)) {
+    return Promise.reject(new Error("Feed URLs must start with http:// or https://."));
+  }
   return new Promise((resolve, reject) => {
     const client = url.startsWith("https") ? https : http;
     const req = client.get(url, (res) => {
       if (res.statusCode && res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        fetchText(res.headers.location).then(resolve).catch(reject);
+        res.resume();
+        if (redirects >= FEED_MAX_REDIRECTS) {
+          reject(new Error(`Fetch gave up after ${FEED_MAX_REDIRECTS} redirects.`));
+          return;
+        }
+        fetchText(new URL(res.headers.location, url).toString(), { redirects: redirects + 1 })
+          .then(resolve)
+          .catch(reject);
         return;
       }
       if (res.statusCode && res.statusCode >= 400) {
@@ -363,6 +477,7 @@ function fetchText(url) {
       }
       let data = "";
       res.setEncoding("utf8");
+      res.on("error", reject);
       res.on("data", (chunk) => {
         data += chunk;
       });
@@ -370,73 +485,90 @@ function fetchText(url) {
         resolve(data);
       });
     });
+    // A stalled feed would otherwise leave the sync job running, and skipped, forever.
+    req.setTimeout(FEED_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Fetch timed out after ${FEED_TIMEOUT_MS / 1000}s.`));
+    });
     req.on("error", reject);
   });
 }
 
-async function fetchJson(url) {
-  const text = await fetchText(url);
-  try {
-    return JSON.parse(text);
-  } catch (err) {
-    throw new Error("Expected JSON but received non-JSON response.");
-  }
+function getScheduleProvider(settings) {
+  return getProvider(settings.scheduleProvider) || getProvider(DEFAULT_PROVIDER);
 }
 
-function deriveStage(matchNumber, group) {
-  if (group) return "Group Stage";
-  if (matchNumber >= 41 && matchNumber <= 52) return "Super 8";
-  if (matchNumber >= 53 && matchNumber <= 54) return "Semi Final";
-  if (matchNumber === 55) return "Final";
-  return "Knockout";
+function getScheduleUrl(settings) {
+  if (settings.scheduleFeedUrl) return settings.scheduleFeedUrl;
+  return getScheduleProvider(settings).id === DEFAULT_PROVIDER ? SCHEDULE_FEED_URL : null;
 }
 
-function normalizeFixtureRow(row, settings) {
-  const matchNumber = Number(row.MatchNumber);
-  const roundNumber = Number(row.RoundNumber);
-  const matchDate = parseDateUtc(row.DateUtc);
-  const lockTime = computeLockTime(matchDate, settings.lockMinutesBeforeStart);
-  const stage = deriveStage(matchNumber, row.Group);
-  return {
-    externalId: `fixture_${matchNumber}`,
-    matchNumber: Number.isFinite(matchNumber) ? matchNumber : null,
-    roundNumber: Number.isFinite(roundNumber) ? roundNumber : null,
-    teamA: String(row.HomeTeam || "TBD"),
-    teamB: String(row.AwayTeam || "TBD"),
-    venue: String(row.Location || "TBD"),
-    group: row.Group ? String(row.Group) : null,
-    stage,
-    matchDate,
-    lockTime
-  };
+function getTeamRegistry(settings) {
+  return createTeamRegistry(settings.teamAliases);
 }
 
-async function importSchedule(data) {
-  const schedule = await fetchJson(SCHEDULE_FEED_URL);
-  if (!Array.isArray(schedule)) {
-    throw new Error("Schedule format is invalid.");
-  }
+function findScheduledMatch(data, fixture, teams) {
+  const byExternal = data.matches.find((match) => match.externalId === fixture.externalId);
+  if (byExternal) return byExternal;
+  // Switching providers should adopt matches already imported for the same fixture.
+  const day = fixture.matchDate ? fixture.matchDate.slice(0, 10) : null;
+  if (!day || teams.isPlaceholder(fixture.teamA) || teams.isPlaceholder(fixture.teamB)) return null;
+  const pair = (a, b) => [teams.key(a), teams.key(b)].sort().join("|");
+  const fixturePair = pair(fixture.teamA, fixture.teamB);
+  return data.matches.find(
+    (match) => match.matchDate?.slice(0, 10) === day && pair(match.teamA, match.teamB) === fixturePair
+  );
+}
 
-  const existingByExternal = new Map();
-  for (const match of data.matches) {
-    if (match.externalId) existingByExternal.set(match.externalId, match);
+async function importSchedule(data, { provider: providerId, content } = {}) {
+  const provider = providerId ? getProvider(providerId) : getScheduleProvider(data.settings);
+  if (!provider) {
+    throw new Error("Unknown schedule provider.");
+  }
+  if (providerId && provider.id !== getScheduleProvider(data.settings).id) {
+    data.settings.scheduleProvider = provider.id;
+    data.settings.scheduleFeedUrl = null;
   }
+  const url = getScheduleUrl(data.settings);
+  if (!content && !url) {
+    throw new Error(`Upload a file or set a feed URL to import from ${provider.label}.`);
+  }
+  const schedule = parseSchedule(provider, content || (await fetchText(url)), { url: content ? "" : url });
 
+  const teams = getTeamRegistry(data.settings);
+  const unknownTeams = new Set();
   let created = 0;
   let updated = 0;
 
-  for (const row of schedule) {
-    const normalized = normalizeFixtureRow(row, data.settings);
-    const existing = existingByExternal.get(normalized.externalId);
+  for (const fixture of schedule) {
+    for (const team of [fixture.teamA, fixture.teamB]) {
+      if (!teams.isKnown(team) && !teams.isPlaceholder(team)) unknownTeams.add(team);
+    }
+    const normalized = {
+      ...fixture,
+      teamA: teams.canonicalName(fixture.teamA),
+      teamB: teams.canonicalName(fixture.teamB),
+      lockTime: computeLockTime(fixture.matchDate, data.settings.lockMinutesBeforeStart)
+    };
+    const slots = {};
+    for (const side of ["teamA", "teamB"]) {
+      if (teams.isPlaceholder(normalized[side]) && parseSlot(normalized[side])) slots[side] = normalized[side];
+    }
+    const existing = findScheduledMatch(data, normalized, teams);
     if (existing) {
-      existing.teamA = normalized.teamA;
-      existing.teamB = normalized.teamB;
+      existing.externalId = normalized.externalId;
+      for (const side of ["teamA", "teamB"]) {
+        // Keep a team already filled in from the bracket while the feed still shows a placeholder.
+        if (!teams.isPlaceholder(normalized[side]) || teams.isPlaceholder(existing[side])) {
+          existing[side] = normalized[side];
+        }
+        if (slots[side]) existing.slots = { ...existing.slots, [side]: slots[side] };
+      }
       existing.venue = normalized.venue;
       existing.group = normalized.group;
       existing.stage = normalized.stage;
       existing.matchDate = normalized.matchDate;
       if (existing.innings1) {
-        existing.innings1.lockTime = normalized.lockTime;
+        if (!existing.innings1.lockOverride) existing.innings1.lockTime = normalized.lockTime;
       } else {
         existing.lockTime = normalized.lockTime;
       }
@@ -460,115 +592,71 @@ async function importSchedule(data) {
           lockTime: null,
           score: null
         },
+        ...(Object.keys(slots).length ? { slots } : {}),
         ...normalized
       });
       created += 1;
     }
   }
+  applyBracketSlots(data);
 
+  data.settings.scheduleSource = provider.label;
   data.settings.lastScheduleSync = new Date().toISOString();
-  return { created, updated, total: schedule.length };
+  teamReport.unknownScheduleTeams = Array.from(unknownTeams).sort();
+  return { created, updated, total: schedule.length, unknownTeams: teamReport.unknownScheduleTeams };
 }
 
-function normalizeTeamName(name) {
-  return String(name || "")
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "");
+async function fetchGoalserveMatches() {
+  const raw = await fetchText(GOALSERVE_TOSS_FEED_URL, { allowFile: true });
+  return parseGoalserveFeed(raw);
 }
 
-function parseGoalserveDateTime(dateStr, timeStr) {
-  if (!dateStr) return null;
-  const [day, month, year] = dateStr.split(".").map(Number);
-  if (!day || !month || !year) return null;
-  let hour = 0;
-  let minute = 0;
-  if (timeStr) {
-    const [h, m] = timeStr.split(":").map(Number);
-    hour = Number.isFinite(h) ? h : 0;
-    minute = Number.isFinite(m) ? m : 0;
-  }
-  const date = new Date(Date.UTC(year, month - 1, day, hour, minute));
-  if (Number.isNaN(date.getTime())) return null;
-  return date.toISOString();
-}
-
-function parseTossText(text, teamA, teamB) {
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  const teams = [teamA, teamB];
-  const winner = teams.find((team) => lower.includes(String(team).toLowerCase()));
-  if (!winner) return null;
-  const decision =
-    /elected to field|opted to field|chose to field|decided to field|elected to bowl|opted to bowl|chose to bowl|decided to bowl/.test(
-      lower
-    )
-      ? "field"
-      : /elected to bat|opted to bat|chose to bat|decided to bat/.test(lower)
-        ? "bat"
-        : null;
-  if (!decision) return null;
-  return { winner, decision };
-}
-
-function extractGoalserveMatches(payload) {
-  const container =
-    payload?.scores ||
-    payload?.fixtures ||
-    payload?.category ||
-    payload?.data ||
-    payload;
-  const categories = Array.isArray(container?.category)
-    ? container.category
-    : container?.category
-      ? [container.category]
-      : Array.isArray(container)
-        ? container
-        : [];
-
-  const matches = [];
-  for (const category of categories) {
-    const matchList = Array.isArray(category.match)
-      ? category.match
-      : category.match
-        ? [category.match]
-        : [];
-    for (const match of matchList) {
-      const infoList = Array.isArray(match?.matchinfo?.info)
-        ? match.matchinfo.info
-        : match?.matchinfo?.info
-          ? [match.matchinfo.info]
-          : [];
-      const tossInfo = infoList.find((info) => String(info?.name || "").toLowerCase() === "toss");
-      const tossText =
-        tossInfo?.value ||
-        tossInfo?.["@_value"] ||
-        match?.comment?.["@_post"] ||
-        match?.comment?.post ||
-        null;
-
-      matches.push({
-        id: match?.["@_id"] || match?.id || match?.match_id || match?.mid || null,
-        date: match?.date || match?.["@_date"] || null,
-        time: match?.time || match?.["@_time"] || null,
-        localTeam:
-          match?.localteam?.["@_name"] ||
-          match?.localteam?.name ||
-          match?.home?.name ||
-          match?.home?.["@_name"] ||
-          match?.hometeam ||
-          null,
-        visitorTeam:
-          match?.visitorteam?.["@_name"] ||
-          match?.visitorteam?.name ||
-          match?.away?.name ||
-          match?.away?.["@_name"] ||
-          match?.awayteam ||
-          null,
-        tossText
-      });
+function findGoalserveMatch(match, feedMatches, teams) {
+  const teamAKey = teams.key(match.teamA);
+  const teamBKey = teams.key(match.teamB);
+  const matchDateKey = match.matchDate ? match.matchDate.slice(0, 10) : null;
+
+  return feedMatches.find((item) => {
+    if (match.goalserveMatchId && item.id && String(item.id) === String(match.goalserveMatchId)) {
+      return true;
     }
-  }
-  return matches;
+    const localKey = teams.key(item.localTeam);
+    const visitorKey = teams.key(item.visitorTeam);
+    if (!localKey || !visitorKey) return false;
+    const teamsMatch =
+      (localKey === teamAKey && visitorKey === teamBKey) ||
+      (localKey === teamBKey && visitorKey === teamAKey);
+    if (!teamsMatch) return false;
+    if (!matchDateKey) return true;
+    const feedDate = parseGoalserveDateTime(item.date, item.time);
+    if (!feedDate) return true;
+    return feedDate.slice(0, 10) === matchDateKey;
+  });
+}
+
+function reportUnmatchedFeedRows(data, feedMatches, candidates, teams) {
+  const days = new Set(candidates.map((match) => match.matchDate?.slice(0, 10)).filter(Boolean));
+  // Only rows on days we are waiting for matter; the feed carries every competition.
+  const rows = feedMatches.filter((item) => {
+    const feedDate = parseGoalserveDateTime(item.date, item.time);
+    if (!feedDate || !days.has(feedDate.slice(0, 10))) return false;
+    return !data.matches.some((match) => findGoalserveMatch(match, [item], teams));
+  });
+  teamReport.unmatchedFeedRows = rows.map((item) => ({
+    id: item.id,
+    localTeam: item.localTeam,
+    visitorTeam: item.visitorTeam,
+    date: parseGoalserveDateTime(item.date, item.time)
+  }));
+  teamReport.checkedAt = new Date().toISOString();
+  return teamReport.unmatchedFeedRows;
+}
+
+function isInSyncWindow(match, now) {
+  if (!match.matchDate) return true;
+  const start = new Date(match.matchDate).getTime();
+  if (Number.isNaN(start)) return true;
+  return Math.abs(start - now) <= TOSS_SYNC_WINDOW_MINUTES * 60 * 1000;
 }
 
 async function syncTossFromGoalserve(data, force = false) {
@@ -580,58 +668,20 @@ async function syncTossFromGoalserve(data, force = false) {
   }
 
   const now = Date.now();
-  if (!force && data.settings.lastTossSync) {
-    const last = new Date(data.settings.lastTossSync).getTime();
-    if (!Number.isNaN(last) && now - last < TOSS_SYNC_INTERVAL_MS) {
-      return { skipped: true, reason: "Throttled." };
-    }
-  }
-
-  const windowMs = TOSS_SYNC_WINDOW_MINUTES * 60 * 1000;
-  const candidates = data.matches.filter((match) => {
-    if (match.toss) return false;
-    if (!match.matchDate) return true;
-    const start = new Date(match.matchDate).getTime();
-    if (Number.isNaN(start)) return true;
-    return Math.abs(start - now) <= windowMs;
-  });
+  const candidates = data.matches.filter((match) => !match.toss && isInSyncWindow(match, now));
 
   if (!candidates.length) {
-    data.settings.lastTossSync = new Date().toISOString();
     return { skipped: true, reason: "No pending matches in window." };
   }
 
-  const raw = await fetchText(GOALSERVE_TOSS_FEED_URL);
-  const parsed = raw.trim().startsWith("{")
-    ? JSON.parse(raw)
-    : new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" }).parse(raw);
-  const feedMatches = extractGoalserveMatches(parsed);
+  const feedMatches = await fetchGoalserveMatches();
+  const teams = getTeamRegistry(data.settings);
 
   let updated = 0;
   for (const match of candidates) {
-    const teamAKey = normalizeTeamName(match.teamA);
-    const teamBKey = normalizeTeamName(match.teamB);
-    const matchDateKey = match.matchDate ? match.matchDate.slice(0, 10) : null;
-
-    const matched = feedMatches.find((item) => {
-      if (match.goalserveMatchId && item.id && String(item.id) === String(match.goalserveMatchId)) {
-        return true;
-      }
-      const localKey = normalizeTeamName(item.localTeam);
-      const visitorKey = normalizeTeamName(item.visitorTeam);
-      if (!localKey || !visitorKey) return false;
-      const teamsMatch =
-        (localKey === teamAKey && visitorKey === teamBKey) ||
-        (localKey === teamBKey && visitorKey === teamAKey);
-      if (!teamsMatch) return false;
-      if (!matchDateKey) return true;
-      const feedDate = parseGoalserveDateTime(item.date, item.time);
-      if (!feedDate) return true;
-      return feedDate.slice(0, 10) === matchDateKey;
-    });
-
+    const matched = findGoalserveMatch(match, feedMatches, teams);
     if (!matched || !matched.tossText) continue;
-    const toss = parseTossText(matched.tossText, match.teamA, match.teamB);
+    const toss = parseTossText(matched.tossText, match.teamA, match.teamB, teams);
     if (!toss) continue;
 
     match.toss = toss;
@@ -639,13 +689,152 @@ async function syncTossFromGoalserve(data, force = false) {
     updated += 1;
   }
 
+  const unmatched = reportUnmatchedFeedRows(data, feedMatches, candidates, teams);
   data.settings.lastTossSync = new Date().toISOString();
-  return { updated, checked: candidates.length };
+  return { updated, checked: candidates.length, unmatched };
+}
+
+function finalizeInnings(data, match, inningsKey, score, options = {}) {
+  const inningsData = match[inningsKey];
+  inningsData.score = Math.round(score);
+  inningsData.status = "scored";
+  inningsData.source = options.source || "admin";
+  match.result = match.result || {};
+  match.result[inningsKey] = computeMatchInningsResult(data, match, inningsKey);
+
+  if (inningsKey === "innings1" && match.innings2.status === "pending") {
+    match.innings2.status = "open";
+    if (options.innings2StartTime) {
+      match.innings2.startTime = options.innings2StartTime;
+      match.innings2.lockTime = computeLockTime(
+        options.innings2StartTime,
+        data.settings.lockMinutesBeforeStart
+      );
+      if (options.source === "feed" && new Date(match.innings2.lockTime).getTime() <= Date.now()) {
+        // Detected at the innings break, so keep the break open for predictions.
+        match.innings2.lockTime = options.innings2StartTime;
+      }
+    }
+  }
+  updateMatchOutcome(data, match);
+  settlePool(data, match, inningsKey);
+}
+
+// Brings the ledger in line with the innings: payouts once it is scored, refunds when the pool
+// is void, and reversals when a result changes or the innings is reopened. Only differences
+// are written, so settling the same innings twice adds nothing.
+function settlePool(data, match, inningsKey) {
+  const innings = match[inningsKey];
+  const stakes = getStakes(data.ledger, match.id, inningsKey);
+  const result = match.result?.[inningsKey];
+  let target = {};
+  let type = "payout";
+  let note = "Pool won";
+  const notes = {};
+  if (innings?.poolVoided || isInningsVoid(innings)) {
+    target = stakes;
+    type = "refund";
+    note = "Pool void, stake refunded";
+  } else if (innings?.status === "scored" && result) {
+    // Shielded losers take their stake back out of the pot before the winners share it.
+    const shielded = new Set(
+      Object.keys(stakes).filter(
+        (playerId) => !result.winners.includes(playerId) && hasPowerup(match, inningsKey, playerId, "shield")
+      )
+    );
+    const exposed = Object.fromEntries(Object.entries(stakes).filter(([playerId]) => !shielded.has(playerId)));
+    target = splitPot(exposed, result.winners);
+    for (const playerId of shielded) {
+      target[playerId] = stakes[playerId];
+      notes[playerId] = ["refund", "Shield played, stake returned"];
+    }
+    if (!result.winners.some((playerId) => stakes[playerId] > 0)) {
+      type = "refund";
+      note = "No staked winner, stake returned";
+    }
+  }
+
+  const settled = getSettled(data.ledger, match.id, inningsKey);
+  let written = 0;
+  for (const playerId of new Set([...Object.keys(target), ...Object.keys(settled)])) {
+    const amount = (target[playerId] || 0) - (settled[playerId] || 0);
+    if (!amount) continue;
+    const [entryType, entryNote] = notes[playerId] || [type, note];
+    data.ledger.push(
+      makeLedgerEntry({
+        playerId,
+        matchId: match.id,
+        innings: inningsKey,
+        type: amount > 0 ? entryType : "reversal",
+        amount,
+        note: amount > 0 ? entryNote : "Earlier settlement reversed"
+      })
+    );
+    written += 1;
+  }
+  return written;
+}
+
+async function syncScoresFromGoalserve(data) {
+  if (!GOALSERVE_TOSS_FEED_URL) {
+    return { skipped: true, reason: "GOALSERVE_TOSS_FEED_URL not configured." };
+  }
+  if (!data.settings.scoreAutoEnabled) {
+    return { skipped: true, reason: "Score auto sync disabled." };
+  }
+
+  const now = Date.now();
+  const canFinalize = (innings) =>
+    innings.source !== "admin" &&
+    !VOID_STATUSES.includes(innings.status) &&
+    (innings.status !== "scored" || innings.source === "feed");
+  const candidates = data.matches.filter(
+    (match) =>
+      (canFinalize(match.innings1) || canFinalize(match.innings2)) &&
+      (match.goalserveMatchId || isInSyncWindow(match, now))
+  );
+  if (!candidates.length) {
+    return { skipped: true, reason: "No unfinished matches in window." };
+  }
+
+  const feedMatches = await fetchGoalserveMatches();
+  const teams = getTeamRegistry(data.settings);
+  let finalized = 0;
+  for (const match of candidates) {
+    const feedMatch = findGoalserveMatch(match, feedMatches, teams);
+    if (!feedMatch) continue;
+    match.goalserveMatchId = feedMatch.id || match.goalserveMatchId || null;
+
+    const feedInnings = getFeedInnings(feedMatch, getBattingTeams(match), teams);
+    for (const innings of feedInnings) {
+      const inningsKey = innings.number === 2 ? "innings2" : "innings1";
+      const inningsData = match[inningsKey];
+      if (!canFinalize(inningsData) || inningsData.status === "pending") continue;
+      if (!isFeedInningsComplete(innings, feedInnings, feedMatch)) continue;
+      if (inningsData.status === "scored" && inningsData.score === innings.runs) continue;
+
+      const innings2StartTime = new Date(now + INNINGS_BREAK_MINUTES * 60 * 1000).toISOString();
+      finalizeInnings(data, match, inningsKey, innings.runs, { source: "feed", innings2StartTime });
+      finalized += 1;
+    }
+
+    // Innings the feed saw played out are scored above; the rest of a void match is voided here.
+    const feedState = getFeedMatchState(feedMatch);
+    if (feedState && !getMatchState(match)) {
+      applyMatchState(data, match, match.innings1.status === "scored" ? "no-result" : feedState);
+      finalized += 1;
+    }
+  }
+
+  const unmatched = reportUnmatchedFeedRows(data, feedMatches, candidates, teams);
+  const slotsFilled = finalized ? applyBracketSlots(data) : 0;
+  data.settings.lastScoreSync = new Date().toISOString();
+  return { finalized, checked: candidates.length, unmatched, slotsFilled };
 }
 
 function isInningsLocked(innings) {
   if (!innings) return true;
-  if (innings.status === "locked" || innings.status === "scored") return true;
+  if (innings.status === "locked" || innings.status === "scored" || VOID_STATUSES.includes(innings.status)) return true;
   if (innings.status === "open" && innings.lockTime) {
     const now = Date.now();
     const lock = new Date(innings.lockTime).getTime();
@@ -654,6 +843,78 @@ function isInningsLocked(innings) {
   return false;
 }
 
+function isInningsVoid(innings) {
+  return Boolean(innings) && (VOID_STATUSES.includes(innings.status) || innings.reducedOvers?.mode === "void");
+}
+
+// "abandoned" when no innings was completed, "no-result" when play stopped part-way.
+function getMatchState(match) {
+  if (match.innings1?.status === "abandoned") return "abandoned";
+  if (VOID_STATUSES.includes(match.innings1?.status) || VOID_STATUSES.includes(match.innings2?.status)) {
+    return "no-result";
+  }
+  return null;
+}
+
+// Sets or clears the abandoned / no-result state and settles both pools to match.
+function applyMatchState(data, match, state) {
+  if (state === "abandoned") {
+    match.innings1.status = "abandoned";
+    match.innings2.status = "abandoned";
+    match.result = null;
+  } else if (state === "no-result") {
+    // Completed innings keep their result; whatever was still to be played is void.
+    for (const inningsKey of ["innings1", "innings2"]) {
+      if (match[inningsKey].status === "scored") continue;
+      match[inningsKey].status = "no-result";
+      if (match.result) match.result[inningsKey] = null;
+    }
+    if (match.innings1.status === "no-result") match.innings2.status = "no-result";
+  } else {
+    if (VOID_STATUSES.includes(match.innings1.status)) match.innings1.status = "open";
+    if (VOID_STATUSES.includes(match.innings2.status)) {
+      match.innings2.status = match.innings1.status === "scored" ? "open" : "pending";
+    }
+    normalizeMatch(match, data.settings);
+  }
+  if (state) match.marketResults = {};
+  updateMatchOutcome(data, match);
+  settlePool(data, match, "innings1");
+  settlePool(data, match, "innings2");
+}
+
+// Overs are written the cricket way: 12.3 is twelve overs and three balls.
+function parseOvers(value) {
+  const text = String(value ?? "").trim();
+  const found = text.match(/^(\d{1,2})(?:\.([0-5]))?$/);
+  if (!found) return null;
+  const balls = Number(found[1]) * 6 + Number(found[2] || 0);
+  return balls > 0 && balls < T20_OVERS * 6 ? { overs: Number(text), balls } : null;
+}
+
+// Predictions as they are scored: scaled down to the overs bowled when a shortened innings is scaled.
+function getScoredPredictions(match, inningsKey) {
+  const predictions = match.predictions?.[inningsKey] || {};
+  const reduced = match[inningsKey]?.reducedOvers;
+  if (reduced?.mode !== "scale") return predictions;
+  const factor = parseOvers(reduced.overs).balls / (T20_OVERS * 6);
+  return Object.fromEntries(
+    Object.entries(predictions).map(([playerId, score]) => [playerId, score == null ? score : Math.round(score * factor)])
+  );
+}
+
+function computeMatchInningsResult(data, match, inningsKey) {
+  const innings = match[inningsKey];
+  if (isInningsVoid(innings) || innings.score == null) return null;
+  return computeInningsResult(
+    innings.score,
+    getScoredPredictions(match, inningsKey),
+    data.players,
+    data.settings,
+    match.stage
+  );
+}
+
 function normalizeInningsStatus(innings) {
   if (!innings) return;
   if (innings.status === "open" && isInningsLocked(innings)) {
@@ -700,6 +961,17 @@ function normalizeMatch(match, settings) {
   }
   match.predictions.innings1 = match.predictions.innings1 || {};
   match.predictions.innings2 = match.predictions.innings2 || {};
+  match.predictionHistory = match.predictionHistory || {};
+  match.predictionHistory.innings1 = match.predictionHistory.innings1 || {};
+  match.predictionHistory.innings2 = match.predictionHistory.innings2 || {};
+  match.marketPredictions = match.marketPredictions || {};
+  match.marketResults = match.marketResults || {};
+  match.superOver = match.superOver || null;
+  match.undo = match.undo || null;
+  match.powerups = match.powerups || {};
+  match.powerups.innings1 = match.powerups.innings1 || {};
+  match.powerups.innings2 = match.powerups.innings2 || {};
+  match.outcome = computeMatchOutcome(match);
 
   if (!match.toss) {
     match.toss = null;
@@ -716,101 +988,858 @@ function normalizeMatch(match, settings) {
   normalizeInningsStatus(match.innings2);
 }
 
-function computeInningsResult(actualScore, predictions, players) {
-  if (actualScore == null) return null;
-  const entries = [];
-  for (const player of players) {
-    const prediction = predictions[player.id];
-    if (prediction == null) continue;
-    const diff = Math.abs(prediction - actualScore);
-    entries.push({ playerId: player.id, diff });
-  }
-  if (entries.length === 0) {
-    return { winners: [], closestDiff: null };
+// Keeps the match as it was before an admin action so the action can be undone for a while.
+// Picks and power-ups are never touched by these actions, so they stay out of the snapshot.
+// `version` is what the match will be at once this action is saved: any later save ends the undo.
+function recordUndo(match, action) {
+  const { predictions, predictionHistory, marketPredictions, powerups, version, undo, ...snapshot } = match;
+  match.undo = {
+    action,
+    at: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + UNDO_WINDOW_MS).toISOString(),
+    version: (version || 0) + 1,
+    snapshot: JSON.parse(JSON.stringify(snapshot))
+  };
+}
+
+function getUndo(match) {
+  const undo = match.undo;
+  if (!undo || Date.now() > new Date(undo.expiresAt).getTime()) return null;
+  return { action: undo.action, label: UNDO_ACTIONS[undo.action], expiresAt: undo.expiresAt };
+}
+
+function getMarket(settings, marketId) {
+  if (!MARKET_DEFINITIONS[marketId]) return null;
+  return { id: marketId, ...MARKET_DEFINITIONS[marketId], ...getMarketSettings(settings)[marketId] };
+}
+
+function isMarketLocked(match, market) {
+  if (market.lock === "superOver") return match.superOver?.status !== "open";
+  return isInningsLocked(market.lock === "innings2" ? match.innings2 : match.innings1);
+}
+
+// The result of the match as a whole: "win", "tie" (level, super over still to come or not played),
+// "super-over", or the abandoned / no-result state. `margin` is only known for runs.
+function computeMatchOutcome(match) {
+  const state = getMatchState(match);
+  if (state) return { result: state, winner: null, loser: null, margin: null };
+  const battingTeams = getBattingTeams(match);
+  if (!battingTeams || match.innings1?.status !== "scored" || match.innings2?.status !== "scored") return null;
+  const loserOf = (winner) => (winner === match.teamA ? match.teamB : match.teamA);
+  if (match.innings1.score === match.innings2.score) {
+    const winner = match.superOver?.status === "scored" ? match.superOver.winner : null;
+    return winner
+      ? { result: "super-over", winner, loser: loserOf(winner), margin: null }
+      : { result: "tie", winner: null, loser: null, margin: null, decided: match.superOver?.status === "not-played" };
   }
-  const minDiff = Math.min(...entries.map((e) => e.diff));
-  const winners = entries.filter((e) => e.diff === minDiff).map((e) => e.playerId);
-  return { winners, closestDiff: minDiff };
+  const chased = match.innings2.score > match.innings1.score;
+  const winner = chased ? battingTeams.innings2 : battingTeams.innings1;
+  return {
+    result: "win",
+    winner,
+    loser: loserOf(winner),
+    margin: chased ? null : { runs: match.innings1.score - match.innings2.score }
+  };
 }
 
-function buildScoreboard(data) {
-  const stats = new Map();
-  for (const player of data.players) {
-    stats.set(player.id, {
-      playerId: player.id,
-      name: player.name,
-      wins: 0,
-      exactHits: 0,
-      points: 0,
-      totalDiff: 0,
-      predictions: 0,
-      scoredMatches: 0
-    });
+// Keeps the super over, the recorded outcome and the match-winner market in step with the innings:
+// a tie opens the super over, anything else closes it again.
+function updateMatchOutcome(data, match) {
+  const tied =
+    !getMatchState(match) &&
+    match.innings1.status === "scored" &&
+    match.innings2.status === "scored" &&
+    match.innings1.score === match.innings2.score;
+  if (tied && !match.superOver) {
+    match.superOver = { status: "open", score: null, winner: null };
+  } else if (!tied && match.superOver) {
+    match.superOver = null;
+    delete match.marketResults.superOverScore;
   }
+  match.outcome = computeMatchOutcome(match);
 
-  for (const match of data.matches) {
-    for (const inningsKey of ["innings1", "innings2"]) {
-      const innings = match[inningsKey];
-      if (!innings || innings.status !== "scored" || innings.score == null) continue;
-      const predictions = match.predictions?.[inningsKey] || {};
-      const result =
-        match.result?.[inningsKey] || computeInningsResult(innings.score, predictions, data.players);
-      const winnerSet = new Set(result ? result.winners : []);
-      const diffs = [];
+  const market = getMarket(data.settings, "matchWinner");
+  const picked = Object.keys(match.marketPredictions.matchWinner || {}).length > 0;
+  if (match.outcome?.winner && (market.enabled || picked)) {
+    match.marketResults.matchWinner = settleMarket(data, match, market, match.outcome.winner);
+  } else {
+    delete match.marketResults.matchWinner;
+  }
+}
 
-      for (const player of data.players) {
-        const prediction = predictions[player.id];
-        if (prediction == null) continue;
-        const diff = Math.abs(prediction - innings.score);
-        diffs.push({ playerId: player.id, diff });
-        const row = stats.get(player.id);
-        row.totalDiff += diff;
-        row.predictions += 1;
-        row.scoredMatches += 1;
-        if (diff === 0) row.exactHits += 1;
-      }
+function settleMarket(data, match, market, answer) {
+  return computeMarketResult(market, answer, match.marketPredictions[market.id], {
+    tieMode: getScoringRules(data.settings).tieMode,
+    weight: getStageWeight(getScoringRules(data.settings), match.stage),
+    teams: getTeamRegistry(data.settings)
+  });
+}
 
-      for (const entry of diffs) {
-        const row = stats.get(entry.playerId);
-        if (winnerSet.has(entry.playerId)) {
-          row.wins += 1;
-          row.points += 1;
-          if (entry.diff === 0 && data.settings.bonusExact > 0) {
-            row.points += data.settings.bonusExact;
-          }
-        }
-      }
+function getTournamentTeams(data, teams) {
+  const names = new Set();
+  for (const match of data.matches) {
+    for (const team of [match.teamA, match.teamB]) {
+      if (!teams.isPlaceholder(team)) names.add(teams.canonicalName(team));
     }
   }
+  return Array.from(names).sort();
+}
 
-  const rows = Array.from(stats.values()).map((row) => ({
-    ...row,
-    avgDiff: row.predictions ? Number((row.totalDiff / row.predictions).toFixed(2)) : null
-  }));
+function getFirstMatchTime(data) {
+  const dates = data.matches
+    .map((match) => (match.matchDate ? new Date(match.matchDate).getTime() : NaN))
+    .filter(Number.isFinite);
+  return dates.length ? new Date(Math.min(...dates)).toISOString() : null;
+}
 
-  rows.sort((a, b) => b.points - a.points || a.avgDiff - b.avgDiff || a.name.localeCompare(b.name));
+// Outrights lock when the first fixture starts (or as soon as any match has been locked by hand).
+function isOutrightLocked(data) {
+  const lockTime = getFirstMatchTime(data);
+  if (lockTime && Date.now() >= new Date(lockTime).getTime()) return true;
+  return data.matches.some((match) => match.innings1 && ["locked", "scored"].includes(match.innings1.status));
+}
+
+function isOutrightReady(data, outright, teams) {
+  const stage = outright.settleStage.toLowerCase();
+  const matches = data.matches.filter((match) => String(match.stage || "").toLowerCase() === stage);
+  if (!matches.length) return false;
+  if (outright.input === "teams") {
+    return matches.every((match) => !teams.isPlaceholder(match.teamA) && !teams.isPlaceholder(match.teamB));
+  }
+  return matches.every((match) => match.innings2?.status === "scored" || getMatchState(match));
+}
+
+function settleOutright(data, outright, answer) {
+  const picks = {};
+  for (const player of data.players) {
+    if (player.outrights?.[outright.id] != null) picks[player.id] = player.outrights[outright.id];
+  }
+  return computeOutrightResult(outright, answer, picks, {
+    tieMode: getScoringRules(data.settings).tieMode,
+    teams: getTeamRegistry(data.settings)
+  });
+}
+
+function buildOutrightState(data, viewerId) {
+  const teams = getTeamRegistry(data.settings);
+  const locked = isOutrightLocked(data);
+  const picks = {};
+  const submitted = {};
+  const ready = {};
+  for (const outright of listOutrights()) {
+    const entries = data.players.filter((player) => player.outrights?.[outright.id] != null);
+    submitted[outright.id] = entries.map((player) => player.id);
+    picks[outright.id] = Object.fromEntries(
+      entries
+        .filter((player) => locked || player.id === viewerId)
+        .map((player) => [player.id, player.outrights[outright.id]])
+    );
+    ready[outright.id] = isOutrightReady(data, getOutright(data.settings, outright.id), teams);
+  }
+  return {
+    definitions: listOutrights(),
+    settings: getOutrightSettings(data.settings),
+    teams: getTournamentTeams(data, teams),
+    lockTime: getFirstMatchTime(data),
+    locked,
+    picks,
+    submitted,
+    ready,
+    results: data.settings.outrightResults || {}
+  };
+}
+
+function isKnockout(match) {
+  return !match.group && !/^(league|group stage|custom)$/i.test(String(match.stage || ""));
+}
+
+// Admin-entered winners win over the recorded match result.
+function getMatchOutcome(data, match) {
+  const loserOf = (winner) => (winner === match.teamA ? match.teamB : match.teamA);
+  const override = data.settings.bracketResults?.winners?.[match.id];
+  if (override) return { winner: override, loser: loserOf(override) };
+  const outcome = computeMatchOutcome(match);
+  if (!outcome) return null;
+  // A tie only counts once the super over is settled or known not to be played.
+  if (outcome.result === "tie" && !outcome.decided) return null;
+  return { winner: outcome.winner, loser: outcome.loser, noResult: !outcome.winner };
+}
+
+function buildBracketResults(data) {
+  const bracket = getBracketSettings(data.settings);
+  const overrides = data.settings.bracketResults || {};
+  const teams = getTeamRegistry(data.settings);
+  const groups = computeGroupTables(
+    data.matches,
+    (match) => getMatchOutcome(data, match),
+    bracket.advancePerGroup,
+    teams
+  ).map((group) => (overrides.groups?.[group.key] ? { ...group, qualifiers: overrides.groups[group.key] } : group));
+  const knockouts = data.matches
+    .filter(isKnockout)
+    .sort((a, b) => (a.matchNumber ?? Infinity) - (b.matchNumber ?? Infinity) || String(a.matchDate).localeCompare(String(b.matchDate)))
+    .map((match) => ({
+      id: match.id,
+      matchNumber: match.matchNumber,
+      stage: match.stage,
+      matchDate: match.matchDate,
+      teamA: match.teamA,
+      teamB: match.teamB,
+      slots: match.slots || null,
+      winner: getMatchOutcome(data, match)?.winner || null
+    }));
+  return { groups, knockouts };
+}
+
+// Fills placeholder teams from group tables and knockout results; repeats so a final
+// fed by two semi-finals resolves in the same run.
+function applyBracketSlots(data) {
+  let filled = 0;
+  for (let pass = 0; pass < data.matches.length; pass += 1) {
+    const results = buildBracketResults(data);
+    const qualifiersByGroup = new Map(results.groups.map((group) => [group.key, group.qualifiers]));
+    const outcomesByNumber = new Map(
+      data.matches
+        .filter((match) => match.matchNumber != null)
+        .map((match) => [match.matchNumber, getMatchOutcome(data, match)])
+    );
+    let changed = 0;
+    for (const match of data.matches) {
+      for (const side of ["teamA", "teamB"]) {
+        const label = match.slots?.[side];
+        if (!label) continue;
+        const team = resolveSlot(label, { qualifiersByGroup, outcomesByNumber });
+        if (team && match[side] !== team) {
+          match[side] = team;
+          changed += 1;
+        }
+      }
+    }
+    filled += changed;
+    if (!changed) break;
+  }
+  return filled;
+}
+
+function isBracketLocked(data) {
+  const { deadline } = getBracketSettings(data.settings);
+  if (deadline) return Date.now() >= new Date(deadline).getTime();
+  return isOutrightLocked(data);
+}
+
+function buildBracketState(data, viewerId) {
+  const settings = getBracketSettings(data.settings);
+  const locked = isBracketLocked(data);
+  const picks = {};
+  for (const player of data.players) {
+    if (player.bracket && (locked || player.id === viewerId)) picks[player.id] = player.bracket;
+  }
+  return {
+    settings,
+    deadline: settings.deadline || getFirstMatchTime(data),
+    locked,
+    ...buildBracketResults(data),
+    teams: getTournamentTeams(data, getTeamRegistry(data.settings)),
+    overrides: data.settings.bracketResults || {},
+    picks,
+    submitted: data.players.filter((player) => player.bracket).map((player) => player.id)
+  };
+}
+
+function parseTeamList(value) {
+  return (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+}
+
+// Only matches whose lock times move are touched, so the rest keep their version. Lock times the
+// admin typed in when adding a match stay as they are.
+function recomputeLockTimes(data) {
+  const minutes = data.settings.lockMinutesBeforeStart;
+  let updated = 0;
+  for (const match of data.matches) {
+    const next = structuredClone(match);
+    normalizeMatch(next, data.settings);
+    const starts = { innings1: next.matchDate, innings2: next.innings2.startTime };
+    let changed = false;
+    for (const inningsKey of ["innings1", "innings2"]) {
+      const innings = next[inningsKey];
+      if (innings.status !== "open" || innings.lockOverride || !starts[inningsKey]) continue;
+      const lockTime = computeLockTime(starts[inningsKey], minutes);
+      if (lockTime === innings.lockTime) continue;
+      innings.lockTime = lockTime;
+      changed = true;
+      updated += 1;
+    }
+    if (changed) Object.assign(match, next);
+  }
+  return updated;
+}
+
+function redactMatch(match, viewerId, data) {
+  const predictions = {};
+  const predictionHistory = {};
+  const submitted = {};
+  for (const inningsKey of ["innings1", "innings2"]) {
+    const all = match.predictions?.[inningsKey] || {};
+    const history = match.predictionHistory?.[inningsKey] || {};
+    submitted[inningsKey] = Object.keys(all);
+    if (isInningsLocked(match[inningsKey])) {
+      predictions[inningsKey] = all;
+      predictionHistory[inningsKey] = history;
+    } else {
+      predictions[inningsKey] = viewerId && all[viewerId] != null ? { [viewerId]: all[viewerId] } : {};
+      predictionHistory[inningsKey] = viewerId && history[viewerId] ? { [viewerId]: history[viewerId] } : {};
+    }
+  }
+  const marketPredictions = {};
+  const submittedMarkets = {};
+  for (const [marketId, all] of Object.entries(match.marketPredictions || {})) {
+    submittedMarkets[marketId] = Object.keys(all);
+    const market = { lock: MARKET_DEFINITIONS[marketId]?.lock, ...data.settings.markets?.[marketId] };
+    if (isMarketLocked(match, market)) {
+      marketPredictions[marketId] = all;
+    } else {
+      marketPredictions[marketId] = viewerId && all[viewerId] != null ? { [viewerId]: all[viewerId] } : {};
+    }
+  }
+  const pools = {};
+  for (const inningsKey of ["innings1", "innings2"]) {
+    const stakes = getStakes(data.ledger, match.id, inningsKey);
+    const locked = isInningsLocked(match[inningsKey]);
+    pools[inningsKey] = {
+      total: Object.values(stakes).reduce((sum, amount) => sum + amount, 0),
+      stakers: Object.keys(stakes).length,
+      voided: Boolean(match[inningsKey]?.poolVoided),
+      stakes: locked ? stakes : viewerId && stakes[viewerId] ? { [viewerId]: stakes[viewerId] } : {},
+      payouts: locked ? getSettled(data.ledger, match.id, inningsKey) : {}
+    };
+  }
+  const powerups = {};
+  for (const inningsKey of ["innings1", "innings2"]) {
+    const all = match.powerups?.[inningsKey] || {};
+    powerups[inningsKey] = isInningsLocked(match[inningsKey])
+      ? all
+      : viewerId && all[viewerId]
+        ? { [viewerId]: all[viewerId] }
+        : {};
+  }
+  const undo = (match.version || 0) === match.undo?.version ? getUndo(match) : null;
+  return {
+    ...match,
+    predictions,
+    predictionHistory,
+    submitted,
+    marketPredictions,
+    submittedMarkets,
+    pools,
+    powerups,
+    undo
+  };
+}
+
+// Picks in the audit log stay hidden until they are shown to everyone, the same as on the board.
+function redactAuditEntry(entry, data) {
+  if (!PICK_ACTIONS.includes(entry.action)) return entry;
+  const match = data.matches.find((m) => m.id === entry.matchId);
+  let shown = true;
+  if (entry.action === "outright-prediction") {
+    shown = isOutrightLocked(data);
+  } else if (entry.action === "bracket-picks") {
+    shown = isBracketLocked(data);
+  } else if (match && entry.action === "market-prediction") {
+    const market = getMarket(data.settings, entry.subject);
+    shown = !market || isMarketLocked(match, market);
+  } else if (match) {
+    shown = isInningsLocked(match[entry.subject]);
+  }
+  return shown ? entry : { ...entry, before: null, after: null, hidden: true };
+}
+
+function resultFingerprint(result) {
+  if (!result) return "";
+  const points = Object.keys(result.points || {})
+    .sort()
+    .map((playerId) => `${playerId}:${result.points[playerId]}`);
+  return [
+    [...(result.winners || [])].sort().join(","),
+    result.closestDiff,
+    points.join(","),
+    result.weight,
+    result.ruleSet?.id
+  ].join("|");
+}
+
+function recalculateResults(data) {
+  const ruleSetId = describeRuleSet(data.settings).id;
+  let changed = 0;
+  let stale = 0;
+  for (const match of data.matches) {
+    normalizeMatch(match, data.settings);
+    for (const inningsKey of ["innings1", "innings2"]) {
+      const innings = match[inningsKey];
+      if (innings.status !== "scored" || innings.score == null) continue;
+      const previous = match.result?.[inningsKey] || null;
+      if (previous && previous.ruleSet?.id !== ruleSetId) stale += 1;
+      const result = computeMatchInningsResult(data, match, inningsKey);
+      if (resultFingerprint(result) === resultFingerprint(previous)) continue;
+      match.result = match.result || {};
+      match.result[inningsKey] = result;
+      settlePool(data, match, inningsKey);
+      changed += 1;
+    }
+    for (const [marketId, previous] of Object.entries(match.marketResults)) {
+      const market = getMarket(data.settings, marketId);
+      if (!market || !previous) continue;
+      const result = settleMarket(data, match, market, previous.answer);
+      if (resultFingerprint(result) === resultFingerprint(previous)) continue;
+      match.marketResults[marketId] = result;
+      changed += 1;
+    }
+  }
+  const outrightResults = data.settings.outrightResults || {};
+  for (const [outrightId, previous] of Object.entries(outrightResults)) {
+    const outright = getOutright(data.settings, outrightId);
+    if (!outright || !previous) continue;
+    const result = settleOutright(data, outright, previous.answer);
+    if (resultFingerprint(result) === resultFingerprint(previous)) continue;
+    outrightResults[outrightId] = result;
+    changed += 1;
+  }
+  return { changed, stale };
+}
+
+function compareStandings(before, after) {
+  const previous = new Map(before.map((row, index) => [row.playerId, { row, rank: index + 1 }]));
+  return after.map((row, index) => {
+    const old = previous.get(row.playerId);
+    return {
+      playerId: row.playerId,
+      name: row.name,
+      pointsBefore: old ? old.row.points : 0,
+      pointsAfter: row.points,
+      rankBefore: old ? old.rank : null,
+      rankAfter: index + 1
+    };
+  });
+}
+
+function buildScoreboard(data) {
+  const stats = new Map();
+  for (const player of data.players) {
+    stats.set(player.id, {
+      playerId: player.id,
+      name: player.name,
+      retired: Boolean(player.retired),
+      wins: 0,
+      exactHits: 0,
+      jokerPoints: 0,
+      penaltyPoints: 0,
+      marketPoints: 0,
+      outrightPoints: 0,
+      bracketPoints: 0,
+      balance: 0,
+      points: 0,
+      totalDiff: 0,
+      predictions: 0,
+      scoredMatches: 0
+    });
+  }
+
+  for (const match of data.matches) {
+    for (const inningsKey of ["innings1", "innings2"]) {
+      const innings = match[inningsKey];
+      if (!innings || innings.status !== "scored" || innings.score == null || isInningsVoid(innings)) continue;
+      const predictions = getScoredPredictions(match, inningsKey);
+      const result = match.result?.[inningsKey] || computeMatchInningsResult(data, match, inningsKey);
+      const winnerSet = new Set(result ? result.winners : []);
+
+      for (const player of data.players) {
+        const prediction = predictions[player.id];
+        if (prediction == null) continue;
+        const diff = Math.abs(prediction - innings.score);
+        const row = stats.get(player.id);
+        // Scaled predictions from shortened innings count for points but not the average miss.
+        if (!innings.reducedOvers) {
+          row.totalDiff += diff;
+          row.predictions += 1;
+        }
+        row.scoredMatches += 1;
+        if (diff === 0) row.exactHits += 1;
+        if (winnerSet.has(player.id)) row.wins += 1;
+        let earned = 0;
+        if (result?.points) {
+          earned = result.points[player.id] || 0;
+        } else if (winnerSet.has(player.id)) {
+          // Results stored before scoring rules existed: closest wins 1, plus the exact bonus.
+          earned = 1 + (diff === 0 ? data.settings.bonusExact || 0 : 0);
+        }
+        if (hasPowerup(match, inningsKey, player.id, "joker")) {
+          row.jokerPoints += earned;
+          earned *= 2;
+        }
+        const penalty = getEditPenalty(match, inningsKey, player.id);
+        row.penaltyPoints += penalty;
+        row.points += earned - penalty;
+      }
+    }
+    for (const result of Object.values(match.marketResults || {})) {
+      for (const [playerId, points] of Object.entries(result?.points || {})) {
+        const row = stats.get(playerId);
+        if (!row) continue;
+        row.marketPoints += points;
+        row.points += points;
+      }
+    }
+  }
+
+  for (const result of Object.values(data.settings.outrightResults || {})) {
+    for (const [playerId, points] of Object.entries(result?.points || {})) {
+      const row = stats.get(playerId);
+      if (!row) continue;
+      row.outrightPoints += points;
+      row.points += points;
+    }
+  }
+
+  // Stakes on innings that are still open stay private, so balances here leave them out.
+  const openStakes = new Set(
+    data.matches.flatMap((match) =>
+      ["innings1", "innings2"]
+        .filter((inningsKey) => !isInningsLocked(match[inningsKey]))
+        .map((inningsKey) => `${match.id}:${inningsKey}`)
+    )
+  );
+  const balances = getBalances(
+    data.ledger.filter((entry) => entry.type !== "stake" || !openStakes.has(`${entry.matchId}:${entry.innings}`)),
+    data.players,
+    getCoinSettings(data.settings)
+  );
+  for (const [playerId, balance] of Object.entries(balances)) {
+    stats.get(playerId).balance = balance;
+  }
+
+  const bracketResults = buildBracketResults(data);
+  const bracketSettings = getBracketSettings(data.settings);
+  const rules = getScoringRules(data.settings);
+  for (const player of data.players) {
+    if (!player.bracket) continue;
+    const row = stats.get(player.id);
+    row.bracketPoints = scoreBracket(player.bracket, bracketResults, bracketSettings, (stage) =>
+      getStageWeight(rules, stage)
+    );
+    row.points += row.bracketPoints;
+  }
+
+  const rows = Array.from(stats.values()).map((row) => ({
+    ...row,
+    points: Math.round(row.points * 100) / 100,
+    marketPoints: Math.round(row.marketPoints * 100) / 100,
+    jokerPoints: Math.round(row.jokerPoints * 100) / 100,
+    penaltyPoints: Math.round(row.penaltyPoints * 100) / 100,
+    outrightPoints: Math.round(row.outrightPoints * 100) / 100,
+    avgDiff: row.predictions ? Number((row.totalDiff / row.predictions).toFixed(2)) : null
+  }));
+
+  rows.sort((a, b) => b.points - a.points || a.avgDiff - b.avgDiff || a.name.localeCompare(b.name));
   return rows;
 }
 
-app.get("/api/state", async (req, res) => {
+// Power-ups left for a player; ones played on innings that ended void are handed back.
+function getPowerupsLeft(data, playerId) {
+  const powerupSettings = getPowerupSettings(data.settings);
+  const left = {};
+  for (const kind of Object.keys(POWERUP_KINDS)) {
+    const played = countPlayed(data.matches, playerId, kind, (match, inningsKey) => !isInningsVoid(match[inningsKey]));
+    left[kind] = Math.max(0, getAllowance(powerupSettings, kind) - played);
+  }
+  return left;
+}
+
+function buildSettlement(data) {
+  const innings = [];
+  const ordered = [...data.matches].sort(
+    (a, b) => new Date(a.matchDate || 0) - new Date(b.matchDate || 0) || (a.matchNumber || 0) - (b.matchNumber || 0)
+  );
+  for (const match of ordered) {
+    for (const inningsKey of ["innings1", "innings2"]) {
+      const inningsData = match[inningsKey];
+      if (!inningsData || inningsData.status !== "scored" || inningsData.score == null) continue;
+      if (isInningsVoid(inningsData)) continue;
+      const predictions = match.predictions?.[inningsKey] || {};
+      const result = match.result?.[inningsKey] || computeMatchInningsResult(data, match, inningsKey);
+      innings.push({
+        matchId: match.id,
+        inningsKey,
+        label: `${match.teamA} vs ${match.teamB} (${inningsKey === "innings1" ? "1st" : "2nd"} innings)`,
+        entrants: Object.keys(predictions).filter((playerId) => predictions[playerId] != null),
+        winners: result?.winners || []
+      });
+    }
+  }
+  return computeSettlement(innings, data.players, getSettlementSettings(data.settings));
+}
+
+function renderSettlementPage(data, report) {
+  const names = new Map(data.players.map((player) => [player.id, player.name]));
+  const money = (cents) => escapeHtml(formatMoney(cents, report.currency));
+  const rows = (items, cells) =>
+    items.map((item) => `<tr>${cells(item).map((cell) => `<td>${cell}</td>`).join("")}</tr>`).join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.settings.roomName)} - Settle up</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+  table { border-collapse: collapse; margin-bottom: 2rem; min-width: 24rem; }
+  th, td { border-bottom: 1px solid #ccc; padding: 0.3rem 0.8rem; text-align: left; }
+  @media print { button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(data.settings.roomName)}: settle up</h1>
+<p>Entry ${money(report.entry)} per innings. Generated ${escapeHtml(new Date().toLocaleString("en-GB"))}.</p>
+<button onclick="window.print()">Print</button>
+<h2>Transfers</h2>
+${
+  report.transfers.length
+    ? `<table><tr><th>From</th><th>To</th><th>Amount</th></tr>${rows(report.transfers, (transfer) => [
+        escapeHtml(names.get(transfer.from)),
+        escapeHtml(names.get(transfer.to)),
+        money(transfer.amount)
+      ])}</table>`
+    : "<p>Everyone is square.</p>"
+}
+<h2>Balances</h2>
+<table><tr><th>Player</th><th>Entries</th><th>Wins</th><th>Paid</th><th>Won</th><th>Net</th></tr>${rows(
+    report.balances,
+    (row) => [escapeHtml(row.name), row.entries, row.wins, money(row.paid), money(row.won), money(row.net)]
+  )}</table>
+<h2>Innings</h2>
+<table><tr><th>Innings</th><th>Entries</th><th>Pot</th><th>Winners</th><th></th></tr>${rows(report.innings, (item) => [
+    escapeHtml(item.label),
+    item.entrants.length,
+    money(item.pot),
+    escapeHtml(item.winners.map((playerId) => names.get(playerId)).join(", ")),
+    escapeHtml(item.note || "")
+  ])}</table>
+</body>
+</html>`;
+}
+
+app.get("/api/state", route(async (req, res) => {
   const data = await readData();
   data.matches.forEach((match) => normalizeMatch(match, data.settings));
-  try {
-    await syncTossFromGoalserve(data, false);
-  } catch (err) {
-    // Keep state available even if toss sync fails.
-  }
-  await saveData(data);
-  const { adminPinHash, ...settings } = data.settings;
+  const { adminPinHash, sessionSecret, outrightResults, bracketResults, ...settings } = data.settings;
+  const session = getSession(req, data);
+  const admin = ensureAdmin(req, data);
   res.json({
     settings,
-    players: data.players,
-    matches: data.matches,
+    limits: { minPlayers: MIN_PLAYERS, maxPlayers: MAX_PLAYERS },
+    scheduleProviders: listProviders(),
+    scoring: { rules: getScoringRules(data.settings), schemes: SCORING_SCHEMES, tieModes: TIE_MODES },
+    markets: { definitions: listMarkets(), settings: getMarketSettings(data.settings), locks: MARKET_LOCKS },
+    outrights: buildOutrightState(data, session.playerId),
+    bracket: buildBracketState(data, session.playerId),
+    coins: {
+      settings: getCoinSettings(data.settings),
+      balance: session.playerId
+        ? getBalances(data.ledger, data.players, getCoinSettings(data.settings))[session.playerId]
+        : null
+    },
+    settlement: getSettlementSettings(data.settings),
+    predictionEdits: { settings: getEditSettings(data.settings), modes: EDIT_MODES },
+    powerups: {
+      settings: getPowerupSettings(data.settings),
+      kinds: POWERUP_KINDS,
+      left: session.playerId ? getPowerupsLeft(data, session.playerId) : null
+    },
+    session: { playerId: session.playerId, admin },
+    jobs: admin ? scheduler.status() : null,
+    teamReport: admin ? teamReport : null,
+    players: data.players.map(publicPlayer),
+    matches: data.matches.map((match) => redactMatch(match, session.playerId, data)),
     scoreboard: buildScoreboard(data)
   });
+}));
+
+app.get("/api/events", (req, res) => {
+  live.subscribe(req, res);
+});
+
+// Fallback for browsers whose proxy buffers the event stream.
+app.get("/api/events/poll", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json(live.since(req.query.since ? Number(req.query.since) : NaN));
 });
 
-app.post("/api/setup", async (req, res) => {
+app.get("/api/jobs", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+  res.json({ jobs: scheduler.status() });
+}));
+
+app.post("/api/jobs/:name/run", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+  if (!scheduler.has(req.params.name)) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+  const result = await scheduler.runJob(req.params.name);
+  res.json({ ok: true, result, jobs: scheduler.status() });
+}));
+
+app.post("/api/session", route(async (req, res) => {
+  const data = await readData();
+  const body = req.body || {};
+  const player = data.players.find((p) => p.id === String(body.playerId || ""));
+  if (!player || player.retired) {
+    return res.status(400).json({ error: "Invalid player." });
+  }
+  const pin = String(body.pin || "").trim();
+  if (pin.length < 4) {
+    return res.status(400).json({ error: "PIN must be at least 4 digits." });
+  }
+  const lockedUntil = getPinLockout(player.id);
+  if (lockedUntil) {
+    return res.status(429).json({ error: lockoutError(lockedUntil) });
+  }
+  const session = getSession(req, data);
+  const pinSet = !player.pinHash;
+  if (pinSet) {
+    // A first PIN claims the player, so it needs their join link.
+    const invited =
+      session.playerId === player.id || (Boolean(body.joinToken) && String(body.joinToken) === player.joinToken);
+    if (!invited) {
+      return res.status(403).json({ error: "Open the join link from the admin to set your first PIN." });
+    }
+    player.pinHash = await hashPin(pin);
+  } else if (!(await verifyPin(player.pinHash, pin, `${player.id}:${pin}`))) {
+    recordPinFailure(player.id);
+    return res.status(403).json({ error: "Wrong PIN." });
+  } else if (isLegacyPinHash(player.pinHash)) {
+    player.pinHash = await hashPin(pin);
+  }
+  pinAttempts.delete(player.id);
+
+  setSession(res, data, { playerId: player.id, admin: session.admin });
+  await store.savePlayer(player);
+  if (pinSet) {
+    await recordAudit(req, data, "player", [
+      { action: "player.login", actorPlayerId: player.id, playerId: player.id, after: { pinHash: HIDDEN } }
+    ]);
+  }
+  res.json({ ok: true });
+}));
+
+app.post("/api/session/pin", route(async (req, res) => {
+  const data = await readData();
+  const session = getSession(req, data);
+  const player = data.players.find((p) => p.id === session.playerId);
+  if (!player) {
+    return res.status(401).json({ error: "Log in as a player first." });
+  }
+  const pin = String(req.body?.pin || "").trim();
+  if (pin.length < 4) {
+    return res.status(400).json({ error: "PIN must be at least 4 digits." });
+  }
+  const before = snapshotData(data);
+  player.pinHash = await hashPin(pin);
+  player.sessionVersion = (player.sessionVersion || 0) + 1;
+  setSession(res, data, session);
+  await store.savePlayer(player);
+  await auditChanges(req, data, before, "player.pin", "player");
+  res.json({ ok: true });
+}));
+
+app.post("/api/session/logout", (req, res) => {
+  clearSession(res);
+  res.json({ ok: true });
+});
+
+app.post("/api/admin/session", route(async (req, res) => {
+  const data = await readData();
+  if (!data.settings.usePin) {
+    return res.json({ ok: true });
+  }
+  const lockedUntil = getPinLockout("admin");
+  if (lockedUntil) {
+    return res.status(429).json({ error: lockoutError(lockedUntil) });
+  }
+  const pin = String(req.body?.pin || "").trim();
+  if (!pin || !(await verifyPin(data.settings.adminPinHash, pin, pin))) {
+    recordPinFailure("admin");
+    return res.status(403).json({ error: "Invalid admin PIN." });
+  }
+  pinAttempts.delete("admin");
+  if (isLegacyPinHash(data.settings.adminPinHash)) {
+    // Admin sessions are stamped with the hash, so other admin logins end here once.
+    data.settings.adminPinHash = await hashPin(pin);
+    await store.saveSettings(data.settings);
+  }
+  setSession(res, data, { playerId: getSession(req, data).playerId, admin: true });
+  res.json({ ok: true });
+}));
+
+app.post("/api/admin/logout", route(async (req, res) => {
+  const data = await readData();
+  setSession(res, data, { playerId: getSession(req, data).playerId, admin: false });
+  res.json({ ok: true });
+}));
+
+app.get("/join/:token", route(async (req, res) => {
+  const data = await readData();
+  const token = String(req.params.token || "");
+  const player = token ? data.players.find((p) => p.joinToken === token) : null;
+  if (!player || player.retired) {
+    return res.status(404).send("This join link is no longer valid. Ask the admin for a new one.");
+  }
+  setSession(res, data, { playerId: player.id, admin: getSession(req, data).admin });
+  res.redirect("/");
+}));
+
+app.post("/api/players/:id/join-link", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+  const player = data.players.find((p) => p.id === req.params.id);
+  if (!player) return res.status(404).json({ error: "Player not found." });
+
+  const body = req.body || {};
+  // A join link logs its holder in, so only a logged-in admin can hand one out for a claimed player.
+  if ((body.rotate || body.resetPin || player.pinHash) && !hasAdminSession(req, data)) {
+    return res.status(403).json({
+      error: player.pinHash
+        ? "This player has set a PIN. Set an admin PIN and log in as admin to share or reset their link."
+        : "Set an admin PIN and log in as admin to reset PINs or join links."
+    });
+  }
+
+  const before = snapshotData(data);
+  if (body.rotate || !player.joinToken) {
+    player.joinToken = crypto.randomBytes(16).toString("hex");
+    player.sessionVersion = (player.sessionVersion || 0) + 1;
+  }
+  if (body.resetPin) {
+    player.pinHash = null;
+    player.sessionVersion = (player.sessionVersion || 0) + 1;
+  }
+  await store.savePlayer(player);
+  await auditChanges(req, data, before, "player.join-link");
+  res.json({ ok: true, joinPath: `/join/${player.joinToken}` });
+}));
+
+app.post("/api/setup", route(async (req, res) => {
+  const existing = await readData();
+  if (existing.players.length && !ensureAdmin(req, existing)) {
+    return res.status(403).json({ error: "Log in as admin to reset the room." });
+  }
   const body = req.body || {};
   const roomName = String(body.roomName || "T20 Score Predictions").trim();
   const playerNames = Array.isArray(body.players) ? body.players : [];
@@ -818,8 +1847,13 @@ app.post("/api/setup", async (req, res) => {
     .map((name) => String(name || "").trim())
     .filter(Boolean);
 
-  if (uniqueNames.length < 4) {
-    return res.status(400).json({ error: "Add four players." });
+  if (uniqueNames.length < MIN_PLAYERS || uniqueNames.length > MAX_PLAYERS) {
+    return res
+      .status(400)
+      .json({ error: `Add between ${MIN_PLAYERS} and ${MAX_PLAYERS} players.` });
+  }
+  if (new Set(uniqueNames.map((name) => name.toLowerCase())).size !== uniqueNames.length) {
+    return res.status(400).json({ error: "Player names must be unique." });
   }
 
   const usePin = Boolean(body.usePin);
@@ -837,12 +1871,13 @@ app.post("/api/setup", async (req, res) => {
   const data = defaultData();
   data.settings.roomName = roomName;
   data.settings.usePin = usePin;
-  data.settings.adminPinHash = usePin ? hashPin(adminPin) : null;
+  data.settings.adminPinHash = usePin ? await hashPin(adminPin) : null;
   data.settings.bonusExact = bonusExact;
   data.settings.minScore = minScore;
   data.settings.maxScore = maxScore;
   data.settings.lockMinutesBeforeStart = lockMinutesBeforeStart;
-  data.players = uniqueNames.map((name) => ({ id: makeId("player"), name }));
+  data.settings.sessionSecret = existing.settings.sessionSecret;
+  data.players = uniqueNames.map(makePlayer);
 
   let scheduleResult = null;
   let scheduleError = null;
@@ -854,45 +1889,434 @@ app.post("/api/setup", async (req, res) => {
     }
   }
 
-  await saveData(data);
+  if (usePin) {
+    setSession(res, data, { playerId: null, admin: true });
+  }
+  await store.replaceAll(data);
+  await recordAudit(req, existing, "admin", [
+    {
+      action: "room.setup",
+      before: existing.players.length
+        ? { roomName: existing.settings.roomName, players: existing.players.map((player) => player.name) }
+        : null,
+      after: { roomName, players: uniqueNames, usePin, matches: data.matches.length }
+    }
+  ]);
   res.json({ ok: true, scheduleResult, scheduleError });
-});
+}));
 
-app.post("/api/schedule/import", async (req, res) => {
+app.post("/api/room", route(async (req, res) => {
   const data = await readData();
-  if (!ensureAdmin(data, req.body?.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  const before = snapshotData(data);
+  const body = req.body || {};
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  const settings = { ...data.settings };
+  if (body.roomName !== undefined) {
+    settings.roomName = String(body.roomName || "").trim() || settings.roomName;
+  }
+  if (body.bonusExact !== undefined) {
+    settings.bonusExact = Math.max(0, Number(body.bonusExact || 0));
+  }
+  if (body.minScore !== undefined) {
+    settings.minScore = Math.max(0, Number(body.minScore || 0));
+  }
+  if (body.maxScore !== undefined) {
+    settings.maxScore = Number(body.maxScore || 0);
+  }
+  if (body.lockMinutesBeforeStart !== undefined) {
+    settings.lockMinutesBeforeStart = Math.max(0, Number(body.lockMinutesBeforeStart || 0));
+  }
+  if (
+    ![settings.bonusExact, settings.minScore, settings.maxScore, settings.lockMinutesBeforeStart].every(
+      Number.isFinite
+    )
+  ) {
+    return res.status(400).json({ error: "Settings must be numbers." });
+  }
+  if (settings.maxScore < settings.minScore) {
+    return res.status(400).json({ error: "Maximum score must be at least the minimum score." });
+  }
+  if (body.scheduleProvider !== undefined) {
+    if (!getProvider(body.scheduleProvider)) {
+      return res.status(400).json({ error: "Unknown schedule provider." });
+    }
+    settings.scheduleProvider = body.scheduleProvider;
+  }
+  if (body.scheduleFeedUrl !== undefined) {
+    const url = String(body.scheduleFeedUrl || "").trim();
+    if (url && !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: "Schedule feed URL must start with http:// or https://." });
+    }
+    settings.scheduleFeedUrl = url || null;
+  }
+  if (body.scoring !== undefined) {
+    const { rules, error } = parseScoringRules(body.scoring, getScoringRules(settings));
+    if (error) return res.status(400).json({ error });
+    settings.scoring = rules;
+  }
+  if (body.markets !== undefined) {
+    const { markets, error } = parseMarketSettings(body.markets, getMarketSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.markets = markets;
+  }
+  if (body.outrights !== undefined) {
+    const { outrights, error } = parseOutrightSettings(body.outrights, getOutrightSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.outrights = outrights;
+  }
+  if (body.bracket !== undefined) {
+    const { bracket, error } = parseBracketSettings(body.bracket, getBracketSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.bracket = bracket;
+  }
+  if (body.coins !== undefined) {
+    const { coins, error } = parseCoinSettings(body.coins, getCoinSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.coins = coins;
+  }
+  if (body.powerups !== undefined) {
+    const { powerups, error } = parsePowerupSettings(body.powerups, getPowerupSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.powerups = powerups;
+  }
+  if (body.predictionEdits !== undefined) {
+    const { predictionEdits, error } = parseEditSettings(body.predictionEdits, getEditSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.predictionEdits = predictionEdits;
+  }
+  if (body.settlement !== undefined) {
+    const { settlement, error } = parseSettlementSettings(body.settlement, getSettlementSettings(settings));
+    if (error) return res.status(400).json({ error });
+    settings.settlement = settlement;
+  }
+  if (body.teamAliases !== undefined) {
+    const aliases =
+      typeof body.teamAliases === "string" ? parseTeamAliases(body.teamAliases) : body.teamAliases || {};
+    if (
+      typeof aliases !== "object" ||
+      Array.isArray(aliases) ||
+      !Object.values(aliases).every((list) => Array.isArray(list) && list.every((name) => typeof name === "string"))
+    ) {
+      return res.status(400).json({ error: "Team aliases must map team names to lists of aliases." });
+    }
+    const aliasError = validateTeamAliases(aliases);
+    if (aliasError) return res.status(400).json({ error: aliasError });
+    settings.teamAliases = aliases;
+  }
+  if (body.usePin !== undefined) {
+    settings.usePin = Boolean(body.usePin);
+    const newPin = String(body.newAdminPin || "").trim();
+    if (newPin) {
+      if (newPin.length < 3) {
+        return res.status(400).json({ error: "Admin PIN must be at least 3 digits." });
+      }
+      settings.adminPinHash = await hashPin(newPin);
+    }
+    if (settings.usePin && !settings.adminPinHash) {
+      return res.status(400).json({ error: "Set an admin PIN to require it." });
+    }
+  }
+
+  const players = data.players.map((player) => ({ ...player }));
+  const roster = Array.isArray(body.players) ? body.players : [];
+  for (const entry of roster) {
+    const name = String(entry?.name || "").trim();
+    const existing = entry?.id ? players.find((p) => p.id === entry.id) : null;
+    if (entry?.id && !existing) {
+      return res.status(400).json({ error: "Unknown player in roster." });
+    }
+    if (existing) {
+      if (name) existing.name = name;
+      if (entry.retired !== undefined) existing.retired = Boolean(entry.retired);
+    } else if (name) {
+      players.push(makePlayer(name));
+    }
+  }
+  const names = players.map((player) => player.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return res.status(400).json({ error: "Player names must be unique." });
+  }
+  const activeCount = players.filter((player) => !player.retired).length;
+  if (activeCount < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    return res.status(400).json({
+      error: `Rooms need at least ${MIN_PLAYERS} active players and at most ${MAX_PLAYERS} in total.`
+    });
+  }
+
+  const lockChanged = settings.lockMinutesBeforeStart !== data.settings.lockMinutesBeforeStart;
+  data.settings = settings;
+  data.players = players;
+  const locksUpdated = lockChanged ? recomputeLockTimes(data) : 0;
+
+  if (settings.usePin) {
+    setSession(res, data, { playerId: getSession(req, data).playerId, admin: true });
+  }
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "room.update");
+  res.json({ ok: true, locksUpdated });
+}));
+
+app.post("/api/standings/recalculate", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  const confirm = Boolean(req.body?.confirm);
+  const before = snapshotData(data);
+  const standingsBefore = buildScoreboard(data);
+  const { changed, stale } = recalculateResults(data);
+  const standings = compareStandings(standingsBefore, buildScoreboard(data));
+  if (confirm && changed) {
+    await saveChanges(data, before);
+    await auditChanges(req, data, before, "standings.recalculate");
+  }
+  res.json({ ok: true, applied: confirm, resultsChanged: changed, staleResults: stale, standings });
+}));
+
+app.post("/api/outrights/:id/predict", route(async (req, res) => {
+  const data = await readData();
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const outright = getOutright(data.settings, req.params.id);
+  if (!outright || !outright.enabled) {
+    return res.status(404).json({ error: "This outright is not open in this room." });
+  }
+  if (isOutrightLocked(data)) {
+    return res.status(403).json({ error: "Tournament picks locked when the first match started." });
+  }
+
+  const player = data.players.find((p) => p.id === getSession(req, data).playerId);
+  if (!player) {
+    return res.status(401).json({ error: "Log in as a player to predict." });
+  }
+
+  const teams = getTeamRegistry(data.settings);
+  const { value, error } = parseOutrightValue(outright, req.body?.value, getTournamentTeams(data, teams), teams);
+  if (error) return res.status(400).json({ error });
+
+  const previous = player.outrights?.[outright.id] ?? null;
+  player.outrights = { ...player.outrights, [outright.id]: value };
+  await store.savePlayer(player);
+  await recordAudit(req, data, "player", [
+    {
+      action: "outright-prediction",
+      playerId: player.id,
+      subject: outright.id,
+      before: { value: previous },
+      after: { value }
+    }
+  ]);
+  res.json({ ok: true });
+}));
+
+app.post("/api/outrights/settle", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const before = snapshotData(data);
+  const teams = getTeamRegistry(data.settings);
+  const outrightResults = { ...data.settings.outrightResults };
+  for (const [outrightId, answer] of Object.entries(req.body?.results || {})) {
+    const outright = getOutright(data.settings, outrightId);
+    if (!outright) return res.status(400).json({ error: `Unknown outright: ${outrightId}.` });
+    if (answer == null || answer === "" || (Array.isArray(answer) && !answer.length)) {
+      delete outrightResults[outrightId];
+      continue;
+    }
+    if (!isOutrightReady(data, outright, teams)) {
+      const when = outright.input === "teams" ? "line-up is known" : "has been played";
+      return res.status(400).json({
+        error: `${outright.label} can be settled once the ${outright.settleStage} ${when}.`
+      });
+    }
+    const { value, error } = parseOutrightValue(outright, answer, getTournamentTeams(data, teams), teams);
+    if (error) return res.status(400).json({ error });
+    outrightResults[outrightId] = settleOutright(data, outright, value);
+  }
+
+  data.settings.outrightResults = outrightResults;
+  await store.saveSettings(data.settings);
+  await auditChanges(req, data, before, "outright.settle");
+  res.json({ ok: true, outrightResults });
+}));
+
+app.post("/api/bracket", route(async (req, res) => {
+  const data = await readData();
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const settings = getBracketSettings(data.settings);
+  if (!settings.enabled) {
+    return res.status(404).json({ error: "Bracket mode is not on in this room." });
+  }
+  if (isBracketLocked(data)) {
+    return res.status(403).json({ error: "The bracket deadline has passed." });
+  }
+  const player = data.players.find((p) => p.id === getSession(req, data).playerId);
+  if (!player) {
+    return res.status(401).json({ error: "Log in as a player to fill in a bracket." });
+  }
+
+  const teams = getTeamRegistry(data.settings);
+  const { groups, knockouts } = buildBracketResults(data);
+  const tournamentTeams = getTournamentTeams(data, teams);
+  const bracket = { groups: { ...player.bracket?.groups }, winners: { ...player.bracket?.winners } };
+  const body = req.body || {};
+
+  for (const [key, value] of Object.entries(body.groups || {})) {
+    const group = groups.find((item) => item.key === groupKey(key));
+    if (!group) return res.status(400).json({ error: `Unknown group: ${key}.` });
+    const picked = parseTeamList(value).map((name) => group.teams.find((team) => teams.key(team) === teams.key(name)));
+    if (picked.includes(undefined)) {
+      return res.status(400).json({ error: `Pick teams from ${group.name}.` });
+    }
+    if (new Set(picked).size !== picked.length || picked.length > settings.advancePerGroup) {
+      return res.status(400).json({
+        error: `Pick up to ${settings.advancePerGroup} different teams to advance from ${group.name}.`
+      });
+    }
+    if (picked.length) bracket.groups[group.key] = picked;
+    else delete bracket.groups[group.key];
+  }
+
+  for (const [matchId, value] of Object.entries(body.winners || {})) {
+    const knockout = knockouts.find((item) => item.id === matchId);
+    if (!knockout) return res.status(400).json({ error: "Unknown knockout fixture." });
+    if (!value) {
+      delete bracket.winners[matchId];
+      continue;
+    }
+    const known = [knockout.teamA, knockout.teamB].filter((team) => !teams.isPlaceholder(team));
+    const options = known.length === 2 ? known : tournamentTeams;
+    const team = options.find((name) => teams.key(name) === teams.key(value));
+    if (!team) {
+      return res.status(400).json({ error: `${value} cannot win the ${knockout.stage} fixture.` });
+    }
+    bracket.winners[matchId] = team;
+  }
+
+  const previous = player.bracket || null;
+  player.bracket = bracket;
+  await store.savePlayer(player);
+  await recordAudit(req, data, "player", [
+    { action: "bracket-picks", playerId: player.id, before: previous, after: bracket }
+  ]);
+  res.json({ ok: true, bracket });
+}));
+
+app.post("/api/bracket/results", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const before = snapshotData(data);
+  const teams = getTeamRegistry(data.settings);
+  const body = req.body || {};
+  const overrides = {
+    groups: { ...data.settings.bracketResults?.groups },
+    winners: { ...data.settings.bracketResults?.winners }
+  };
+
+  for (const [matchId, slots] of Object.entries(body.slots || {})) {
+    const match = data.matches.find((m) => m.id === matchId);
+    if (!match) return res.status(400).json({ error: "Unknown fixture." });
+    const next = { ...match.slots };
+    for (const side of ["teamA", "teamB"]) {
+      if (slots?.[side] === undefined) continue;
+      const label = String(slots[side] || "").trim();
+      if (label && !parseSlot(label)) {
+        return res.status(400).json({ error: `"${label}" is not a slot like A1, 2B, W49 or L50.` });
+      }
+      if (label) next[side] = label;
+      else delete next[side];
+    }
+    match.slots = Object.keys(next).length ? next : null;
+  }
+
+  const { groups } = buildBracketResults(data);
+  for (const [key, value] of Object.entries(body.groups || {})) {
+    const group = groups.find((item) => item.key === groupKey(key));
+    if (!group) return res.status(400).json({ error: `Unknown group: ${key}.` });
+    const qualifiers = parseTeamList(value).map((name) => group.teams.find((team) => teams.key(team) === teams.key(name)));
+    if (qualifiers.includes(undefined)) {
+      return res.status(400).json({ error: `Qualifiers must be teams in ${group.name}.` });
+    }
+    if (qualifiers.length) overrides.groups[group.key] = qualifiers;
+    else delete overrides.groups[group.key];
+  }
+
+  for (const [matchId, value] of Object.entries(body.winners || {})) {
+    const match = data.matches.find((m) => m.id === matchId);
+    if (!match) return res.status(400).json({ error: "Unknown fixture." });
+    if (!value) {
+      delete overrides.winners[matchId];
+      continue;
+    }
+    const winner = [match.teamA, match.teamB].find((team) => teams.key(team) === teams.key(value));
+    if (!winner || teams.isPlaceholder(winner)) {
+      return res.status(400).json({ error: `Winner must be ${match.teamA} or ${match.teamB}.` });
+    }
+    overrides.winners[matchId] = winner;
+  }
+
+  data.settings.bracketResults = overrides;
+  const slotsFilled = applyBracketSlots(data);
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "bracket.results");
+  res.json({ ok: true, slotsFilled });
+}));
+
+app.post("/api/schedule/import", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   try {
+    const before = snapshotData(data);
     data.matches.forEach((match) => normalizeMatch(match, data.settings));
-    const result = await importSchedule(data);
-    await saveData(data);
+    const body = req.body || {};
+    const result = await importSchedule(data, {
+      provider: body.provider,
+      content: typeof body.content === "string" ? body.content : null
+    });
+    await saveChanges(data, before);
+    await auditChanges(req, data, before, "schedule.import");
     res.json({ ok: true, result });
   } catch (err) {
+    if (err instanceof ConflictError) throw err;
     res.status(500).json({ error: err.message || "Schedule sync failed." });
   }
-});
+}));
 
-app.post("/api/toss/sync", async (req, res) => {
+app.post("/api/toss/sync", route(async (req, res) => {
   const data = await readData();
-  if (!ensureAdmin(data, req.body?.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
   try {
+    const before = snapshotData(data);
     const result = await syncTossFromGoalserve(data, true);
-    await saveData(data);
+    await saveChanges(data, before);
+    await auditChanges(req, data, before, "toss.sync");
     res.json({ ok: true, result });
   } catch (err) {
+    if (err instanceof ConflictError) throw err;
     res.status(500).json({ error: err.message || "Toss sync failed." });
   }
-});
+}));
 
-app.post("/api/matches", async (req, res) => {
+app.post("/api/matches", route(async (req, res) => {
   const data = await readData();
   const body = req.body || {};
-  if (!ensureAdmin(data, body.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   const teamA = String(body.teamA || "").trim();
@@ -920,6 +2344,7 @@ app.post("/api/matches", async (req, res) => {
     innings1: {
       status: "open",
       lockTime,
+      lockOverride: Boolean(body.lockTime),
       score: null
     },
     innings2: {
@@ -932,12 +2357,14 @@ app.post("/api/matches", async (req, res) => {
     toss: null
   };
 
+  const before = snapshotData(data);
   data.matches.push(match);
-  await saveData(data);
-  res.json({ ok: true, match });
-});
+  await store.saveMatch(match);
+  await auditChanges(req, data, before, "match.create");
+  res.json({ ok: true, match: redactMatch(match, getSession(req, data).playerId, data) });
+}));
 
-app.post("/api/matches/:id/predict", async (req, res) => {
+app.post("/api/matches/:id/predict", route(async (req, res) => {
   const data = await readData();
   const match = data.matches.find((m) => m.id === req.params.id);
   if (!match) return res.status(404).json({ error: "Match not found." });
@@ -957,16 +2384,11 @@ app.post("/api/matches/:id/predict", async (req, res) => {
     return res.status(403).json({ error: "Predictions are not open for this innings." });
   }
 
-  if (isInningsLocked(inningsData)) {
-    await saveData(data);
-    return res.status(403).json({ error: "Predictions are locked." });
-  }
-
-  const playerId = String(body.playerId || "");
+  const playerId = getSession(req, data).playerId;
   const score = Number(body.score);
 
-  if (!data.players.find((p) => p.id === playerId)) {
-    return res.status(400).json({ error: "Invalid player." });
+  if (!playerId) {
+    return res.status(401).json({ error: "Log in as a player to predict." });
   }
 
   if (!Number.isFinite(score) || score < data.settings.minScore || score > data.settings.maxScore) {
@@ -975,33 +2397,314 @@ app.post("/api/matches/:id/predict", async (req, res) => {
     });
   }
 
+  const previous = match.predictions[inningsKey][playerId] ?? null;
+  const changed = previous !== null && previous !== Math.round(score);
+  const edits = getEditSettings(data.settings);
+  if (changed && edits.mode === "cutoff" && inningsData.lockTime) {
+    const cutoff = new Date(inningsData.lockTime).getTime() - edits.cutoffMinutes * 60000;
+    if (Date.now() >= cutoff) {
+      return res.status(403).json({
+        error: `Predictions can't be changed in the last ${edits.cutoffMinutes} minutes before the lock.`
+      });
+    }
+  }
+
+  const ledger = [];
+  const change = {
+    before: { score: previous },
+    after: { score: Math.round(score) }
+  };
+  if (body.stake !== undefined && body.stake !== "") {
+    const coins = getCoinSettings(data.settings);
+    if (!coins.enabled) {
+      return res.status(400).json({ error: "Coin pools are off in this room." });
+    }
+    const stake = Number(body.stake);
+    if (!Number.isInteger(stake) || stake < 0) {
+      return res.status(400).json({ error: "Stake must be a whole number of coins." });
+    }
+    const current = getStakes(data.ledger, match.id, inningsKey)[playerId] || 0;
+    const available = getBalances(data.ledger, data.players, coins)[playerId];
+    if (stake - current > available) {
+      return res.status(400).json({ error: `You only have ${available} coins available.` });
+    }
+    if (stake !== current) {
+      change.before.stake = current;
+      change.after.stake = stake;
+      ledger.push(
+        makeLedgerEntry({
+          playerId,
+          matchId: match.id,
+          innings: inningsKey,
+          type: "stake",
+          amount: current - stake,
+          note: stake > current ? "Stake placed" : "Stake lowered"
+        })
+      );
+    }
+  }
+
+  let revision = null;
+  if (previous !== Math.round(score)) {
+    revision = {
+      score: Math.round(score),
+      at: new Date().toISOString(),
+      penalty: changed && edits.mode === "penalty" ? edits.penaltyPoints : 0
+    };
+    if (revision.penalty) change.after.penalty = revision.penalty;
+  }
+
   match.predictions[inningsKey][playerId] = Math.round(score);
-  await saveData(data);
+  await store.savePrediction(
+    match,
+    inningsKey,
+    playerId,
+    Math.round(score),
+    ledger,
+    revision,
+    ledger.length ? getCoinSettings(data.settings).startingBalance : null
+  );
+  if (revision) {
+    const history = match.predictionHistory[inningsKey];
+    history[playerId] = [...(history[playerId] || []), revision];
+  }
+  await recordAudit(req, data, "player", [
+    { action: "prediction", matchId: match.id, playerId, subject: inningsKey, ...change }
+  ]);
   res.json({ ok: true });
-});
+}));
 
-app.post("/api/matches/:id/lock", async (req, res) => {
+app.post("/api/matches/:id/powerups", route(async (req, res) => {
   const data = await readData();
   const match = data.matches.find((m) => m.id === req.params.id);
   if (!match) return res.status(404).json({ error: "Match not found." });
-  if (!ensureAdmin(data, req.body.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+
+  normalizeMatch(match, data.settings);
+  const body = req.body || {};
+  const inningsKey = Number(body.innings) === 2 ? "innings2" : "innings1";
+  const kind = String(body.kind || "");
+  const played = body.played !== false;
+  if (!getPowerupSettings(data.settings).enabled) {
+    return res.status(400).json({ error: "Power-ups are off in this room." });
+  }
+  if (!POWERUP_KINDS[kind]) {
+    return res.status(400).json({ error: "Power-up must be a joker or a shield." });
+  }
+  if (kind === "shield" && !getCoinSettings(data.settings).enabled) {
+    return res.status(400).json({ error: "Shields only work with coin pools." });
+  }
+  const playerId = getSession(req, data).playerId;
+  if (!playerId) {
+    return res.status(401).json({ error: "Log in as a player to play a power-up." });
+  }
+  if (match[inningsKey].status !== "open" || isInningsLocked(match[inningsKey])) {
+    return res.status(403).json({ error: "Power-ups can only be played before the innings locks." });
+  }
+  if (played === hasPowerup(match, inningsKey, playerId, kind)) {
+    return res.json({ ok: true, left: getPowerupsLeft(data, playerId) });
+  }
+  if (played && getPowerupsLeft(data, playerId)[kind] < 1) {
+    return res.status(400).json({ error: `You have no ${POWERUP_KINDS[kind].toLowerCase()}s left.` });
+  }
+
+  await store.savePowerup(match, inningsKey, playerId, kind, played, {
+    allowance: getAllowance(getPowerupSettings(data.settings), kind),
+    counts: (innings) => !isInningsVoid(innings)
+  });
+  await recordAudit(req, data, "player", [
+    {
+      action: "powerup",
+      matchId: match.id,
+      playerId,
+      subject: inningsKey,
+      before: { [kind]: !played },
+      after: { [kind]: played }
+    }
+  ]);
+  const kinds = (match.powerups[inningsKey][playerId] || []).filter((item) => item !== kind);
+  match.powerups[inningsKey][playerId] = played ? [...kinds, kind] : kinds;
+  res.json({ ok: true, left: getPowerupsLeft(data, playerId) });
+}));
+
+app.post("/api/matches/:id/markets/settle", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  if (getMatchState(match)) {
+    return res.status(400).json({ error: "Markets are void for abandoned and no-result matches." });
+  }
+  const before = snapshotData(data);
+  const results = req.body?.results || {};
+  const teams = getTeamRegistry(data.settings);
+  for (const [marketId, answer] of Object.entries(results)) {
+    const market = getMarket(data.settings, marketId);
+    if (!market) return res.status(400).json({ error: `Unknown market: ${marketId}.` });
+    if (["matchWinner", "superOverScore"].includes(marketId)) {
+      if (answer == null || answer === "" || answer === match.marketResults[marketId]?.answer) continue;
+      return res.status(400).json({ error: `${market.label} is settled from the match result.` });
+    }
+    if (answer == null || answer === "") {
+      delete match.marketResults[marketId];
+      continue;
+    }
+    const { value, error } = parseMarketValue(market, answer, match, teams);
+    if (error) return res.status(400).json({ error });
+    match.marketResults[marketId] = settleMarket(data, match, market, value);
+  }
+
+  await store.saveMatch(match);
+  await auditChanges(req, data, before, "market.settle");
+  res.json({ ok: true, marketResults: match.marketResults });
+}));
+
+app.post("/api/matches/:id/markets/:marketId/predict", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+
+  normalizeMatch(match, data.settings);
+  const market = getMarket(data.settings, req.params.marketId);
+  if (!market || !market.enabled) {
+    return res.status(404).json({ error: "This market is not open in this room." });
+  }
+  if (isMarketLocked(match, market) || match.marketResults[market.id]) {
+    return res.status(403).json({ error: `${market.label} is locked.` });
+  }
+
+  const playerId = getSession(req, data).playerId;
+  if (!playerId) {
+    return res.status(401).json({ error: "Log in as a player to predict." });
+  }
+
+  const { value, error } = parseMarketValue(market, req.body?.value, match, getTeamRegistry(data.settings));
+  if (error) return res.status(400).json({ error });
+
+  const previous = match.marketPredictions[market.id]?.[playerId] ?? null;
+  await store.saveMarketPrediction(match, market.id, playerId, value);
+  await recordAudit(req, data, "player", [
+    {
+      action: "market-prediction",
+      matchId: match.id,
+      playerId,
+      subject: market.id,
+      before: { value: previous },
+      after: { value }
+    }
+  ]);
+  res.json({ ok: true });
+}));
+
+app.post("/api/matches/:id/pool", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  const before = snapshotData(data);
+  const inningsKey = Number(req.body?.innings) === 2 ? "innings2" : "innings1";
+  match[inningsKey].poolVoided = Boolean(req.body?.void);
+  const entries = settlePool(data, match, inningsKey);
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.pool");
+  res.json({ ok: true, entries });
+}));
+
+app.get("/api/ledger", route(async (req, res) => {
+  const data = await readData();
+  const session = getSession(req, data);
+  const admin = ensureAdmin(req, data);
+  if (!admin && !session.playerId) {
+    return res.status(401).json({ error: "Log in to see the coin ledger." });
+  }
+
+  // Players only see their own entries.
+  const playerId = admin ? req.query.playerId || null : session.playerId;
+  const matchId = req.query.matchId || null;
+  const running = {};
+  const entries = [];
+  const { startingBalance } = getCoinSettings(data.settings);
+  for (const entry of data.ledger) {
+    running[entry.playerId] = (running[entry.playerId] ?? startingBalance) + entry.amount;
+    if (playerId && entry.playerId !== playerId) continue;
+    if (matchId && entry.matchId !== matchId) continue;
+    entries.push({ ...entry, balance: running[entry.playerId] });
+  }
+  res.json({ startingBalance, entries: entries.reverse() });
+}));
+
+app.get("/api/audit", route(async (req, res) => {
+  const data = await readData();
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || AUDIT_PAGE_SIZE));
+  const entries = await store.listAudit({
+    matchId: req.query.matchId || null,
+    playerId: req.query.playerId || null,
+    limit
+  });
+  res.json({ actions: AUDIT_ACTIONS, entries: entries.map((entry) => redactAuditEntry(entry, data)) });
+}));
+
+app.get("/api/settlement", route(async (req, res) => {
+  const data = await readData();
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  res.json(buildSettlement(data));
+}));
+
+app.get("/api/settlement.csv", route(async (req, res) => {
+  const data = await readData();
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  const names = new Map(data.players.map((player) => [player.id, player.name]));
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", 'attachment; filename="settle-up.csv"');
+  res.send(settlementToCsv(buildSettlement(data), names));
+}));
+
+app.get("/settlement", route(async (req, res) => {
+  const data = await readData();
+  data.matches.forEach((match) => normalizeMatch(match, data.settings));
+  res.type("html").send(renderSettlementPage(data, buildSettlement(data)));
+}));
+
+app.post("/api/matches/:id/lock", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   normalizeMatch(match, data.settings);
   const innings = Number(req.body.innings || 1);
   const inningsKey = innings === 2 ? "innings2" : "innings1";
+  if (VOID_STATUSES.includes(match[inningsKey].status)) {
+    return res.status(400).json({ error: "Clear the abandoned or no-result state first." });
+  }
+  const before = snapshotData(data);
+  recordUndo(match, "lock");
   match[inningsKey].status = "locked";
-  await saveData(data);
-  res.json({ ok: true });
-});
+  await store.saveMatch(match);
+  await auditChanges(req, data, before, "match.lock");
+  res.json({ ok: true, undo: getUndo(match) });
+}));
 
-app.post("/api/matches/:id/toss", async (req, res) => {
+app.post("/api/matches/:id/toss", route(async (req, res) => {
   const data = await readData();
   const match = data.matches.find((m) => m.id === req.params.id);
   if (!match) return res.status(404).json({ error: "Match not found." });
-  if (!ensureAdmin(data, req.body.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   const winner = String(req.body.winner || "");
@@ -1013,17 +2716,22 @@ app.post("/api/matches/:id/toss", async (req, res) => {
     return res.status(400).json({ error: "Decision must be bat or field." });
   }
 
+  normalizeMatch(match, data.settings);
+  const before = snapshotData(data);
+  recordUndo(match, "toss");
   match.toss = { winner, decision };
-  await saveData(data);
-  res.json({ ok: true });
-});
+  if (match.outcome) updateMatchOutcome(data, match);
+  await store.saveMatch(match);
+  await auditChanges(req, data, before, "match.toss");
+  res.json({ ok: true, undo: getUndo(match) });
+}));
 
-app.post("/api/matches/:id/score", async (req, res) => {
+app.post("/api/matches/:id/score", route(async (req, res) => {
   const data = await readData();
   const match = data.matches.find((m) => m.id === req.params.id);
   if (!match) return res.status(404).json({ error: "Match not found." });
-  if (!ensureAdmin(data, req.body.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   normalizeMatch(match, data.settings);
@@ -1037,64 +2745,281 @@ app.post("/api/matches/:id/score", async (req, res) => {
     });
   }
 
-  const inningsData = match[inningsKey];
-  if (inningsKey === "innings2" && inningsData.status === "pending") {
+  if (inningsKey === "innings2" && match.innings2.status === "pending") {
     return res.status(400).json({ error: "Innings 2 is not open yet." });
   }
-  inningsData.score = Math.round(score);
-  inningsData.status = "scored";
-  match.result = match.result || {};
-  match.result[inningsKey] = computeInningsResult(
-    inningsData.score,
-    match.predictions[inningsKey],
-    data.players
-  );
-
-  if (inningsKey === "innings1" && match.innings2.status === "pending") {
-    match.innings2.status = "open";
-    const innings2StartTime = req.body.innings2StartTime
+  if (VOID_STATUSES.includes(match[inningsKey].status)) {
+    return res.status(400).json({ error: "Clear the abandoned or no-result state first." });
+  }
+  const before = snapshotData(data);
+  recordUndo(match, "score");
+  finalizeInnings(data, match, inningsKey, score, {
+    source: "admin",
+    innings2StartTime: req.body.innings2StartTime
       ? new Date(req.body.innings2StartTime).toISOString()
-      : null;
-    if (innings2StartTime) {
-      match.innings2.lockTime = computeLockTime(
-        innings2StartTime,
-        data.settings.lockMinutesBeforeStart
-      );
+      : null
+  });
+  applyBracketSlots(data);
+
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.score");
+  res.json({ ok: true, undo: getUndo(match) });
+}));
+
+app.post("/api/matches/:id/super-over", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  if (!match.superOver) {
+    return res.status(400).json({ error: "There is only a super over when the innings totals are level." });
+  }
+  const status = String(req.body?.status || "");
+  if (!SUPER_OVER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Super over status must be open, locked, scored or not-played." });
+  }
+  const superOver = { status, score: null, winner: null };
+  if (status === "scored") {
+    superOver.winner = [match.teamA, match.teamB].find((team) => team === req.body?.winner) || null;
+    if (!superOver.winner) return res.status(400).json({ error: "Super over winner must be Team A or Team B." });
+    if (req.body?.score != null && req.body.score !== "") {
+      const score = Number(req.body.score);
+      if (!Number.isInteger(score) || score < 0 || score > 60) {
+        return res.status(400).json({ error: "Super over score must be a whole number from 0 to 60." });
+      }
+      superOver.score = score;
     }
   }
 
-  await saveData(data);
-  res.json({ ok: true });
-});
+  const before = snapshotData(data);
+  match.superOver = superOver;
+  if (superOver.score != null) {
+    match.marketResults.superOverScore = settleMarket(
+      data,
+      match,
+      getMarket(data.settings, "superOverScore"),
+      superOver.score
+    );
+  } else {
+    delete match.marketResults.superOverScore;
+  }
+  updateMatchOutcome(data, match);
+  applyBracketSlots(data);
 
-app.post("/api/matches/:id/reopen", async (req, res) => {
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.super-over");
+  res.json({ ok: true, superOver: match.superOver, outcome: match.outcome });
+}));
+
+app.post("/api/matches/:id/state", route(async (req, res) => {
   const data = await readData();
   const match = data.matches.find((m) => m.id === req.params.id);
   if (!match) return res.status(404).json({ error: "Match not found." });
-  if (!ensureAdmin(data, req.body.adminPin)) {
-    return res.status(403).json({ error: "Invalid admin PIN." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  const state = req.body?.state || null;
+  if (state && !VOID_STATUSES.includes(state)) {
+    return res.status(400).json({ error: "State must be abandoned, no-result or empty." });
+  }
+  const before = snapshotData(data);
+  recordUndo(match, "state");
+  applyMatchState(data, match, state);
+  applyBracketSlots(data);
+
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.state");
+  res.json({ ok: true, state: getMatchState(match), undo: getUndo(match) });
+}));
+
+app.post("/api/matches/:id/overs", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
   }
 
   normalizeMatch(match, data.settings);
+  const before = snapshotData(data);
+  const inningsKey = Number(req.body?.innings) === 2 ? "innings2" : "innings1";
+  const innings = match[inningsKey];
+  if (req.body?.overs == null || req.body.overs === "") {
+    innings.reducedOvers = null;
+  } else {
+    const overs = parseOvers(req.body.overs);
+    if (!overs) {
+      return res.status(400).json({ error: `Overs bowled must be fewer than ${T20_OVERS}, like 12 or 12.3.` });
+    }
+    const mode = String(req.body.mode || "void");
+    if (!REDUCED_OVERS_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Reduced overs must either void or scale the innings." });
+    }
+    if (innings.status === "pending") {
+      return res.status(400).json({ error: "This innings has not started yet." });
+    }
+    innings.reducedOvers = { overs: overs.overs, mode };
+    // The innings stopped at these overs, so it takes no more predictions or power-ups.
+    if (innings.status === "open") innings.status = "locked";
+  }
+  if (innings.status === "scored") {
+    match.result = match.result || {};
+    match.result[inningsKey] = computeMatchInningsResult(data, match, inningsKey);
+  }
+  settlePool(data, match, inningsKey);
+
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.overs");
+  res.json({ ok: true, reducedOvers: innings.reducedOvers });
+}));
+
+app.post("/api/matches/:id/reopen", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  const before = snapshotData(data);
+  recordUndo(match, "reopen");
   const innings = req.body.innings ? Number(req.body.innings) : null;
   if (innings === 1 || innings === 2) {
     const inningsKey = innings === 2 ? "innings2" : "innings1";
     match[inningsKey].status = "open";
     match[inningsKey].score = null;
+    match[inningsKey].source = "admin";
     if (match.result) match.result[inningsKey] = null;
   } else {
     match.innings1.status = "open";
     match.innings1.score = null;
+    match.innings1.source = "admin";
     match.innings2.status = "pending";
     match.innings2.score = null;
+    match.innings2.source = "admin";
     match.innings2.lockTime = null;
     match.result = null;
+    match.marketResults = {};
   }
+  updateMatchOutcome(data, match);
+  settlePool(data, match, "innings1");
+  settlePool(data, match, "innings2");
 
-  await saveData(data);
-  res.json({ ok: true });
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.reopen");
+  res.json({ ok: true, undo: getUndo(match) });
+}));
+
+app.post("/api/matches/:id/undo", route(async (req, res) => {
+  const data = await readData();
+  const match = data.matches.find((m) => m.id === req.params.id);
+  if (!match) return res.status(404).json({ error: "Match not found." });
+  if (!ensureAdmin(req, data)) {
+    return res.status(403).json({ error: "Admin login required." });
+  }
+
+  normalizeMatch(match, data.settings);
+  const undo = getUndo(match);
+  if (!undo) {
+    return res.status(400).json({ error: "There is nothing left to undo on this match." });
+  }
+  if ((match.version || 0) !== match.undo.version) {
+    return res.status(409).json({ error: "This match has changed since, so it can no longer be undone." });
+  }
+
+  const before = snapshotData(data);
+  Object.assign(match, match.undo.snapshot, { undo: null });
+  normalizeMatch(match, data.settings);
+  settlePool(data, match, "innings1");
+  settlePool(data, match, "innings2");
+  applyBracketSlots(data);
+
+  await saveChanges(data, before);
+  await auditChanges(req, data, before, "match.undo");
+  res.json({ ok: true, undone: undo.action });
+}));
+
+app.use((err, req, res, next) => {
+  if (err instanceof ConflictError) {
+    return res.status(409).json({ error: err.message, conflict: true });
+  }
+  console.error(err);
+  res.status(500).json({ error: "Something went wrong." });
+});
+
+scheduler.register("auto-lock", {
+  description: "Lock open innings once their lock time passes.",
+  intervalMs: LOCK_CHECK_INTERVAL_MS,
+  runOnStart: true,
+  run: () =>
+    withData((data) => {
+      let locked = 0;
+      for (const match of data.matches) {
+        for (const inningsKey of ["innings1", "innings2"]) {
+          const innings = match[inningsKey];
+          if (innings?.status === "open" && isInningsLocked(innings)) locked += 1;
+        }
+        normalizeMatch(match, data.settings);
+      }
+      return { locked };
+    }, "job.auto-lock")
+});
+
+scheduler.register("toss-sync", {
+  description: "Pull toss results from the Goalserve feed.",
+  intervalMs: TOSS_SYNC_INTERVAL_MS,
+  runOnStart: true,
+  run: () =>
+    withData((data) => {
+      data.matches.forEach((match) => normalizeMatch(match, data.settings));
+      return syncTossFromGoalserve(data, false);
+    }, "job.toss-sync")
 });
 
-app.listen(PORT, () => {
-  console.log(`T20 predictor running on http://localhost:${PORT}`);
+scheduler.register("score-sync", {
+  description: "Finalise innings totals from the Goalserve feed.",
+  intervalMs: TOSS_SYNC_INTERVAL_MS,
+  runOnStart: true,
+  run: () =>
+    withData((data) => {
+      data.matches.forEach((match) => normalizeMatch(match, data.settings));
+      return syncScoresFromGoalserve(data);
+    }, "job.score-sync")
 });
+
+scheduler.register("schedule-import", {
+  description: "Re-import the fixture feed to pick up date, venue and team changes.",
+  intervalMs: SCHEDULE_SYNC_INTERVAL_MS,
+  run: () =>
+    withData(async (data) => {
+      if (!data.players.length || !data.settings.lastScheduleSync) {
+        return { skipped: true, reason: "Schedule has never been imported." };
+      }
+      if (!getScheduleUrl(data.settings)) {
+        return { skipped: true, reason: "Schedule was uploaded; there is no feed to re-import." };
+      }
+      data.matches.forEach((match) => normalizeMatch(match, data.settings));
+      return importSchedule(data);
+    }, "job.schedule-import")
+});
+
+store
+  .init()
+  .then(ensureSessionSecret)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`T20 predictor running on http://localhost:${PORT}`);
+    });
+    scheduler.start();
+  })
+  .catch((err) => {
+    console.error(`Startup failed: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,203 @@
+// Real-money side pots are paid outside the app; this only works out who owes whom.
+// Everyone who predicted an innings pays the entry into that innings' pot and the closest
+// prediction(s) share it. Amounts are kept in whole cents so shared pots always add up.
+function defaultSettlementSettings() {
+  return { entryAmount: 0, currency: "" };
+}
+
+function getSettlementSettings(settings) {
+  return { ...defaultSettlementSettings(), ...(settings.settlement || {}) };
+}
+
+function parseSettlementSettings(input, current) {
+  const settlement = { ...defaultSettlementSettings(), ...current };
+  const body = input || {};
+  if (body.entryAmount !== undefined) settlement.entryAmount = Number(body.entryAmount || 0);
+  if (body.currency !== undefined) settlement.currency = String(body.currency || "").trim();
+  const cents = settlement.entryAmount * 100;
+  if (!Number.isFinite(cents) || cents < 0 || Math.abs(cents - Math.round(cents)) > 1e-6) {
+    return { error: "Entry amount must be zero or more, to at most two decimal places." };
+  }
+  if (settlement.currency.length > 5) return { error: "Currency must be at most 5 characters." };
+  return { settlement };
+}
+
+function formatMoney(cents, currency = "") {
+  const sign = cents < 0 ? "-" : "";
+  return `${sign}${currency}${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+// Splits `pot` cents evenly; the odd cents go to the first players in `playerIds`.
+function splitEvenly(pot, playerIds) {
+  const shares = {};
+  const base = Math.floor(pot / playerIds.length);
+  playerIds.forEach((playerId, index) => {
+    shares[playerId] = base + (index < pot - base * playerIds.length ? 1 : 0);
+  });
+  return shares;
+}
+
+// The exact search below looks at every subset of the balances left after pairing, so each extra
+// player doubles its work. Past this many it settles for the largest-first list instead.
+const EXACT_SEARCH_LIMIT = 18;
+
+// Largest debt to largest credit until everyone in `rows` is square.
+function settleGroup(rows, transfers) {
+  const debtors = rows.filter((row) => row.amount < 0).map((row) => ({ playerId: row.playerId, amount: -row.amount }));
+  const creditors = rows.filter((row) => row.amount > 0).map((row) => ({ ...row }));
+  for (;;) {
+    const debtor = debtors.filter((row) => row.amount > 0).sort((a, b) => b.amount - a.amount)[0];
+    const creditor = creditors.filter((row) => row.amount > 0).sort((a, b) => b.amount - a.amount)[0];
+    if (!debtor || !creditor) break;
+    const amount = Math.min(debtor.amount, creditor.amount);
+    transfers.push({ from: debtor.playerId, to: creditor.playerId, amount });
+    debtor.amount -= amount;
+    creditor.amount -= amount;
+  }
+}
+
+// Splits balances that add up to zero into as many groups that add up to zero as possible.
+// `groups[mask]` is the most zero-sum groups the players in `mask` can be split into.
+function splitZeroSum(rows) {
+  const full = (1 << rows.length) - 1;
+  const sums = new Float64Array(full + 1);
+  const groups = new Uint8Array(full + 1);
+  for (let mask = 1; mask <= full; mask += 1) {
+    const lowest = 31 - Math.clz32(mask & -mask);
+    sums[mask] = sums[mask ^ (1 << lowest)] + rows[lowest].amount;
+    let best = 0;
+    for (let index = 0; index < rows.length; index += 1) {
+      if (mask & (1 << index)) best = Math.max(best, groups[mask ^ (1 << index)]);
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walking back gives an order whose running total hits zero at the end of each group.
+  const order = [];
+  for (let mask = full; mask; ) {
+    const closes = sums[mask] === 0 ? 1 : 0;
+    let index = 0;
+    while (!(mask & (1 << index)) || groups[mask ^ (1 << index)] + closes !== groups[mask]) index += 1;
+    order.unshift(rows[index]);
+    mask ^= 1 << index;
+  }
+  const result = [];
+  let current = [];
+  let total = 0;
+  for (const row of order) {
+    current.push(row);
+    total += row.amount;
+    if (total === 0) {
+      result.push(current);
+      current = [];
+    }
+  }
+  if (current.length) result.push(current);
+  return result;
+}
+
+// Pays debts with as few transfers as possible. A group of n players whose balances add up to zero
+// squares up with n - 1 transfers, so the plan splits everyone into as many such groups as it can.
+// Equal and opposite balances are always one of those groups, so they are paired off first.
+function planTransfers(nets) {
+  const unpaired = [];
+  const groups = [];
+  for (const row of nets.filter((item) => item.net !== 0)) {
+    const partner = unpaired.findIndex((other) => other.amount === -row.net);
+    const entry = { playerId: row.playerId, amount: row.net };
+    if (partner === -1) unpaired.push(entry);
+    else groups.push([unpaired.splice(partner, 1)[0], entry]);
+  }
+  groups.push(...(unpaired.length <= EXACT_SEARCH_LIMIT ? splitZeroSum(unpaired) : [unpaired]));
+
+  const transfers = [];
+  for (const group of groups) settleGroup(group, transfers);
+  return transfers;
+}
+
+// `innings` lists every scored innings as { matchId, inningsKey, label, entrants, winners }.
+function computeSettlement(innings, players, settlementSettings) {
+  const entry = Math.round(settlementSettings.entryAmount * 100);
+  const totals = new Map(players.map((player) => [player.id, { paid: 0, won: 0, entries: 0, wins: 0 }]));
+  const pots = [];
+  for (const item of innings) {
+    const entrants = item.entrants.filter((playerId) => totals.has(playerId));
+    const winners = item.winners.filter((playerId) => entrants.includes(playerId));
+    if (!entrants.length || !entry) {
+      pots.push({ ...item, entrants, winners, pot: 0, payouts: {}, note: entrants.length ? null : "No predictions" });
+      continue;
+    }
+    const pot = entry * entrants.length;
+    // Without a winner (nobody left after a retirement) the entries go back to the entrants.
+    const payouts = splitEvenly(pot, winners.length ? winners : entrants);
+    for (const playerId of entrants) {
+      totals.get(playerId).paid += entry;
+      totals.get(playerId).entries += 1;
+    }
+    for (const [playerId, amount] of Object.entries(payouts)) {
+      totals.get(playerId).won += amount;
+      if (winners.includes(playerId)) totals.get(playerId).wins += 1;
+    }
+    pots.push({
+      ...item,
+      entrants,
+      winners,
+      pot,
+      payouts,
+      note: winners.length > 1 ? `Shared by ${winners.length}` : winners.length ? null : "Refunded"
+    });
+  }
+
+  const balances = players.map((player) => {
+    const row = totals.get(player.id);
+    return { playerId: player.id, name: player.name, ...row, net: row.won - row.paid };
+  });
+  balances.sort((a, b) => b.net - a.net || a.name.localeCompare(b.name));
+  return {
+    entry,
+    currency: settlementSettings.currency,
+    innings: pots,
+    balances,
+    transfers: planTransfers(balances)
+  };
+}
+
+// Player names are user input: a leading = + - @ would run as a formula in a spreadsheet, so those
+// cells get a ' prefix. Plain numbers such as negative amounts are left alone.
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Three tables one after another (transfers, balances, pots), ready to paste into a spreadsheet.
+function settlementToCsv(report, names) {
+  const money = (cents) => (cents / 100).toFixed(2);
+  const lines = [
+    ["From", "To", "Amount"],
+    ...report.transfers.map((transfer) => [names.get(transfer.from), names.get(transfer.to), money(transfer.amount)]),
+    [],
+    ["Player", "Entries", "Wins", "Paid", "Won", "Net"],
+    ...report.balances.map((row) => [row.name, row.entries, row.wins, money(row.paid), money(row.won), money(row.net)]),
+    [],
+    ["Innings", "Entries", "Pot", "Winners", "Note"],
+    ...report.innings.map((item) => [
+      item.label,
+      item.entrants.length,
+      money(item.pot),
+      item.winners.map((playerId) => names.get(playerId)).join("; "),
+      item.note || ""
+    ])
+  ];
+  return `${lines.map((line) => line.map(csvCell).join(",")).join("\n")}\n`;
+}
+
+module.exports = {
+  defaultSettlementSettings,
+  getSettlementSettings,
+  parseSettlementSettings,
+  formatMoney,
+  planTransfers,
+  computeSettlement,
+  settlementToCsv
+};
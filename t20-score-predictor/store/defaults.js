@@ -0,0 +1,39 @@
+function defaultData() {
+  return {
+    settings: {
+      roomName: "T20 Score Predictions",
+      usePin: false,
+      adminPinHash: null,
+      bonusExact: 0,
+      minScore: 60,
+      maxScore: 300,
+      lockMinutesBeforeStart: 15,
+      scheduleSource: "Fixture Download (ICC schedule)",
+      scheduleProvider: "fixturedownload",
+      scheduleFeedUrl: null,
+      teamAliases: {},
+      scoring: null,
+      markets: {},
+      outrights: {},
+      outrightResults: {},
+      bracket: null,
+      bracketResults: {},
+      coins: null,
+      settlement: null,
+      powerups: null,
+      predictionEdits: null,
+      lastScheduleSync: null,
+      tossAutoEnabled: true,
+      tossAutoSource: "Goalserve",
+      lastTossSync: null,
+      scoreAutoEnabled: true,
+      lastScoreSync: null,
+      sessionSecret: null
+    },
+    players: [],
+    matches: [],
+    ledger: []
+  };
+}
+
+module.exports = { defaultData };
@@ -0,0 +1,9 @@
+class ConflictError extends Error {
+  constructor(message = "This was changed by someone else. Refresh and try again.") {
+    super(message);
+    this.name = "ConflictError";
+    this.status = 409;
+  }
+}
+
+module.exports = { ConflictError };
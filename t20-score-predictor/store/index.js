@@ -0,0 +1,10 @@
+const { createJsonStore } = require("./json-store");
+const { createPgStore } = require("./pg-store");
+const { defaultData } = require("./defaults");
+const { ConflictError } = require("./errors");
+
+function createStore(options) {
+  return options.databaseUrl ? createPgStore(options) : createJsonStore(options);
+}
+
+module.exports = { createStore, defaultData, ConflictError };
@@ -0,0 +1,227 @@
+const fs = require("fs");
+const { defaultData } = require("./defaults");
+const { ConflictError } = require("./errors");
+const { countPlayed } = require("../powerups");
+
+function inningsPredictions(predictions) {
+  if (!predictions || typeof predictions !== "object" || Array.isArray(predictions)) {
+    return { innings1: {}, innings2: {} };
+  }
+  if (!predictions.innings1 && !predictions.innings2) {
+    return { innings1: predictions, innings2: {} };
+  }
+  return predictions;
+}
+
+function checkVersion(stored, entity) {
+  if (stored && (stored.version || 0) !== (entity.version || 0)) {
+    throw new ConflictError();
+  }
+}
+
+// Stakes are checked against the ledger as it is being written, so two stakes placed at once on
+// different matches can't spend the same coins.
+function checkBalance(ledger, entries, playerId, startingBalance) {
+  const sum = (list) =>
+    list.filter((entry) => entry.playerId === playerId).reduce((total, entry) => total + entry.amount, 0);
+  const available = startingBalance + sum(ledger);
+  if (available + sum(entries) < 0) throw new ConflictError(`You only have ${available} coins available.`);
+}
+
+function createJsonStore({ dataFile }) {
+  function writeFile(data) {
+    const tmp = `${dataFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, dataFile);
+  }
+
+  function readFile() {
+    if (!fs.existsSync(dataFile)) {
+      const initial = defaultData();
+      writeFile(initial);
+      return initial;
+    }
+    try {
+      const parsed = JSON.parse(fs.readFileSync(dataFile, "utf-8"));
+      const defaults = defaultData();
+      return {
+        ...defaults,
+        ...parsed,
+        settings: { ...defaults.settings, ...parsed.settings }
+      };
+    } catch (err) {
+      const fallback = defaultData();
+      writeFile(fallback);
+      return fallback;
+    }
+  }
+
+  function update(mutate) {
+    const data = readFile();
+    mutate(data);
+    writeFile(data);
+  }
+
+  return {
+    kind: "json",
+
+    async init() {
+      readFile();
+    },
+
+    async load() {
+      return readFile();
+    },
+
+    async saveChanges({ settings, players = [], matches = [], ledger = [] }) {
+      update((data) => {
+        if (settings) {
+          checkVersion(data.settings, settings);
+        }
+        for (const player of players) {
+          checkVersion(
+            data.players.find((p) => p.id === player.id),
+            player
+          );
+        }
+        for (const match of matches) {
+          checkVersion(
+            data.matches.find((m) => m.id === match.id),
+            match
+          );
+        }
+
+        if (settings) {
+          data.settings = { ...settings, version: (settings.version || 0) + 1 };
+        }
+        for (const player of players) {
+          const index = data.players.findIndex((p) => p.id === player.id);
+          const next = { ...player, version: (player.version || 0) + 1 };
+          if (index === -1) {
+            data.players.push(next);
+          } else {
+            data.players[index] = next;
+          }
+        }
+        for (const match of matches) {
+          const index = data.matches.findIndex((m) => m.id === match.id);
+          const stored = index === -1 ? null : data.matches[index];
+          const next = {
+            ...match,
+            version: (match.version || 0) + 1,
+            predictions: inningsPredictions(stored ? stored.predictions : match.predictions),
+            marketPredictions: (stored ? stored.marketPredictions : match.marketPredictions) || {},
+            powerups: (stored ? stored.powerups : match.powerups) || { innings1: {}, innings2: {} },
+            predictionHistory: (stored ? stored.predictionHistory : match.predictionHistory) || {
+              innings1: {},
+              innings2: {}
+            }
+          };
+          if (index === -1) {
+            data.matches.push(next);
+          } else {
+            data.matches[index] = next;
+          }
+        }
+        data.ledger.push(...ledger);
+      });
+      if (settings) settings.version = (settings.version || 0) + 1;
+      for (const entity of [...players, ...matches]) {
+        entity.version = (entity.version || 0) + 1;
+      }
+    },
+
+    async saveSettings(settings) {
+      await this.saveChanges({ settings });
+    },
+
+    async savePlayer(player) {
+      await this.saveChanges({ players: [player] });
+    },
+
+    async saveMatch(match) {
+      await this.saveChanges({ matches: [match] });
+    },
+
+    async savePrediction(expected, inningsKey, playerId, score, ledger = [], revision = null, startingBalance = null) {
+      update((data) => {
+        const match = data.matches.find((m) => m.id === expected.id);
+        if (!match) throw new Error("Match not found.");
+        checkVersion(match, expected);
+        if (startingBalance != null) checkBalance(data.ledger, ledger, playerId, startingBalance);
+        match.predictions = inningsPredictions(match.predictions);
+        match.predictions[inningsKey] = match.predictions[inningsKey] || {};
+        match.predictions[inningsKey][playerId] = score;
+        if (revision) {
+          match.predictionHistory = match.predictionHistory || { innings1: {}, innings2: {} };
+          match.predictionHistory[inningsKey] = match.predictionHistory[inningsKey] || {};
+          match.predictionHistory[inningsKey][playerId] = [
+            ...(match.predictionHistory[inningsKey][playerId] || []),
+            revision
+          ];
+        }
+        data.ledger.push(...ledger);
+      });
+    },
+
+    async saveMarketPrediction(expected, marketId, playerId, value) {
+      update((data) => {
+        const match = data.matches.find((m) => m.id === expected.id);
+        if (!match) throw new Error("Match not found.");
+        checkVersion(match, expected);
+        match.marketPredictions = match.marketPredictions || {};
+        match.marketPredictions[marketId] = match.marketPredictions[marketId] || {};
+        match.marketPredictions[marketId][playerId] = value;
+      });
+    },
+
+    // `limit` is `{ allowance, counts(innings) }`: power-ups already played on innings that count
+    // are checked against the allowance here, so plays on two matches at once can't both use the last one.
+    async savePowerup(expected, inningsKey, playerId, kind, played, limit = null) {
+      update((data) => {
+        const match = data.matches.find((m) => m.id === expected.id);
+        if (!match) throw new Error("Match not found.");
+        checkVersion(match, expected);
+        if (played && limit) {
+          const used = countPlayed(
+            data.matches,
+            playerId,
+            kind,
+            (m, key) => (m.id !== match.id || key !== inningsKey) && limit.counts(m[key])
+          );
+          if (used >= limit.allowance) throw new ConflictError(`You have no ${kind}s left.`);
+        }
+        match.powerups = match.powerups || { innings1: {}, innings2: {} };
+        match.powerups[inningsKey] = match.powerups[inningsKey] || {};
+        const kinds = (match.powerups[inningsKey][playerId] || []).filter((item) => item !== kind);
+        if (played) kinds.push(kind);
+        if (kinds.length) match.powerups[inningsKey][playerId] = kinds;
+        else delete match.powerups[inningsKey][playerId];
+      });
+    },
+
+    async appendAudit(entries) {
+      update((data) => {
+        data.audit = [...(data.audit || []), ...entries];
+      });
+    },
+
+    // Newest first; `playerId` matches entries about the player and changes they made.
+    async listAudit({ matchId = null, playerId = null, limit = 200 } = {}) {
+      return (readFile().audit || [])
+        .filter((entry) => !matchId || entry.matchId === matchId)
+        .filter((entry) => !playerId || entry.playerId === playerId || entry.actorPlayerId === playerId)
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // The audit log survives a room reset.
+    async replaceAll(data) {
+      const { audit = [] } = readFile();
+      const known = new Set(audit.map((entry) => entry.id));
+      writeFile({ ...data, audit: [...audit, ...(data.audit || []).filter((entry) => !known.has(entry.id))] });
+    }
+  };
+}
+
+module.exports = { createJsonStore, inningsPredictions };
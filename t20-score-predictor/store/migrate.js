@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_LOCK_ID = 7202026;
+
+function migrationLabel(version, name) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = /^(\d+)_([\w-]+)\.sql$/.exec(file);
+      if (!match) return null;
+      return { version: Number(match[1]), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+async function getMigrationStatus(pool, dir = MIGRATIONS_DIR) {
+  const migrations = listMigrations(dir);
+  const table = await pool.query("SELECT to_regclass('schema_migrations') AS name");
+  const applied = table.rows[0].name
+    ? (await pool.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version")).rows
+    : [];
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  return {
+    applied,
+    pending: migrations.filter((migration) => !appliedVersions.has(migration.version)),
+    latest: migrations.length ? migrations[migrations.length - 1].version : 0
+  };
+}
+
+async function runMigrations(pool, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = listMigrations(dir);
+  const client = await pool.connect();
+  const ran = [];
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    const applied = (await client.query("SELECT version FROM schema_migrations")).rows.map(
+      (row) => row.version
+    );
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const newest = applied.length ? Math.max(...applied) : 0;
+    if (newest > latest) {
+      throw new Error(
+        `Database schema is at version ${newest} but this app only knows up to ${latest}. Deploy a newer build.`
+      );
+    }
+
+    const appliedSet = new Set(applied);
+    for (const migration of migrations) {
+      if (appliedSet.has(migration.version)) continue;
+      const sql = fs.readFileSync(migration.file, "utf-8");
+      await client.query("BEGIN");
+      try {
+        await client.query(sql);
+        await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+          migration.version,
+          migration.name
+        ]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(
+          `Migration ${migrationLabel(migration.version, migration.name)} failed: ${err.message}`
+        );
+      }
+      log(`Applied migration ${migrationLabel(migration.version, migration.name)}`);
+      ran.push(migration);
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+  return ran;
+}
+
+module.exports = { migrationLabel, listMigrations, getMigrationStatus, runMigrations, MIGRATIONS_DIR };
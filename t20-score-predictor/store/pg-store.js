@@ -0,0 +1,692 @@
+const { Pool } = require("pg");
+const { defaultData } = require("./defaults");
+const { ConflictError } = require("./errors");
+const { runMigrations } = require("./migrate");
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function rowToSettings(row) {
+  return {
+    roomName: row.room_name,
+    usePin: row.use_pin,
+    adminPinHash: row.admin_pin_hash,
+    bonusExact: row.bonus_exact,
+    minScore: row.min_score,
+    maxScore: row.max_score,
+    lockMinutesBeforeStart: row.lock_minutes_before_start,
+    scheduleSource: row.schedule_source,
+    scheduleProvider: row.schedule_provider || "fixturedownload",
+    scheduleFeedUrl: row.schedule_feed_url || null,
+    teamAliases: row.team_aliases || {},
+    scoring: row.scoring || null,
+    markets: row.markets || {},
+    outrights: row.outrights || {},
+    outrightResults: row.outright_results || {},
+    bracket: row.bracket || null,
+    bracketResults: row.bracket_results || {},
+    coins: row.coins || null,
+    settlement: row.settlement || null,
+    powerups: row.powerups || null,
+    predictionEdits: row.prediction_edits || null,
+    lastScheduleSync: toIso(row.last_schedule_sync),
+    tossAutoEnabled: row.toss_auto_enabled ?? true,
+    tossAutoSource: row.toss_auto_source || "Goalserve",
+    lastTossSync: toIso(row.last_toss_sync),
+    scoreAutoEnabled: row.score_auto_enabled ?? true,
+    lastScoreSync: toIso(row.last_score_sync),
+    sessionSecret: row.session_secret || null,
+    version: row.version || 0
+  };
+}
+
+function rowToPlayer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    retired: row.retired,
+    pinHash: row.pin_hash || null,
+    joinToken: row.join_token || null,
+    sessionVersion: row.session_version || 0,
+    outrights: row.outrights || {},
+    bracket: row.bracket || null,
+    version: row.version || 0
+  };
+}
+
+function rowToMatch(row) {
+  const innings1Lock = row.innings1_lock_time || row.lock_time;
+  return {
+    id: row.id,
+    externalId: row.external_id,
+    matchNumber: row.match_number,
+    roundNumber: row.round_number,
+    teamA: row.team_a,
+    teamB: row.team_b,
+    venue: row.venue,
+    group: row.group_name,
+    stage: row.stage,
+    matchDate: toIso(row.match_date),
+    lockTime: toIso(row.lock_time),
+    status: row.status,
+    goalserveMatchId: row.goalserve_match_id || null,
+    innings1: {
+      status: row.innings1_status || row.status || "open",
+      lockTime: toIso(innings1Lock),
+      score: row.innings1_score ?? row.actual_score ?? null,
+      source: row.innings1_source || null,
+      poolVoided: Boolean(row.innings1_pool_voided),
+      reducedOvers: row.innings1_reduced_overs || null,
+      lockOverride: Boolean(row.innings1_lock_override)
+    },
+    innings2: {
+      status: row.innings2_status || "pending",
+      lockTime: toIso(row.innings2_lock_time),
+      startTime: toIso(row.innings2_start_time),
+      score: row.innings2_score ?? null,
+      source: row.innings2_source || null,
+      poolVoided: Boolean(row.innings2_pool_voided),
+      reducedOvers: row.innings2_reduced_overs || null
+    },
+    predictions: { innings1: {}, innings2: {} },
+    marketPredictions: {},
+    powerups: { innings1: {}, innings2: {} },
+    predictionHistory: { innings1: {}, innings2: {} },
+    marketResults: row.market_results || {},
+    slots: row.slots || null,
+    superOver: row.super_over || null,
+    outcome: row.outcome || null,
+    undo: row.undo || null,
+    actualScore: row.actual_score,
+    result: row.result || null,
+    toss: row.toss_winner && row.toss_decision ? { winner: row.toss_winner, decision: row.toss_decision } : null,
+    version: row.version || 0
+  };
+}
+
+const SETTINGS_UPSERT = `
+  INSERT INTO settings (
+    id, room_name, use_pin, admin_pin_hash, bonus_exact,
+    min_score, max_score, lock_minutes_before_start, schedule_source, last_schedule_sync,
+    toss_auto_enabled, toss_auto_source, last_toss_sync, score_auto_enabled, last_score_sync,
+    schedule_provider, schedule_feed_url, team_aliases, scoring, markets, outrights, outright_results,
+    bracket, bracket_results, coins, settlement, powerups, prediction_edits, session_secret, version
+  ) VALUES (1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27,$28,$29)
+  ON CONFLICT (id) DO UPDATE SET
+    room_name = EXCLUDED.room_name,
+    use_pin = EXCLUDED.use_pin,
+    admin_pin_hash = EXCLUDED.admin_pin_hash,
+    bonus_exact = EXCLUDED.bonus_exact,
+    min_score = EXCLUDED.min_score,
+    max_score = EXCLUDED.max_score,
+    lock_minutes_before_start = EXCLUDED.lock_minutes_before_start,
+    schedule_source = EXCLUDED.schedule_source,
+    last_schedule_sync = EXCLUDED.last_schedule_sync,
+    toss_auto_enabled = EXCLUDED.toss_auto_enabled,
+    toss_auto_source = EXCLUDED.toss_auto_source,
+    last_toss_sync = EXCLUDED.last_toss_sync,
+    score_auto_enabled = EXCLUDED.score_auto_enabled,
+    last_score_sync = EXCLUDED.last_score_sync,
+    schedule_provider = EXCLUDED.schedule_provider,
+    schedule_feed_url = EXCLUDED.schedule_feed_url,
+    team_aliases = EXCLUDED.team_aliases,
+    scoring = EXCLUDED.scoring,
+    markets = EXCLUDED.markets,
+    outrights = EXCLUDED.outrights,
+    outright_results = EXCLUDED.outright_results,
+    bracket = EXCLUDED.bracket,
+    bracket_results = EXCLUDED.bracket_results,
+    coins = EXCLUDED.coins,
+    settlement = EXCLUDED.settlement,
+    powerups = EXCLUDED.powerups,
+    prediction_edits = EXCLUDED.prediction_edits,
+    session_secret = EXCLUDED.session_secret,
+    version = EXCLUDED.version
+  WHERE settings.version = EXCLUDED.version - 1
+`;
+
+function settingsParams(settings) {
+  return [
+    settings.roomName,
+    settings.usePin,
+    settings.adminPinHash,
+    settings.bonusExact,
+    settings.minScore,
+    settings.maxScore,
+    settings.lockMinutesBeforeStart,
+    settings.scheduleSource,
+    settings.lastScheduleSync,
+    settings.tossAutoEnabled,
+    settings.tossAutoSource,
+    settings.lastTossSync,
+    settings.scoreAutoEnabled ?? true,
+    settings.lastScoreSync || null,
+    settings.scheduleProvider || "fixturedownload",
+    settings.scheduleFeedUrl || null,
+    settings.teamAliases || {},
+    settings.scoring || null,
+    settings.markets || {},
+    settings.outrights || {},
+    settings.outrightResults || {},
+    settings.bracket || null,
+    settings.bracketResults || {},
+    settings.coins || null,
+    settings.settlement || null,
+    settings.powerups || null,
+    settings.predictionEdits || null,
+    settings.sessionSecret,
+    (settings.version || 0) + 1
+  ];
+}
+
+const PLAYER_UPSERT = `
+  INSERT INTO players (id, name, retired, pin_hash, join_token, session_version, outrights, bracket, version)
+  VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+  ON CONFLICT (id) DO UPDATE SET
+    name = EXCLUDED.name,
+    retired = EXCLUDED.retired,
+    pin_hash = EXCLUDED.pin_hash,
+    join_token = EXCLUDED.join_token,
+    session_version = EXCLUDED.session_version,
+    outrights = EXCLUDED.outrights,
+    bracket = EXCLUDED.bracket,
+    version = EXCLUDED.version
+  WHERE players.version = EXCLUDED.version - 1
+`;
+
+function playerParams(player) {
+  return [
+    player.id,
+    player.name,
+    Boolean(player.retired),
+    player.pinHash || null,
+    player.joinToken || null,
+    player.sessionVersion || 0,
+    player.outrights || {},
+    player.bracket || null,
+    (player.version || 0) + 1
+  ];
+}
+
+const MATCH_COLUMNS = [
+  "id",
+  "external_id",
+  "match_number",
+  "round_number",
+  "team_a",
+  "team_b",
+  "venue",
+  "group_name",
+  "stage",
+  "match_date",
+  "lock_time",
+  "status",
+  "actual_score",
+  "result",
+  "goalserve_match_id",
+  "innings1_status",
+  "innings2_status",
+  "innings1_lock_time",
+  "innings2_lock_time",
+  "innings2_start_time",
+  "innings1_score",
+  "innings2_score",
+  "innings1_source",
+  "innings2_source",
+  "innings1_pool_voided",
+  "innings2_pool_voided",
+  "innings1_reduced_overs",
+  "innings2_reduced_overs",
+  "innings1_lock_override",
+  "market_results",
+  "slots",
+  "super_over",
+  "outcome",
+  "undo",
+  "toss_winner",
+  "toss_decision",
+  "version"
+];
+
+const MATCH_UPSERT = `
+  INSERT INTO matches (${MATCH_COLUMNS.join(", ")})
+  VALUES (${MATCH_COLUMNS.map((_, index) => `$${index + 1}`).join(",")})
+  ON CONFLICT (id) DO UPDATE SET
+    ${MATCH_COLUMNS.slice(1)
+      .map((column) => `${column} = EXCLUDED.${column}`)
+      .join(",\n    ")}
+  WHERE matches.version = EXCLUDED.version - 1
+`;
+
+function matchParams(match) {
+  return [
+    match.id,
+    match.externalId,
+    match.matchNumber,
+    match.roundNumber,
+    match.teamA,
+    match.teamB,
+    match.venue,
+    match.group,
+    match.stage,
+    match.matchDate,
+    match.innings1?.lockTime || match.lockTime,
+    match.innings1?.status || match.status || "open",
+    match.innings1?.score ?? match.actualScore,
+    match.result,
+    match.goalserveMatchId || null,
+    match.innings1?.status || null,
+    match.innings2?.status || null,
+    match.innings1?.lockTime || null,
+    match.innings2?.lockTime || null,
+    match.innings2?.startTime || null,
+    match.innings1?.score ?? null,
+    match.innings2?.score ?? null,
+    match.innings1?.source || null,
+    match.innings2?.source || null,
+    Boolean(match.innings1?.poolVoided),
+    Boolean(match.innings2?.poolVoided),
+    match.innings1?.reducedOvers || null,
+    match.innings2?.reducedOvers || null,
+    Boolean(match.innings1?.lockOverride),
+    match.marketResults || {},
+    match.slots || null,
+    match.superOver || null,
+    match.outcome || null,
+    match.undo || null,
+    match.toss?.winner || null,
+    match.toss?.decision || null,
+    (match.version || 0) + 1
+  ];
+}
+
+const PREDICTION_UPSERT = `
+  INSERT INTO predictions (match_id, innings, player_id, score, updated_at)
+  VALUES ($1,$2,$3,$4,NOW())
+  ON CONFLICT (match_id, innings, player_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    updated_at = EXCLUDED.updated_at
+`;
+
+const REVISION_INSERT = `
+  INSERT INTO prediction_revisions (match_id, innings, player_id, score, penalty, created_at)
+  VALUES ($1,$2,$3,$4,$5,$6)
+`;
+
+const LEDGER_INSERT = `
+  INSERT INTO coin_ledger (id, created_at, player_id, match_id, innings, type, amount, note)
+  VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+`;
+
+function rowToLedgerEntry(row) {
+  return {
+    id: row.id,
+    at: toIso(row.created_at),
+    playerId: row.player_id,
+    matchId: row.match_id,
+    innings: row.innings,
+    type: row.type,
+    amount: row.amount,
+    note: row.note
+  };
+}
+
+function ledgerParams(entry) {
+  return [
+    entry.id,
+    entry.at,
+    entry.playerId,
+    entry.matchId || null,
+    entry.innings || null,
+    entry.type,
+    entry.amount,
+    entry.note || null
+  ];
+}
+
+const AUDIT_INSERT = `
+  INSERT INTO audit_log (
+    id, created_at, action, actor, actor_player_id, match_id, player_id, subject, old_value, new_value, ip
+  ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+  ON CONFLICT (id) DO NOTHING
+`;
+
+function auditParams(entry) {
+  return [
+    entry.id,
+    entry.at,
+    entry.action,
+    entry.actor,
+    entry.actorPlayerId || null,
+    entry.matchId || null,
+    entry.playerId || null,
+    entry.subject || null,
+    entry.before == null ? null : JSON.stringify(entry.before),
+    entry.after == null ? null : JSON.stringify(entry.after),
+    entry.ip || null
+  ];
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    at: toIso(row.created_at),
+    action: row.action,
+    actor: row.actor,
+    actorPlayerId: row.actor_player_id,
+    matchId: row.match_id,
+    playerId: row.player_id,
+    subject: row.subject,
+    before: row.old_value,
+    after: row.new_value,
+    ip: row.ip
+  };
+}
+
+const POWERUP_INSERT = `
+  INSERT INTO powerups (match_id, innings, player_id, kind, played_at)
+  VALUES ($1,$2,$3,$4,NOW())
+  ON CONFLICT (match_id, innings, player_id, kind) DO NOTHING
+`;
+
+const MARKET_PREDICTION_UPSERT = `
+  INSERT INTO market_predictions (match_id, market, player_id, value, updated_at)
+  VALUES ($1,$2,$3,$4,NOW())
+  ON CONFLICT (match_id, market, player_id) DO UPDATE SET
+    value = EXCLUDED.value,
+    updated_at = EXCLUDED.updated_at
+`;
+
+function createPgStore({ databaseUrl, ssl }) {
+  const pool = new Pool({ connectionString: databaseUrl, ssl });
+  let initialized = null;
+
+  function init() {
+    if (!initialized) {
+      initialized = runMigrations(pool, { log: console.log }).catch((err) => {
+        initialized = null;
+        throw err;
+      });
+    }
+    return initialized;
+  }
+
+  async function transaction(work) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    kind: "postgres",
+    pool,
+    init,
+
+    async load() {
+      await init();
+      const defaults = defaultData();
+      const settingsRow = (await pool.query("SELECT * FROM settings WHERE id = 1")).rows[0];
+      const players = (await pool.query("SELECT * FROM players ORDER BY name ASC")).rows.map(rowToPlayer);
+      const matches = (await pool.query("SELECT * FROM matches ORDER BY match_date NULLS LAST")).rows.map(
+        rowToMatch
+      );
+      const byId = new Map(matches.map((match) => [match.id, match]));
+      const predictions = await pool.query("SELECT match_id, innings, player_id, score FROM predictions");
+      for (const row of predictions.rows) {
+        const match = byId.get(row.match_id);
+        if (!match) continue;
+        match.predictions[row.innings] = match.predictions[row.innings] || {};
+        match.predictions[row.innings][row.player_id] = row.score;
+      }
+      const marketPredictions = await pool.query(
+        "SELECT match_id, market, player_id, value FROM market_predictions"
+      );
+      for (const row of marketPredictions.rows) {
+        const match = byId.get(row.match_id);
+        if (!match) continue;
+        match.marketPredictions[row.market] = match.marketPredictions[row.market] || {};
+        match.marketPredictions[row.market][row.player_id] = row.value;
+      }
+      const powerups = await pool.query(
+        "SELECT match_id, innings, player_id, kind FROM powerups ORDER BY played_at"
+      );
+      for (const row of powerups.rows) {
+        const match = byId.get(row.match_id);
+        if (!match) continue;
+        match.powerups[row.innings] = match.powerups[row.innings] || {};
+        match.powerups[row.innings][row.player_id] = [...(match.powerups[row.innings][row.player_id] || []), row.kind];
+      }
+      const revisions = await pool.query(
+        "SELECT match_id, innings, player_id, score, penalty, created_at FROM prediction_revisions ORDER BY seq"
+      );
+      for (const row of revisions.rows) {
+        const match = byId.get(row.match_id);
+        if (!match) continue;
+        match.predictionHistory[row.innings] = match.predictionHistory[row.innings] || {};
+        match.predictionHistory[row.innings][row.player_id] = [
+          ...(match.predictionHistory[row.innings][row.player_id] || []),
+          { score: row.score, at: toIso(row.created_at), penalty: row.penalty }
+        ];
+      }
+      const ledger = (await pool.query("SELECT * FROM coin_ledger ORDER BY seq")).rows.map(
+        rowToLedgerEntry
+      );
+      return {
+        settings: { ...defaults.settings, ...(settingsRow ? rowToSettings(settingsRow) : {}) },
+        players,
+        matches,
+        ledger
+      };
+    },
+
+    async saveChanges({ settings, players = [], matches = [], ledger = [] }) {
+      await init();
+      await transaction(async (client) => {
+        if (settings) {
+          const result = await client.query(SETTINGS_UPSERT, settingsParams(settings));
+          if (!result.rowCount) throw new ConflictError();
+        }
+        for (const player of players) {
+          const result = await client.query(PLAYER_UPSERT, playerParams(player));
+          if (!result.rowCount) throw new ConflictError();
+        }
+        for (const match of matches) {
+          const result = await client.query(MATCH_UPSERT, matchParams(match));
+          if (!result.rowCount) throw new ConflictError();
+        }
+        for (const entry of ledger) {
+          await client.query(LEDGER_INSERT, ledgerParams(entry));
+        }
+      });
+      if (settings) settings.version = (settings.version || 0) + 1;
+      for (const entity of [...players, ...matches]) {
+        entity.version = (entity.version || 0) + 1;
+      }
+    },
+
+    async saveSettings(settings) {
+      await this.saveChanges({ settings });
+    },
+
+    async savePlayer(player) {
+      await this.saveChanges({ players: [player] });
+    },
+
+    async saveMatch(match) {
+      await this.saveChanges({ matches: [match] });
+    },
+
+    async savePrediction(expected, inningsKey, playerId, score, ledger = [], revision = null, startingBalance = null) {
+      await init();
+      await transaction(async (client) => {
+        const current = await client.query("SELECT version FROM matches WHERE id = $1 FOR UPDATE", [
+          expected.id
+        ]);
+        if (!current.rows.length) throw new Error("Match not found.");
+        if (current.rows[0].version !== (expected.version || 0)) throw new ConflictError();
+        if (startingBalance != null && ledger.length) {
+          // The player row lock queues stakes on other matches until this one commits.
+          await client.query("SELECT id FROM players WHERE id = $1 FOR UPDATE", [playerId]);
+          const spent = await client.query(
+            "SELECT COALESCE(SUM(amount), 0)::int AS total FROM coin_ledger WHERE player_id = $1",
+            [playerId]
+          );
+          const available = startingBalance + spent.rows[0].total;
+          const change = ledger.reduce((total, entry) => total + entry.amount, 0);
+          if (available + change < 0) throw new ConflictError(`You only have ${available} coins available.`);
+        }
+        await client.query(PREDICTION_UPSERT, [expected.id, inningsKey, playerId, score]);
+        if (revision) {
+          await client.query(REVISION_INSERT, [
+            expected.id,
+            inningsKey,
+            playerId,
+            revision.score,
+            revision.penalty || 0,
+            revision.at
+          ]);
+        }
+        for (const entry of ledger) {
+          await client.query(LEDGER_INSERT, ledgerParams(entry));
+        }
+      });
+    },
+
+    async saveMarketPrediction(expected, marketId, playerId, value) {
+      await init();
+      await transaction(async (client) => {
+        const current = await client.query("SELECT version FROM matches WHERE id = $1 FOR UPDATE", [
+          expected.id
+        ]);
+        if (!current.rows.length) throw new Error("Match not found.");
+        if (current.rows[0].version !== (expected.version || 0)) throw new ConflictError();
+        await client.query(MARKET_PREDICTION_UPSERT, [expected.id, marketId, playerId, JSON.stringify(value)]);
+      });
+    },
+
+    // `limit` is `{ allowance, counts(innings) }`, as in the JSON store.
+    async savePowerup(expected, inningsKey, playerId, kind, played, limit = null) {
+      await init();
+      await transaction(async (client) => {
+        const current = await client.query("SELECT version FROM matches WHERE id = $1 FOR UPDATE", [
+          expected.id
+        ]);
+        if (!current.rows.length) throw new Error("Match not found.");
+        if (current.rows[0].version !== (expected.version || 0)) throw new ConflictError();
+        if (played && limit) {
+          // The player row lock queues plays on other matches until this one commits.
+          await client.query("SELECT id FROM players WHERE id = $1 FOR UPDATE", [playerId]);
+          const others = await client.query(
+            `SELECT m.*, p.innings AS powerup_innings FROM powerups p JOIN matches m ON m.id = p.match_id
+              WHERE p.player_id = $1 AND p.kind = $2 AND NOT (p.match_id = $3 AND p.innings = $4)`,
+            [playerId, kind, expected.id, inningsKey]
+          );
+          const used = others.rows.filter((row) => limit.counts(rowToMatch(row)[row.powerup_innings])).length;
+          if (used >= limit.allowance) throw new ConflictError(`You have no ${kind}s left.`);
+        }
+        if (played) {
+          await client.query(POWERUP_INSERT, [expected.id, inningsKey, playerId, kind]);
+        } else {
+          await client.query(
+            "DELETE FROM powerups WHERE match_id = $1 AND innings = $2 AND player_id = $3 AND kind = $4",
+            [expected.id, inningsKey, playerId, kind]
+          );
+        }
+      });
+    },
+
+    async appendAudit(entries) {
+      await init();
+      await transaction(async (client) => {
+        for (const entry of entries) {
+          await client.query(AUDIT_INSERT, auditParams(entry));
+        }
+      });
+    },
+
+    // Newest first; `playerId` matches entries about the player and changes they made.
+    async listAudit({ matchId = null, playerId = null, limit = 200 } = {}) {
+      await init();
+      const result = await pool.query(
+        `SELECT * FROM audit_log
+          WHERE ($1::text IS NULL OR match_id = $1)
+            AND ($2::text IS NULL OR player_id = $2 OR actor_player_id = $2)
+          ORDER BY seq DESC
+          LIMIT $3`,
+        [matchId, playerId, limit]
+      );
+      return result.rows.map(rowToAuditEntry);
+    },
+
+    // The audit log is append-only, so a room reset keeps it; imported entries are added to it.
+    async replaceAll(data) {
+      await init();
+      await transaction(async (client) => {
+        await client.query("DELETE FROM coin_ledger");
+        await client.query("DELETE FROM powerups");
+        await client.query("DELETE FROM prediction_revisions");
+        await client.query("DELETE FROM market_predictions");
+        await client.query("DELETE FROM predictions");
+        await client.query("DELETE FROM matches");
+        await client.query("DELETE FROM players");
+        await client.query("DELETE FROM settings");
+        await client.query(SETTINGS_UPSERT, settingsParams({ ...data.settings, version: 0 }));
+        for (const player of data.players) {
+          await client.query(PLAYER_UPSERT, playerParams({ ...player, version: 0 }));
+        }
+        for (const match of data.matches) {
+          await client.query(MATCH_UPSERT, matchParams({ ...match, version: 0 }));
+          for (const [inningsKey, entries] of Object.entries(match.predictions || {})) {
+            for (const [playerId, score] of Object.entries(entries || {})) {
+              await client.query(PREDICTION_UPSERT, [match.id, inningsKey, playerId, score]);
+            }
+          }
+          for (const [marketId, entries] of Object.entries(match.marketPredictions || {})) {
+            for (const [playerId, value] of Object.entries(entries || {})) {
+              await client.query(MARKET_PREDICTION_UPSERT, [match.id, marketId, playerId, JSON.stringify(value)]);
+            }
+          }
+          for (const [inningsKey, entries] of Object.entries(match.predictionHistory || {})) {
+            for (const [playerId, revisions] of Object.entries(entries || {})) {
+              for (const revision of revisions) {
+                await client.query(REVISION_INSERT, [
+                  match.id,
+                  inningsKey,
+                  playerId,
+                  revision.score,
+                  revision.penalty || 0,
+                  revision.at
+                ]);
+              }
+            }
+          }
+          for (const [inningsKey, entries] of Object.entries(match.powerups || {})) {
+            for (const [playerId, kinds] of Object.entries(entries || {})) {
+              for (const kind of kinds) {
+                await client.query(POWERUP_INSERT, [match.id, inningsKey, playerId, kind]);
+              }
+            }
+          }
+        }
+        for (const entry of data.ledger || []) {
+          await client.query(LEDGER_INSERT, ledgerParams(entry));
+        }
+        for (const entry of data.audit || []) {
+          await client.query(AUDIT_INSERT, auditParams(entry));
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createPgStore };
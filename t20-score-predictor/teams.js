@@ -0,0 +1,226 @@
+// Canonical names follow the fixture feeds; aliases cover feed codes and long forms.
+const DEFAULT_TEAM_ALIASES = {
+  Afghanistan: ["AFG"],
+  Australia: ["AUS"],
+  Bangladesh: ["BAN", "BD"],
+  England: ["ENG"],
+  India: ["IND"],
+  Ireland: ["IRE", "IRL"],
+  "New Zealand": ["NZ", "NZL"],
+  Pakistan: ["PAK"],
+  "South Africa": ["SA", "RSA", "Proteas"],
+  "Sri Lanka": ["SL", "SRL"],
+  "West Indies": ["WI", "Windies"],
+  Zimbabwe: ["ZIM"],
+
+  Botswana: ["BOT"],
+  Cameroon: ["CMR"],
+  Eswatini: ["SWZ", "Swaziland"],
+  Gambia: ["GAM", "The Gambia"],
+  Ghana: ["GHA"],
+  Kenya: ["KEN"],
+  Lesotho: ["LES"],
+  Malawi: ["MAW"],
+  Mali: ["MLI"],
+  Mozambique: ["MOZ"],
+  Namibia: ["NAM"],
+  Nigeria: ["NGA", "NGR"],
+  Rwanda: ["RWA"],
+  "Saint Helena": ["STH", "St Helena"],
+  Seychelles: ["SEY"],
+  "Sierra Leone": ["SLE"],
+  Tanzania: ["TAN"],
+  Uganda: ["UGA"],
+  Zambia: ["ZAM"],
+
+  Argentina: ["ARG"],
+  Bahamas: ["BAH", "The Bahamas"],
+  Belize: ["BIZ"],
+  Bermuda: ["BER"],
+  Brazil: ["BRA"],
+  Canada: ["CAN"],
+  "Cayman Islands": ["CAY"],
+  Chile: ["CHI"],
+  "Costa Rica": ["CRC"],
+  Mexico: ["MEX"],
+  Panama: ["PAN"],
+  Peru: ["PER"],
+  Suriname: ["SUR"],
+  "Turks and Caicos Islands": ["TKC", "Turks & Caicos"],
+  USA: ["United States", "United States of America", "US", "U.S.A."],
+
+  Bahrain: ["BHR"],
+  Bhutan: ["BHU"],
+  Cambodia: ["CAM"],
+  China: ["CHN"],
+  "Hong Kong": ["HK", "HKG", "Hong Kong China"],
+  Indonesia: ["INA", "IDN"],
+  Iran: ["IRN"],
+  Japan: ["JPN"],
+  Kuwait: ["KUW"],
+  Malaysia: ["MAS", "MYS"],
+  Maldives: ["MDV"],
+  Mongolia: ["MGL"],
+  Myanmar: ["MYA"],
+  Nepal: ["NEP"],
+  Oman: ["OMA"],
+  Philippines: ["PHI"],
+  Qatar: ["QAT"],
+  "Saudi Arabia": ["KSA"],
+  Singapore: ["SGP", "SIN"],
+  "South Korea": ["KOR", "Korea"],
+  Tajikistan: ["TJK"],
+  Thailand: ["THA"],
+  "United Arab Emirates": ["UAE"],
+  Uzbekistan: ["UZB"],
+
+  "Cook Islands": ["COK"],
+  Fiji: ["FIJ"],
+  "Papua New Guinea": ["PNG"],
+  Samoa: ["SAM"],
+  Vanuatu: ["VAN"],
+
+  Austria: ["AUT"],
+  Belgium: ["BEL"],
+  Bulgaria: ["BUL"],
+  Croatia: ["CRO"],
+  Cyprus: ["CYP"],
+  "Czech Republic": ["CZE", "Czechia"],
+  Denmark: ["DEN"],
+  Estonia: ["EST"],
+  Finland: ["FIN"],
+  France: ["FRA"],
+  Germany: ["GER"],
+  Gibraltar: ["GIB"],
+  Greece: ["GRE"],
+  Guernsey: ["GUE"],
+  Hungary: ["HUN"],
+  "Isle of Man": ["IOM"],
+  Israel: ["ISR"],
+  Italy: ["ITA"],
+  Jersey: ["JER"],
+  Luxembourg: ["LUX"],
+  Malta: ["MLT"],
+  Netherlands: ["NED", "Holland", "The Netherlands"],
+  Norway: ["NOR"],
+  Portugal: ["POR"],
+  Romania: ["ROU"],
+  Scotland: ["SCO"],
+  Serbia: ["SRB"],
+  Slovenia: ["SVN"],
+  Spain: ["ESP"],
+  Sweden: ["SWE"],
+  Switzerland: ["SUI"],
+  Turkey: ["TUR", "Turkiye"]
+};
+
+const PLACEHOLDER_PATTERN = /^(tbd|tba|tbc|to be (announced|confirmed|decided)|winner|loser|runner|[a-z]\d$|\d[a-z]$|[wl]\d+$)/i;
+
+function normalizeTeamName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+function normalizeText(text) {
+  return ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+function parseTeamAliases(text) {
+  const aliases = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const [team, list = ""] = line.split(/[:=]/);
+    const canonical = String(team || "").trim();
+    if (!canonical) continue;
+    aliases[canonical] = list
+      .split(",")
+      .map((alias) => alias.trim())
+      .filter(Boolean);
+  }
+  return aliases;
+}
+
+function validateTeamAliases(aliases) {
+  const owners = new Map();
+  for (const [team, list] of Object.entries(aliases)) {
+    for (const name of [team, ...list]) {
+      const key = normalizeTeamName(name);
+      if (!key) continue;
+      const owner = owners.get(key);
+      if (owner && owner !== team) {
+        return `"${name}" is listed under both ${owner} and ${team}.`;
+      }
+      owners.set(key, team);
+    }
+  }
+  return null;
+}
+
+function createTeamRegistry(customAliases = {}) {
+  const canonicalByKey = new Map();
+  const namesByTeam = new Map();
+  const add = (team, aliases) => {
+    for (const name of [team, ...aliases]) {
+      const key = normalizeTeamName(name);
+      if (!key) continue;
+      canonicalByKey.set(key, team);
+      if (!namesByTeam.has(team)) namesByTeam.set(team, new Set());
+      namesByTeam.get(team).add(name);
+    }
+  };
+  Object.entries(DEFAULT_TEAM_ALIASES).forEach(([team, aliases]) => add(team, aliases));
+  // Room entries are added last so they can move an alias to a different team.
+  Object.entries(customAliases || {}).forEach(([team, aliases]) => add(team, aliases || []));
+
+  function canonicalName(name) {
+    const trimmed = String(name || "").trim();
+    return canonicalByKey.get(normalizeTeamName(trimmed)) || trimmed;
+  }
+
+  function key(name) {
+    return normalizeTeamName(canonicalName(name));
+  }
+
+  function isKnown(name) {
+    return canonicalByKey.has(normalizeTeamName(name));
+  }
+
+  function isPlaceholder(name) {
+    return !String(name || "").trim() || PLACEHOLDER_PATTERN.test(String(name).trim());
+  }
+
+  function namesFor(team) {
+    const canonical = canonicalName(team);
+    return [team, canonical, ...(namesByTeam.get(canonical) || [])];
+  }
+
+  // Returns whichever of `teams` is mentioned first, so "India won the toss ... against Pakistan" picks India.
+  function findInText(text, teams) {
+    const haystack = normalizeText(text);
+    let found = null;
+    for (const team of teams) {
+      for (const name of namesFor(team)) {
+        const needle = normalizeText(name);
+        if (needle === "  ") continue;
+        const index = haystack.indexOf(needle);
+        if (index >= 0 && (!found || index < found.index)) {
+          found = { team, index };
+        }
+      }
+    }
+    return found ? found.team : null;
+  }
+
+  return { canonicalName, key, isKnown, isPlaceholder, findInText };
+}
+
+module.exports = {
+  DEFAULT_TEAM_ALIASES,
+  normalizeTeamName,
+  parseTeamAliases,
+  validateTeamAliases,
+  createTeamRegistry
+};
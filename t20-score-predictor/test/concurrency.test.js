@@ -0,0 +1,194 @@
+// Parallel predictions against a real server, on a temporary JSON store and, when DATABASE_URL is
+// set, on Postgres. The Postgres run wipes the room in that database, so point it at a scratch one.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createStore, defaultData, ConflictError } = require("../store");
+const { startApp, createClient } = require("./helpers");
+
+const PLAYERS = 10;
+
+async function createTossedMatch(admin, matchDate) {
+  const created = await admin("POST", "/api/matches", { teamA: "India", teamB: "Pakistan", matchDate });
+  assert.equal(created.status, 200);
+  const { id } = created.body.match;
+  assert.equal((await admin("POST", `/api/matches/${id}/toss`, { winner: "India", decision: "bat" })).status, 200);
+  return id;
+}
+
+async function setUpRoom(url) {
+  const admin = createClient(url);
+  const names = Array.from({ length: PLAYERS }, (_, index) => `Player ${index + 1}`);
+  assert.equal((await admin("POST", "/api/setup", { roomName: "Concurrency", players: names })).status, 200);
+  const matchId = await createTossedMatch(admin, "2030-02-01T10:00:00.000Z");
+  const otherMatchId = await createTossedMatch(admin, "2030-02-02T10:00:00.000Z");
+  const state = (await admin("GET", "/api/state")).body;
+
+  const players = [];
+  for (const player of state.players) {
+    const client = createClient(url);
+    const link = await admin("POST", `/api/players/${player.id}/join-link`, {});
+    assert.equal(link.status, 200);
+    const joinToken = link.body.joinPath.split("/").pop();
+    assert.equal((await client("POST", "/api/session", { playerId: player.id, pin: "1234", joinToken })).status, 200);
+    players.push({ id: player.id, client });
+  }
+  return { admin, players, matchId, otherMatchId };
+}
+
+function predictAll(players, matchId, scoreFor) {
+  return Promise.all(
+    players.map((player, index) =>
+      player.client("POST", `/api/matches/${matchId}/predict`, { innings: 1, score: scoreFor(index) })
+    )
+  );
+}
+
+function runSuite(kind, storeOptions, appEnv) {
+  describe(`${kind} store`, () => {
+    let app;
+    let room;
+
+    before(async () => {
+      if (storeOptions.databaseUrl) {
+        const store = createStore(storeOptions);
+        await store.replaceAll(defaultData());
+        await store.pool.end();
+      }
+      app = await startApp(appEnv);
+      room = await setUpRoom(app.url);
+    });
+
+    after(async () => {
+      if (app) await app.stop();
+    });
+
+    test("keeps every prediction sent at once", async () => {
+      const results = await predictAll(room.players, room.matchId, (index) => 100 + index);
+      assert.deepEqual(
+        results.map((result) => result.status),
+        room.players.map(() => 200)
+      );
+    });
+
+    test("loses no accepted change when a lock races the predictions", async () => {
+      const [results, lock] = await Promise.all([
+        predictAll(room.players, room.matchId, (index) => 200 + index),
+        room.admin("POST", `/api/matches/${room.matchId}/lock`, { innings: 1 })
+      ]);
+      assert.equal(lock.status, 200);
+      for (const result of results) {
+        assert.ok([200, 403, 409].includes(result.status), `unexpected status ${result.status}`);
+        if (result.status === 409) assert.equal(result.body.conflict, true);
+      }
+
+      const state = (await room.admin("GET", "/api/state")).body;
+      const predictions = state.matches.find((match) => match.id === room.matchId).predictions.innings1;
+      room.players.forEach((player, index) => {
+        const expected = results[index].status === 200 ? 200 + index : 100 + index;
+        assert.equal(predictions[player.id], expected, `prediction for player ${index + 1}`);
+      });
+    });
+
+    test("rejects writes made from a stale version", async () => {
+      await app.stop();
+      app = null;
+      const store = createStore(storeOptions);
+      try {
+        await store.init();
+        const first = await store.load();
+        const second = await store.load();
+        const playerId = first.players[0].id;
+        const fresh = first.matches.find((match) => match.id === room.matchId);
+        const stale = second.matches.find((match) => match.id === room.matchId);
+
+        fresh.venue = "Colombo";
+        await store.saveMatch(fresh);
+        await assert.rejects(store.savePrediction(stale, "innings1", playerId, 150), ConflictError);
+        stale.venue = "Kandy";
+        await assert.rejects(store.saveMatch(stale), ConflictError);
+
+        const saved = (await store.load()).matches.find((match) => match.id === room.matchId);
+        assert.equal(saved.venue, "Colombo");
+        assert.equal(saved.predictions.innings1[playerId], fresh.predictions.innings1[playerId]);
+      } finally {
+        if (store.pool) await store.pool.end();
+      }
+    });
+
+    // Two stakes worked out from the same balance, as two requests for different matches would.
+    test("checks stakes against the balance inside the write", async () => {
+      const store = createStore(storeOptions);
+      try {
+        await store.init();
+        const data = await store.load();
+        const playerId = data.players[1].id;
+        const stake = (match) => [
+          {
+            id: `ledger_${match.id}`,
+            at: new Date().toISOString(),
+            playerId,
+            matchId: match.id,
+            innings: "innings2",
+            type: "stake",
+            amount: -80,
+            note: "Stake placed"
+          }
+        ];
+        const [first, second] = [room.matchId, room.otherMatchId].map((id) =>
+          data.matches.find((match) => match.id === id)
+        );
+
+        await store.savePrediction(first, "innings2", playerId, 160, stake(first), null, 100);
+        await assert.rejects(
+          store.savePrediction(second, "innings2", playerId, 160, stake(second), null, 100),
+          (err) => err instanceof ConflictError && /only have 20 coins/.test(err.message)
+        );
+        const ledger = (await store.load()).ledger.filter((entry) => entry.playerId === playerId);
+        assert.deepEqual(
+          ledger.map((entry) => entry.amount),
+          [-80]
+        );
+      } finally {
+        if (store.pool) await store.pool.end();
+      }
+    });
+
+    test("checks the power-up allowance inside the write", async () => {
+      const store = createStore(storeOptions);
+      try {
+        await store.init();
+        const data = await store.load();
+        const playerId = data.players[2].id;
+        const [first, second] = [room.matchId, room.otherMatchId].map((id) =>
+          data.matches.find((match) => match.id === id)
+        );
+        const limit = { allowance: 1, counts: (innings) => innings.status !== "abandoned" };
+
+        await store.savePowerup(first, "innings2", playerId, "joker", true, limit);
+        await assert.rejects(
+          store.savePowerup(second, "innings2", playerId, "joker", true, limit),
+          (err) => err instanceof ConflictError && /no jokers left/.test(err.message)
+        );
+        const saved = (await store.load()).matches.filter((match) => match.powerups.innings2[playerId]);
+        assert.deepEqual(
+          saved.map((match) => match.id),
+          [room.matchId]
+        );
+      } finally {
+        if (store.pool) await store.pool.end();
+      }
+    });
+  });
+}
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "t20-concurrency-"));
+const dataFile = path.join(dataDir, "data.json");
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+runSuite("json", { dataFile }, { DATA_FILE: dataFile, DATABASE_URL: "" });
+
+if (process.env.DATABASE_URL) {
+  runSuite("postgres", { databaseUrl: process.env.DATABASE_URL }, {});
+}
@@ -0,0 +1,142 @@
+// Goalserve parsing against the recorded feeds in fixtures/goalserve.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { XMLParser } = require("fast-xml-parser");
+const {
+  parseGoalserveFeed,
+  extractGoalserveMatches,
+  getFeedInnings,
+  getFeedMatchState,
+  isFeedInningsComplete,
+  parseTossText
+} = require("../goalserve");
+const { createTeamRegistry } = require("../teams");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures", "goalserve");
+const teams = createTeamRegistry();
+// Pakistan won the toss and fielded in every recording.
+const batting = { innings1: "India", innings2: "Pakistan" };
+
+function readFeed(name) {
+  const [match] = parseGoalserveFeed(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+  return match;
+}
+
+function completeInnings(feedMatch) {
+  const feedInnings = getFeedInnings(feedMatch, batting, teams);
+  return feedInnings
+    .filter((innings) => isFeedInningsComplete(innings, feedInnings, feedMatch))
+    .map((innings) => [innings.number, innings.runs]);
+}
+
+test("extractGoalserveMatches reads teams, toss text and innings from the XML feed", () => {
+  const raw = fs.readFileSync(path.join(FIXTURES, "finished.xml"), "utf8");
+  const payload = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" }).parse(raw);
+  const [match] = extractGoalserveMatches(payload);
+  assert.equal(match.id, "7841203");
+  assert.equal(match.date, "15.02.2026");
+  assert.equal(match.time, "13:30");
+  assert.equal(match.status, "Finished");
+  assert.equal(match.localTeam, "India");
+  assert.equal(match.visitorTeam, "Pakistan");
+  assert.equal(match.tossText, "Pakistan won the toss and elected to field");
+  assert.deepEqual(match.localTotal, { runs: 187, wickets: 6, overs: 20 });
+  assert.deepEqual(match.innings, [
+    { number: 1, team: "India", runs: 187, wickets: 6, overs: 20 },
+    { number: 2, team: "Pakistan", runs: 164, wickets: 9, overs: 20 }
+  ]);
+  assert.deepEqual(parseTossText(match.tossText, "India", "Pakistan", teams), {
+    winner: "Pakistan",
+    decision: "field"
+  });
+});
+
+test("extractGoalserveMatches reads a JSON feed with team totals only", () => {
+  const match = readFeed("finished-totals-only.json");
+  assert.deepEqual(match.innings, []);
+  assert.deepEqual(match.localTotal, { runs: 187, wickets: 6, overs: 20 });
+  assert.deepEqual(match.visitorTotal, { runs: 164, wickets: 9, overs: 20 });
+});
+
+test("extractGoalserveMatches returns nothing for an empty payload", () => {
+  assert.deepEqual(extractGoalserveMatches({}), []);
+  assert.deepEqual(extractGoalserveMatches(null), []);
+});
+
+test("getFeedInnings prefers the feed's innings list", () => {
+  const match = readFeed("finished.xml");
+  assert.deepEqual(getFeedInnings(match, null, teams), match.innings);
+});
+
+test("getFeedInnings orders team totals by the toss", () => {
+  const match = readFeed("finished-totals-only.json");
+  assert.deepEqual(getFeedInnings(match, null, teams), []);
+  assert.deepEqual(
+    getFeedInnings(match, batting, teams).map((innings) => [innings.number, innings.team, innings.runs]),
+    [
+      [1, "India", 187],
+      [2, "Pakistan", 164]
+    ]
+  );
+  const reversed = getFeedInnings(match, { innings1: "Pakistan", innings2: "India" }, teams);
+  assert.deepEqual(
+    reversed.map((innings) => [innings.number, innings.runs]),
+    [
+      [1, 164],
+      [2, 187]
+    ]
+  );
+});
+
+test("getFeedInnings matches team totals through aliases", () => {
+  const match = { ...readFeed("finished-totals-only.json"), localTeam: "IND", visitorTeam: "PAK" };
+  assert.deepEqual(
+    getFeedInnings(match, batting, teams).map((innings) => innings.runs),
+    [187, 164]
+  );
+});
+
+test("isFeedInningsComplete leaves a live first innings open", () => {
+  assert.deepEqual(completeInnings(readFeed("live-first-innings.json")), []);
+});
+
+test("isFeedInningsComplete finishes innings 1 at the innings break", () => {
+  assert.deepEqual(completeInnings(readFeed("innings-break.xml")), [[1, 187]]);
+});
+
+test("isFeedInningsComplete finishes both innings once the match has finished", () => {
+  assert.deepEqual(completeInnings(readFeed("finished.xml")), [
+    [1, 187],
+    [2, 164]
+  ]);
+  assert.deepEqual(completeInnings(readFeed("finished-totals-only.json")), [
+    [1, 187],
+    [2, 164]
+  ]);
+});
+
+test("a no-result feed only completes the innings that were played out", () => {
+  const match = readFeed("no-result.xml");
+  assert.equal(getFeedMatchState(match), "no-result");
+  assert.deepEqual(completeInnings(match), [[1, 187]]);
+});
+
+test("getFeedMatchState tells void matches from finished ones", () => {
+  assert.equal(getFeedMatchState({ status: "Abandoned" }), "abandoned");
+  assert.equal(getFeedMatchState({ status: "Cancelled" }), "abandoned");
+  assert.equal(getFeedMatchState({ status: "No Result" }), "no-result");
+  assert.equal(getFeedMatchState({ status: "Finished" }), null);
+  assert.equal(getFeedMatchState(readFeed("finished.xml")), null);
+});
+
+test("isFeedInningsComplete ends a chase when the target is passed or the side is all out", () => {
+  const feedMatch = { status: "2nd Innings" };
+  const first = { number: 1, runs: 150, wickets: 7, overs: 20 };
+  const chasing = (runs, wickets, overs) => ({ number: 2, runs, wickets, overs });
+  assert.equal(isFeedInningsComplete(chasing(140, 4, 17.2), [first, chasing(140, 4, 17.2)], feedMatch), false);
+  assert.equal(isFeedInningsComplete(chasing(151, 4, 17.5), [first, chasing(151, 4, 17.5)], feedMatch), true);
+  assert.equal(isFeedInningsComplete(chasing(120, 10, 16.1), [first, chasing(120, 10, 16.1)], feedMatch), true);
+  assert.equal(isFeedInningsComplete(chasing(150, 6, 20), [first, chasing(150, 6, 20)], feedMatch), true);
+});
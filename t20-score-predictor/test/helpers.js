@@ -0,0 +1,71 @@
+// Starts server.js on a free port and talks to it with one cookie jar per client.
+const { spawn } = require("node:child_process");
+const net = require("node:net");
+const path = require("node:path");
+
+const APP_DIR = path.join(__dirname, "..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startApp(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: APP_DIR,
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  return {
+    url: `http://localhost:${port}`,
+    stop: () =>
+      new Promise((resolve) => {
+        child.removeAllListeners("exit");
+        child.on("exit", resolve);
+        child.kill();
+      })
+  };
+}
+
+// One cookie jar per player.
+function createClient(url) {
+  let cookie = "";
+  return async (method, route, body) => {
+    const res = await fetch(`${url}${route}`, {
+      method,
+      headers: { "Content-Type": "application/json", cookie },
+      body: body ? JSON.stringify(body) : undefined,
+      redirect: "manual"
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  };
+}
+
+module.exports = { startApp, createClient };
@@ -0,0 +1,54 @@
+// Markets and tournament outrights settle exact and closest questions through the same helper.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeAnswer, scoreAnswers, computeMarketResult } = require("../markets");
+const { computeOutrightResult } = require("../outrights");
+const { createTeamRegistry } = require("../teams");
+
+const teams = createTeamRegistry();
+
+test("normalizeAnswer ignores case, spaces and punctuation", () => {
+  assert.equal(normalizeAnswer(" Suryakumar Yadav "), normalizeAnswer("suryakumar-yadav"));
+  assert.equal(normalizeAnswer(null), "");
+});
+
+test("scoreAnswers pays every exact match and only splits closest ties", () => {
+  const picks = { ann: "J. Bumrah", bob: "j bumrah", cat: "Kohli" };
+  assert.deepEqual(scoreAnswers({ scoring: "exact", points: 3 }, "J Bumrah", picks, { tieMode: "split" }), {
+    winners: ["ann", "bob"],
+    points: { ann: 3, bob: 3, cat: 0 }
+  });
+  const totals = { ann: 150, bob: 170, cat: 140 };
+  assert.deepEqual(scoreAnswers({ scoring: "closest", points: 5 }, 160, totals, { tieMode: "split", weight: 2 }), {
+    winners: ["ann", "bob"],
+    points: { ann: 5, bob: 5, cat: 0 }
+  });
+  assert.deepEqual(scoreAnswers({ scoring: "closest", points: 5 }, 160, totals).points, { ann: 5, bob: 5, cat: 0 });
+});
+
+test("markets and outrights settle the same question the same way", () => {
+  const question = { input: "number", scoring: "closest", points: 4 };
+  const picks = { ann: 180, bob: 190, cat: 200 };
+  const market = computeMarketResult(question, 185, picks, { tieMode: "split", teams });
+  const outright = computeOutrightResult(question, 185, picks, { tieMode: "split", teams });
+  assert.deepEqual(outright, { answer: 185, winners: market.winners, points: market.points });
+});
+
+test("team answers match through aliases", () => {
+  const question = { input: "team", scoring: "exact" };
+  const market = computeMarketResult({ ...question, points: 2 }, "India", { ann: "IND" }, { teams });
+  const outright = computeOutrightResult({ ...question, points: 10 }, "India", { ann: "IND" }, { teams });
+  assert.deepEqual(market.winners, ["ann"]);
+  assert.deepEqual(outright.points, { ann: 10 });
+});
+
+test("semi-finalist picks pay for each correct team", () => {
+  const result = computeOutrightResult(
+    { input: "teams", scoring: "each", points: 2 },
+    ["India", "England", "Australia", "South Africa"],
+    { ann: ["India", "Pakistan", "England", "Nepal"], bob: ["Nepal"] },
+    { teams }
+  );
+  assert.deepEqual(result.points, { ann: 4, bob: 0 });
+  assert.deepEqual(result.winners, ["ann"]);
+});
@@ -0,0 +1,90 @@
+// Claiming players: a first PIN needs the join link, and only a logged-in admin can reset PINs.
+// The admin PIN is salted like player PINs, and old unsalted hashes are upgraded on login.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { startApp, createClient } = require("./helpers");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "t20-session-"));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+async function joinToken(admin, playerId, body = {}) {
+  const link = await admin("POST", `/api/players/${playerId}/join-link`, body);
+  return { status: link.status, token: link.body.joinPath?.split("/").pop() };
+}
+
+function runSuite(name, setup) {
+  describe(name, () => {
+    let app;
+    let admin;
+    let players;
+
+    before(async () => {
+      app = await startApp({ DATA_FILE: path.join(dataDir, `${name.replace(/\W+/g, "-")}.json`), DATABASE_URL: "" });
+      admin = createClient(app.url);
+      const room = { roomName: "Sessions", players: ["Ann", "Bob"], ...setup };
+      assert.equal((await admin("POST", "/api/setup", room)).status, 200);
+      players = (await admin("GET", "/api/state")).body.players;
+    });
+
+    after(async () => {
+      if (app) await app.stop();
+    });
+
+    test("a first PIN needs the player's join token", async () => {
+      const [ann] = players;
+      const stranger = createClient(app.url);
+      assert.equal((await stranger("POST", "/api/session", { playerId: ann.id, pin: "1111" })).status, 403);
+      assert.equal((await admin("POST", "/api/session", { playerId: ann.id, pin: "1111" })).status, 403);
+
+      const { token } = await joinToken(admin, ann.id);
+      const owner = createClient(app.url);
+      const claim = await owner("POST", "/api/session", { playerId: ann.id, pin: "2222", joinToken: token });
+      assert.equal(claim.status, 200);
+      assert.equal((await stranger("POST", "/api/session", { playerId: ann.id, pin: "1111" })).status, 403);
+    });
+
+    test("resets and claimed players' links need a logged-in admin", async () => {
+      const [ann, bob] = players;
+      const stranger = createClient(app.url);
+      assert.equal((await joinToken(stranger, ann.id, { resetPin: true })).status, 403);
+      assert.equal((await joinToken(stranger, ann.id)).status, 403);
+      assert.equal((await joinToken(stranger, bob.id, { rotate: true })).status, 403);
+
+      const reset = await joinToken(admin, ann.id, { resetPin: true });
+      assert.equal(reset.status, setup.usePin ? 200 : 403);
+    });
+  });
+}
+
+runSuite("room without an admin PIN", { usePin: false });
+runSuite("room with an admin PIN", { usePin: true, adminPin: "9999" });
+
+test("an unsalted admin PIN still logs in and is rehashed", async () => {
+  const dataFile = path.join(dataDir, "legacy-admin.json");
+  let app = await startApp({ DATA_FILE: dataFile, DATABASE_URL: "" });
+  try {
+    const room = { roomName: "Legacy", players: ["Ann", "Bob"], usePin: true, adminPin: "9999" };
+    assert.equal((await createClient(app.url)("POST", "/api/setup", room)).status, 200);
+  } finally {
+    await app.stop();
+  }
+  const stored = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+  assert.match(stored.settings.adminPinHash, /^scrypt\$/);
+  stored.settings.adminPinHash = crypto.createHash("sha256").update("9999").digest("hex");
+  fs.writeFileSync(dataFile, JSON.stringify(stored));
+
+  app = await startApp({ DATA_FILE: dataFile, DATABASE_URL: "" });
+  try {
+    const admin = createClient(app.url);
+    assert.equal((await admin("POST", "/api/admin/session", { pin: "1234" })).status, 403);
+    assert.equal((await admin("POST", "/api/admin/session", { pin: "9999" })).status, 200);
+    assert.equal((await admin("GET", "/api/state")).body.session.admin, true);
+  } finally {
+    await app.stop();
+  }
+  assert.match(JSON.parse(fs.readFileSync(dataFile, "utf8")).settings.adminPinHash, /^scrypt\$/);
+});
@@ -0,0 +1,68 @@
+// Settle-up transfers: everyone ends square, with as few payments as possible.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { planTransfers, settlementToCsv } = require("../settlement");
+
+function nets(amounts) {
+  return amounts.map((net, index) => ({ playerId: `p${index + 1}`, net }));
+}
+
+function settles(rows, transfers) {
+  const balances = Object.fromEntries(rows.map((row) => [row.playerId, row.net]));
+  for (const transfer of transfers) {
+    assert.ok(transfer.amount > 0);
+    balances[transfer.from] += transfer.amount;
+    balances[transfer.to] -= transfer.amount;
+  }
+  return Object.values(balances).every((balance) => balance === 0);
+}
+
+test("pays equal and opposite balances directly", () => {
+  const rows = nets([500, -500, 300, -300, 0]);
+  assert.deepEqual(planTransfers(rows), [
+    { from: "p2", to: "p1", amount: 500 },
+    { from: "p4", to: "p3", amount: 300 }
+  ]);
+});
+
+test("finds groups that square up on their own", () => {
+  // Largest debt to largest credit takes five transfers here; {500, -200, -300} and {600, 400, -1000} need four.
+  const rows = nets([500, 600, -200, -300, 400, -1000]);
+  const transfers = planTransfers(rows);
+  assert.ok(settles(rows, transfers));
+  assert.equal(transfers.length, 4);
+});
+
+test("pairs equal balances and settles the rest within their group", () => {
+  const rows = nets([700, -100, -200, -400, 900, -900, 250, -250]);
+  const transfers = planTransfers(rows);
+  assert.ok(settles(rows, transfers));
+  assert.equal(transfers.length, 5);
+});
+
+test("still squares up large rooms past the exact search", () => {
+  const amounts = Array.from({ length: 39 }, (_, index) => (index % 2 ? 1 : -1) * (index * 37 + 11));
+  amounts.push(-amounts.reduce((sum, amount) => sum + amount, 0));
+  const rows = nets(amounts);
+  assert.ok(settles(rows, planTransfers(rows)));
+});
+
+test("returns nothing when everyone is square", () => {
+  assert.deepEqual(planTransfers(nets([0, 0])), []);
+});
+
+test("the CSV export neutralises formulas in player names", () => {
+  const names = new Map([
+    ["p1", "=HYPERLINK(\"http://evil\")"],
+    ["p2", "@Bob"],
+    ["p3", "-Cat"]
+  ]);
+  const report = {
+    transfers: [{ from: "p1", to: "p2", amount: 1250 }],
+    balances: [{ name: names.get("p3"), entries: 1, wins: 0, paid: 1250, won: 0, net: -1250 }],
+    innings: []
+  };
+  const rows = settlementToCsv(report, names).split("\n");
+  assert.equal(rows[1], `"'=HYPERLINK(""http://evil"")",'@Bob,12.50`);
+  assert.equal(rows[4], "'-Cat,1,0,12.50,0.00,-12.50");
+});